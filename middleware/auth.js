@@ -1,6 +1,23 @@
 const jwt = require('jsonwebtoken');
 const supabase = require('../utils/database');
 
+// Vérifier un JWT et charger l'utilisateur correspondant (partagé avec socket.io)
+async function authenticateToken(token) {
+  if (!token) return null;
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Récupérer l'utilisateur depuis la base de données
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', decoded.userId)
+    .single();
+
+  if (error || !user) return null;
+  return user;
+}
+
 const authMiddleware = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1] || req.session.token;
@@ -9,16 +26,9 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'Authentification requise' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Récupérer l'utilisateur depuis la base de données
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', decoded.userId)
-      .single();
-
-    if (error || !user) {
+    const user = await authenticateToken(token);
+
+    if (!user) {
       return res.status(401).json({ error: 'Utilisateur non trouvé' });
     }
 
@@ -34,3 +44,4 @@ const authMiddleware = async (req, res, next) => {
 };
 
 module.exports = authMiddleware;
+module.exports.authenticateToken = authenticateToken;
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const supabase = require('../utils/database');
+
+// Durée de conservation d'une réponse rejouable
+const RETENTION = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+// Bail d'une requête en cours : une clé restée "processing" au-delà (crash) peut être reprise
+const LOCK_TIMEOUT = (parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+// Le bail est prolongé tant que la route n'a pas répondu
+const HEARTBEAT_INTERVAL = Math.floor(LOCK_TIMEOUT / 3);
+
+// JSON aux clés triées : le même corps donne toujours la même empreinte
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function requestHash(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+async function findKey(userId, key) {
+  const { data } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('key', key)
+    .single();
+
+  return data || null;
+}
+
+// Réserver la clé ; renvoie false si elle existe déjà
+async function reserveKey(req, key, hash) {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .insert([{
+      user_id: req.user.id,
+      key,
+      request_hash: hash,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      status: 'processing',
+      locked_until: new Date(Date.now() + LOCK_TIMEOUT),
+      expires_at: new Date(Date.now() + RETENTION)
+    }]);
+
+  if (!error) return true;
+  if (error.code === '23505') return false;
+  throw error;
+}
+
+// createdAt : ne supprimer que cette réservation, pas une autre posée entre-temps
+async function releaseKey(userId, key, { createdAt = null } = {}) {
+  let query = supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('user_id', userId)
+    .eq('key', key);
+
+  if (createdAt) {
+    query = query.eq('created_at', createdAt);
+  }
+
+  await query;
+}
+
+// Prolonger le bail d'une requête encore en cours ; renvoie la fonction qui arrête le heartbeat
+function keepLocked(userId, key) {
+  const heartbeat = setInterval(() => {
+    supabase
+      .from('idempotency_keys')
+      .update({ locked_until: new Date(Date.now() + LOCK_TIMEOUT) })
+      .eq('user_id', userId)
+      .eq('key', key)
+      .eq('status', 'processing')
+      .then(({ error }) => {
+        if (error) console.error(`Erreur heartbeat Idempotency-Key ${key}:`, error);
+      });
+  }, HEARTBEAT_INTERVAL);
+
+  return () => clearInterval(heartbeat);
+}
+
+// Requête en cours dont le bail a expiré : le processus qui la traitait a disparu
+function isAbandoned(existing) {
+  return existing.status === 'processing' &&
+    (!existing.locked_until || new Date(existing.locked_until) < new Date());
+}
+
+// Rejouer la première réponse d'une requête répétée avec le même en-tête Idempotency-Key
+// À placer après authMiddleware : les clés sont propres à chaque utilisateur
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: 'Idempotency-Key trop longue' });
+  }
+
+  try {
+    const hash = requestHash(req);
+    let reserved = await reserveKey(req, key, hash);
+
+    if (!reserved) {
+      const existing = await findKey(req.user.id, key);
+
+      // Clé expirée, abandonnée ou supprimée entre-temps : elle peut resservir
+      if (!existing || new Date(existing.expires_at) < new Date() || (existing.request_hash === hash && isAbandoned(existing))) {
+        if (existing) await releaseKey(req.user.id, key, { createdAt: existing.created_at });
+        reserved = await reserveKey(req, key, hash);
+        if (!reserved) {
+          return res.status(409).json({ error: 'Une requête avec cette Idempotency-Key est en cours' });
+        }
+      } else if (existing.request_hash !== hash) {
+        return res.status(422).json({
+          error: 'Cette Idempotency-Key a déjà été utilisée pour une requête différente'
+        });
+      } else if (existing.status === 'processing') {
+        return res.status(409).json({ error: 'Une requête avec cette Idempotency-Key est en cours' });
+      } else {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+    }
+
+    // Mémoriser le corps JSON envoyé par la route
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // La route peut répondre après la déconnexion du client : le bail court jusqu'à sa réponse
+    const stopHeartbeat = keepLocked(req.user.id, key);
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      stopHeartbeat();
+      return end(...args);
+    };
+
+    // Une requête qui ne répond jamais (crash, arrêt) garde sa clé jusqu'à la fin de son dernier bail
+    res.on('finish', () => {
+      // Une erreur serveur n'est pas rejouée : le client peut réessayer avec la même clé
+      const store = res.statusCode >= 500
+        ? releaseKey(req.user.id, key)
+        : supabase
+          .from('idempotency_keys')
+          .update({
+            status: 'completed',
+            response_status: res.statusCode,
+            response_body: responseBody
+          })
+          .eq('user_id', req.user.id)
+          .eq('key', key);
+
+      Promise.resolve(store).catch(error => console.error('Erreur enregistrement Idempotency-Key:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Erreur Idempotency-Key:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
+
+// Supprimer les clés dont la période de conservation est écoulée
+async function purgeExpiredKeys() {
+  const { error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+}
+
+module.exports = idempotencyMiddleware;
+module.exports.purgeExpiredKeys = purgeExpiredKeys;
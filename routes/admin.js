@@ -3,8 +3,14 @@ const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const adminMiddleware = require('../middleware/admin');
 const supabase = require('../utils/database');
-const HerokuService = require('../utils/heroku');
+const { DEFAULT_PROVIDER, getProviderClass, listProviders } = require('../utils/providers');
+const ledger = require('../utils/ledger');
+const { ACTIONS, deploymentFloor, actionPercent, dailyRate } = require('../utils/pricing');
 const EmailService = require('../utils/email');
+const { encrypt, decrypt, maskValue, maskEnv } = require('../utils/encryption');
+const { rotateStoredSecrets } = require('../utils/keyRotation');
+const { STATES } = require('../utils/deploymentState');
+const { CONTROL_COLUMNS, STOP_REASONS, pauseDeployment } = require('../utils/deploymentControl');
 
 // Toutes les routes admin nécessitent l'authentification et les privilèges admin
 router.use(authMiddleware, adminMiddleware);
@@ -105,7 +111,7 @@ router.get('/users/:id', async (req, res) => {
 router.put('/users/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { email, username, role, coins, is_verified } = req.body;
+    const { email, username, role, coins, is_verified, deployment_discount_percent } = req.body;
 
     // Vérifier que l'utilisateur existe
     const { data: existingUser, error: checkError } = await supabase
@@ -137,9 +143,25 @@ router.put('/users/:id', async (req, res) => {
     if (email) updates.email = email;
     if (username !== undefined) updates.username = username;
     if (role !== undefined) updates.role = role;
-    if (coins !== undefined) updates.coins = parseInt(coins);
     if (is_verified !== undefined) updates.is_verified = is_verified;
 
+    // Remise personnelle sur tous les prix (0-100 %)
+    if (deployment_discount_percent !== undefined) {
+      const discount = parseInt(deployment_discount_percent);
+      if (isNaN(discount) || discount < 0 || discount > 100) {
+        return res.status(400).json({ error: 'La remise doit être comprise entre 0 et 100' });
+      }
+      updates.deployment_discount_percent = discount;
+    }
+
+    let balance;
+    if (coins !== undefined) {
+      balance = parseInt(coins);
+      if (isNaN(balance) || balance < 0) {
+        return res.status(400).json({ error: 'Solde invalide' });
+      }
+    }
+
     // Mettre à jour l'utilisateur
     const { data: user, error } = await supabase
       .from('users')
@@ -150,13 +172,21 @@ router.put('/users/:id', async (req, res) => {
 
     if (error) throw error;
 
+    // Le solde passe par le grand livre : l'écart est journalisé comme un ajustement
+    // En dernier : un profil refusé ne laisse pas un ajustement de solde derrière lui
+    let newBalance;
+    if (balance !== undefined) {
+      newBalance = await ledger.setBalance(id, balance, { adminId: req.user.id });
+      user.coins = newBalance;
+    }
+
     // Log d'activité
     await supabase
       .from('activity_logs')
       .insert([{
         user_id: req.user.id,
         action: 'UPDATE_USER',
-        details: { target_user_id: id, updates }
+        details: { target_user_id: id, updates, ...(newBalance !== undefined && { coins: newBalance }) }
       }]);
 
     res.json({ 
@@ -179,17 +209,17 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(400).json({ error: 'Vous ne pouvez pas supprimer votre propre compte' });
     }
 
-    // Vérifier si l'utilisateur a des déploiements actifs
+    // Vérifier si l'utilisateur a des déploiements actifs ou arrêtés (toujours hébergés)
     const { data: activeDeployments } = await supabase
       .from('deployments')
       .select('id')
       .eq('user_id', id)
-      .eq('status', 'active')
+      .in('status', [STATES.ACTIVE, STATES.STOPPED])
       .limit(1);
 
     if (activeDeployments && activeDeployments.length > 0) {
       return res.status(400).json({ 
-        error: 'Impossible de supprimer : des déploiements actifs sont associés à cet utilisateur' 
+        error: 'Impossible de supprimer : des déploiements actifs ou arrêtés sont associés à cet utilisateur' 
       });
     }
 
@@ -237,21 +267,10 @@ router.post('/users/:id/add-coins', async (req, res) => {
       return res.status(404).json({ error: 'Utilisateur non trouvé' });
     }
 
-    // Ajouter la transaction
-    await supabase
-      .from('coin_transactions')
-      .insert([{
-        sender_id: req.user.id,
-        receiver_id: id,
-        amount: parseInt(amount),
-        type: 'admin',
-        description: description || 'Ajout administrateur'
-      }]);
-
-    // Mettre à jour les coins de l'utilisateur
-    await supabase.rpc('increment_coins', {
-      user_id: id,
-      amount: parseInt(amount)
+    // Créditer l'utilisateur et journaliser la transaction ensemble
+    await ledger.grant(id, amount, {
+      adminId: req.user.id,
+      description: description || 'Ajout administrateur'
     });
 
     // Log d'activité
@@ -461,6 +480,51 @@ router.post('/bot-requests/:id/approve', async (req, res) => {
   }
 });
 
+// Fixer le coût journalier d'un bot (null : le coût journalier global s'applique)
+// Réservé aux admins : il est facturé chaque jour aux déploiements déjà en ligne
+router.put('/bots/:id/daily-cost', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { daily_cost } = req.body;
+
+    const dailyCost = daily_cost === null ? null : parseInt(daily_cost);
+    if (dailyCost !== null && (isNaN(dailyCost) || dailyCost < 0)) {
+      return res.status(400).json({ error: 'Coût journalier invalide' });
+    }
+
+    const { data: bot, error } = await supabase
+      .from('bots')
+      .update({
+        daily_cost: dailyCost,
+        updated_at: new Date()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !bot) {
+      return res.status(404).json({ error: 'Bot non trouvé' });
+    }
+
+    // Log d'activité
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'UPDATE_BOT_DAILY_COST',
+        details: { bot_id: id, bot_name: bot.name, daily_cost: dailyCost }
+      }]);
+
+    res.json({
+      message: 'Coût journalier mis à jour',
+      bot
+    });
+  } catch (error) {
+    console.error('Erreur mise à jour coût journalier:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Supprimer une demande de bot
 router.delete('/bot-requests/:id', async (req, res) => {
   try {
@@ -627,54 +691,28 @@ router.post('/maintenance/stop-all-bots', async (req, res) => {
     // Récupérer tous les déploiements actifs
     const { data: activeDeployments, error: fetchError } = await supabase
       .from('deployments')
-      .select('id, heroku_app_name, heroku_account_id')
-      .eq('status', 'active');
+      .select(CONTROL_COLUMNS)
+      .eq('status', STATES.ACTIVE);
 
     if (fetchError) throw fetchError;
 
     let stoppedCount = 0;
     let errors = [];
 
-    // Pour chaque déploiement, récupérer le compte Heroku et arrêter l'application
-    if (activeDeployments && activeDeployments.length > 0) {
-      for (const deployment of activeDeployments) {
-        try {
-          // Récupérer le compte Heroku
-          const { data: herokuAccount } = await supabase
-            .from('heroku_accounts')
-            .select('api_key')
-            .eq('id', deployment.heroku_account_id)
-            .single();
+    // Mettre chaque bot en pause (dynos à zéro) comme un arrêt par son propriétaire :
+    // l'app et sa configuration sont conservées, le bot peut être relancé après la maintenance
+    for (const deployment of activeDeployments || []) {
+      try {
+        await pauseDeployment(deployment, {
+          reason: STOP_REASONS.ADMIN,
+          message: 'Arrêté lors de la maintenance d\'urgence',
+          details: { admin_id: req.user.id }
+        });
 
-          if (herokuAccount && herokuAccount.api_key) {
-            // Arrêter l'application Heroku
-            const heroku = new HerokuService(herokuAccount.api_key);
-            await heroku.deleteApp(deployment.heroku_app_name);
-            
-            // Mettre à jour le statut dans la base de données
-            await supabase
-              .from('deployments')
-              .update({
-                status: 'stopped',
-                logs: 'Arrêté lors de la maintenance d\'urgence',
-                updated_at: new Date()
-              })
-              .eq('id', deployment.id);
-
-            // Décrémenter l'utilisation du compte Heroku
-            await supabase
-              .from('heroku_accounts')
-              .update({ 
-                used_count: supabase.raw('used_count - 1')
-              })
-              .eq('id', deployment.heroku_account_id);
-
-            stoppedCount++;
-          }
-        } catch (deploymentError) {
-          errors.push(`Déploiement ${deployment.id}: ${deploymentError.message}`);
-          console.error(`Erreur arrêt déploiement ${deployment.id}:`, deploymentError);
-        }
+        stoppedCount++;
+      } catch (deploymentError) {
+        errors.push(`Déploiement ${deployment.id}: ${deploymentError.message}`);
+        console.error(`Erreur arrêt déploiement ${deployment.id}:`, deploymentError);
       }
     }
 
@@ -1176,7 +1214,10 @@ router.get('/export/:type', async (req, res) => {
           `)
           .order('created_at', { ascending: false });
 
-        data = deployments || [];
+        data = (deployments || []).map(deployment => ({
+          ...deployment,
+          env_variables: maskEnv(deployment.env_variables)
+        }));
         filename = `deployments_export_${new Date().toISOString().split('T')[0]}`;
         break;
 
@@ -1310,6 +1351,215 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
+// Déploiements signalés (build en échec)
+router.get('/deployments/flagged', async (req, res) => {
+  try {
+    const { data: deployments, error } = await supabase
+      .from('deployments')
+      .select(`
+        id, status, heroku_app_name, heroku_build_id, build_status, build_output,
+        flagged_at, flag_reason, created_at,
+        user:users(email, username),
+        bot:bots(name, github_repo)
+      `)
+      .not('flagged_at', 'is', null)
+      .order('flagged_at', { ascending: false })
+      .limit(100);
+
+    if (error) throw error;
+
+    res.json({ deployments: deployments || [] });
+  } catch (error) {
+    console.error('Erreur récupération déploiements signalés:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Rechiffrer les secrets stockés avec la clé maîtresse courante (ENCRYPTION_MASTER_KEY)
+// À lancer après avoir déplacé l'ancienne clé dans ENCRYPTION_PREVIOUS_KEYS
+router.post('/security/rotate-encryption-key', async (req, res) => {
+  try {
+    const rotation = await rotateStoredSecrets(req.user.id);
+
+    // Log d'activité
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'ROTATE_ENCRYPTION_KEY',
+        details: { rotation_id: rotation.id, key_id: rotation.key_id, rewrapped: rotation.rewrapped, errors: rotation.errors }
+      }]);
+
+    res.json({
+      message: rotation.errors > 0
+        ? `Rotation terminée avec ${rotation.errors} erreur(s) : gardez l'ancienne clé`
+        : 'Rotation terminée',
+      rotation
+    });
+  } catch (error) {
+    console.error('Erreur rotation de la clé de chiffrement:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Historique des rotations de clé
+router.get('/security/rotations', async (req, res) => {
+  try {
+    const { data: rotations, error } = await supabase
+      .from('encryption_rotations')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw error;
+
+    res.json({ rotations: rotations || [] });
+  } catch (error) {
+    console.error('Erreur récupération rotations:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Derniers rapprochements des soldes de coins
+router.get('/ledger/reconciliations', async (req, res) => {
+  try {
+    const { data: reconciliations, error } = await supabase
+      .from('ledger_reconciliations')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(30);
+
+    if (error) throw error;
+
+    res.json({ reconciliations: reconciliations || [] });
+  } catch (error) {
+    console.error('Erreur récupération rapprochements:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Lancer un rapprochement immédiatement
+router.post('/ledger/reconcile', async (req, res) => {
+  try {
+    const reconciliation = await ledger.runReconciliation(req.user.id);
+
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'RUN_LEDGER_RECONCILIATION',
+        details: {
+          reconciliation_id: reconciliation.id,
+          drift_count: reconciliation.drift_count,
+          total_drift: reconciliation.total_drift
+        }
+      }]);
+
+    res.json({ message: 'Rapprochement terminé', reconciliation });
+  } catch (error) {
+    console.error('Erreur rapprochement des soldes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Écarts à examiner (?status=open|applied|dismissed)
+router.get('/ledger/drifts', async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+
+    const { data: drifts, error } = await supabase
+      .from('ledger_drifts')
+      .select(`
+        *,
+        user:users!user_id(email, username)
+      `)
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) throw error;
+
+    res.json({ drifts: drifts || [] });
+  } catch (error) {
+    console.error('Erreur récupération écarts:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Corriger un écart : mode 'ledger' (solde ramené à l'historique) ou 'balance' (transaction de correction)
+router.post('/ledger/drifts/:id/apply', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mode = 'ledger', reason } = req.body;
+
+    const result = await ledger.applyCorrection(id, { mode, adminId: req.user.id });
+
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'APPLY_LEDGER_CORRECTION',
+        details: {
+          drift_id: id,
+          target_user_id: result.drift.user_id,
+          mode,
+          stored_balance: result.drift.stored_balance,
+          ledger_balance: result.drift.ledger_balance,
+          applied_drift: result.applied_drift,
+          new_balance: result.balance,
+          reason: reason || null
+        }
+      }]);
+
+    res.json({ message: 'Correction appliquée', ...result });
+  } catch (error) {
+    if (error instanceof ledger.LedgerError) {
+      const messages = {
+        DRIFT_NOT_FOUND: 'Écart non trouvé',
+        DRIFT_NOT_OPEN: 'Écart déjà traité',
+        INVALID_MODE: 'Mode de correction invalide (ledger ou balance)',
+        NEGATIVE_BALANCE: 'Le solde recalculé est négatif, utilisez le mode balance'
+      };
+      const status = error.code === 'DRIFT_NOT_FOUND' ? 404 : 400;
+      return res.status(status).json({ error: messages[error.code] || error.message });
+    }
+    console.error('Erreur correction écart:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Ignorer un écart après examen
+router.post('/ledger/drifts/:id/dismiss', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: drift, error } = await supabase
+      .from('ledger_drifts')
+      .update({ status: 'dismissed', resolved_by: req.user.id, resolved_at: new Date() })
+      .eq('id', id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (error || !drift) {
+      return res.status(404).json({ error: 'Écart non trouvé ou déjà traité' });
+    }
+
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'DISMISS_LEDGER_DRIFT',
+        details: { drift_id: id, target_user_id: drift.user_id, drift: drift.drift, reason: req.body.reason || null }
+      }]);
+
+    res.json({ message: 'Écart ignoré', drift });
+  } catch (error) {
+    console.error('Erreur écart ignoré:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Gérer les paramètres du site
 router.get('/settings', async (req, res) => {
   try {
@@ -1323,7 +1573,10 @@ router.get('/settings', async (req, res) => {
       coins: {
         daily_reward: parseInt(process.env.COIN_DAILY_REWARD) || 10,
         referral_reward: parseInt(process.env.COIN_REFERRAL_REWARD) || 10,
-        deployment_cost: 10 // Coût par défaut
+        deployment_cost: deploymentFloor(), // Prix plancher (BOT_DEPLOYMENT_COST)
+        // Part du prix de déploiement facturée par opération (BOT_*_COST_PERCENT)
+        action_cost_percent: Object.fromEntries(Object.values(ACTIONS).map(action => [action, actionPercent(action)])),
+        daily_cost: dailyRate(null) // Coût journalier global (BOT_DAILY_COST)
       },
       heroku: {
         default_max_deployments: 5,
@@ -1369,6 +1622,125 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// Lister les promotions
+router.get('/promotions', async (req, res) => {
+  try {
+    const { data: promotions, error } = await supabase
+      .from('promotions')
+      .select(`
+        *,
+        bot:bots(id, name)
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ promotions: promotions || [] });
+  } catch (error) {
+    console.error('Erreur récupération promotions:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Créer une promotion (tous les bots si bot_id est absent)
+router.post('/promotions', async (req, res) => {
+  try {
+    const { name, percent_off, bot_id, starts_at, ends_at, is_active } = req.body;
+    const percentOff = parseInt(percent_off);
+
+    if (!name || isNaN(percentOff) || percentOff < 1 || percentOff > 100) {
+      return res.status(400).json({ error: 'Nom et réduction (1-100 %) requis' });
+    }
+
+    if (ends_at && new Date(ends_at) <= new Date(starts_at || Date.now())) {
+      return res.status(400).json({ error: 'La date de fin doit suivre la date de début' });
+    }
+
+    const { data: promotion, error } = await supabase
+      .from('promotions')
+      .insert([{
+        name,
+        percent_off: percentOff,
+        bot_id: bot_id || null,
+        starts_at: starts_at || new Date(),
+        ends_at: ends_at || null,
+        is_active: is_active !== false,
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'CREATE_PROMOTION',
+        details: { promotion_id: promotion.id, name, percent_off: percentOff, bot_id: bot_id || null }
+      }]);
+
+    res.status(201).json({ message: 'Promotion créée', promotion });
+  } catch (error) {
+    console.error('Erreur création promotion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Modifier ou désactiver une promotion
+router.put('/promotions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, percent_off, ends_at, is_active } = req.body;
+
+    const updates = {};
+    if (name) updates.name = name;
+    if (percent_off !== undefined) {
+      const percentOff = parseInt(percent_off);
+      if (isNaN(percentOff) || percentOff < 1 || percentOff > 100) {
+        return res.status(400).json({ error: 'Réduction invalide (1-100 %)' });
+      }
+      updates.percent_off = percentOff;
+    }
+    if (ends_at !== undefined) updates.ends_at = ends_at || null;
+    if (is_active !== undefined) updates.is_active = is_active;
+
+    const { data: promotion, error } = await supabase
+      .from('promotions')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !promotion) {
+      return res.status(404).json({ error: 'Promotion non trouvée' });
+    }
+
+    await supabase
+      .from('activity_logs')
+      .insert([{
+        user_id: req.user.id,
+        action: 'UPDATE_PROMOTION',
+        details: { promotion_id: id, updates }
+      }]);
+
+    res.json({ message: 'Promotion mise à jour', promotion });
+  } catch (error) {
+    console.error('Erreur mise à jour promotion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// La clé API et la config (hôte, certificats TLS) ne sont jamais renvoyées en clair,
+// sauf demande explicite (voir GET /heroku-account/:id)
+function maskAccount(account) {
+    return account && {
+        ...account,
+        api_key: maskValue(account.api_key, { visible: 4 }),
+        config: maskValue(account.config)
+    };
+}
+
 // Routes pour la gestion des comptes Heroku
 router.get('/heroku-accounts', async (req, res) => {
     try {
@@ -1399,7 +1771,7 @@ router.get('/heroku-accounts', async (req, res) => {
         }
 
         res.json({
-            accounts: accounts || [],
+            accounts: (accounts || []).map(maskAccount),
             stats
         });
     } catch (error) {
@@ -1408,17 +1780,21 @@ router.get('/heroku-accounts', async (req, res) => {
     }
 });
 
-// Valider une clé API Heroku
+// Valider une clé API Heroku (ou les identifiants d'un autre hébergeur via provider)
 router.post('/validate-heroku-key', async (req, res) => {
     try {
-        const { email, api_key } = req.body;
+        const { email, api_key, provider = DEFAULT_PROVIDER, config } = req.body;
 
         if (!email || !api_key) {
             return res.status(400).json({ error: 'Email et clé API requis' });
         }
 
-        // Valider la clé API avec Heroku
-        const isValid = await HerokuService.validateApiKey(api_key);
+        if (!listProviders().includes(provider)) {
+            return res.status(400).json({ error: 'Hébergeur inconnu' });
+        }
+
+        // Valider les identifiants auprès de l'hébergeur
+        const isValid = await getProviderClass(provider).validateAccount({ api_key, config });
         
         if (!isValid) {
             return res.status(400).json({ error: 'Clé API Heroku invalide' });
@@ -1449,12 +1825,16 @@ router.post('/validate-heroku-key', async (req, res) => {
 // Ajouter un compte Heroku
 router.post('/add-heroku-account', async (req, res) => {
     try {
-        const { email, api_key, max_deployments, is_active } = req.body;
+        const { email, api_key, max_deployments, is_active, provider = DEFAULT_PROVIDER, config } = req.body;
 
         if (!email || !api_key) {
             return res.status(400).json({ error: 'Email et clé API requis' });
         }
 
+        if (!listProviders().includes(provider)) {
+            return res.status(400).json({ error: 'Hébergeur inconnu' });
+        }
+
         if (!max_deployments || max_deployments < 1 || max_deployments > 100) {
             return res.status(400).json({ error: 'Limite d\'apps doit être entre 1 et 100' });
         }
@@ -1475,7 +1855,9 @@ router.post('/add-heroku-account', async (req, res) => {
             .from('heroku_accounts')
             .insert([{
                 email,
-                api_key,
+                api_key: encrypt(api_key),
+                provider,
+                config: config ? encrypt(config) : null,
                 max_deployments: parseInt(max_deployments),
                 is_active: is_active !== false,
                 used_count: 0
@@ -1491,12 +1873,12 @@ router.post('/add-heroku-account', async (req, res) => {
             .insert([{
                 user_id: req.user.id,
                 action: 'ADD_HEROKU_ACCOUNT',
-                details: { email, max_deployments, is_active }
+                details: { email, provider, max_deployments, is_active }
             }]);
 
         res.json({
             message: 'Compte Heroku ajouté avec succès',
-            account
+            account: maskAccount(account)
         });
     } catch (error) {
         console.error('Erreur ajout compte Heroku:', error);
@@ -1504,10 +1886,11 @@ router.post('/add-heroku-account', async (req, res) => {
     }
 });
 
-// Récupérer un compte Heroku spécifique
+// Récupérer un compte Heroku spécifique ; ?reveal=true renvoie la clé API en clair (journalisé)
 router.get('/heroku-account/:id', async (req, res) => {
     try {
         const { id } = req.params;
+        const reveal = req.query.reveal === 'true';
 
         const { data: account, error } = await supabase
             .from('heroku_accounts')
@@ -1521,10 +1904,20 @@ router.get('/heroku-account/:id', async (req, res) => {
             return res.status(404).json({ error: 'Compte non trouvé' });
         }
 
-        // Ne pas renvoyer la clé API complète pour des raisons de sécurité
-        const { api_key, ...accountWithoutKey } = account;
+        if (!reveal) {
+            return res.json({ account: maskAccount(account) });
+        }
 
-        res.json({ account: accountWithoutKey });
+        // Log d'activité
+        await supabase
+            .from('activity_logs')
+            .insert([{
+                user_id: req.user.id,
+                action: 'REVEAL_HEROKU_API_KEY',
+                details: { account_id: id, email: account.email }
+            }]);
+
+        res.json({ account: { ...account, api_key: decrypt(account.api_key), config: decrypt(account.config) } });
     } catch (error) {
         console.error('Erreur récupération compte:', error);
         res.status(500).json({ error: 'Erreur serveur' });
@@ -1570,7 +1963,7 @@ router.put('/update-heroku-account/:id', async (req, res) => {
         // Préparer les mises à jour
         const updates = {};
         if (email) updates.email = email;
-        if (api_key) updates.api_key = api_key;
+        if (api_key) updates.api_key = encrypt(api_key);
         if (max_deployments !== undefined) updates.max_deployments = parseInt(max_deployments);
         if (is_active !== undefined) updates.is_active = is_active;
 
@@ -1590,12 +1983,12 @@ router.put('/update-heroku-account/:id', async (req, res) => {
             .insert([{
                 user_id: req.user.id,
                 action: 'UPDATE_HEROKU_ACCOUNT',
-                details: { account_id: id, updates }
+                details: { account_id: id, updates: { ...updates, ...(updates.api_key && { api_key: 'updated' }) } }
             }]);
 
         res.json({
             message: 'Compte mis à jour avec succès',
-            account
+            account: maskAccount(account)
         });
     } catch (error) {
         console.error('Erreur mise à jour compte:', error);
@@ -1728,7 +2121,7 @@ router.get('/get-available-heroku-account', async (req, res) => {
             });
         }
 
-        res.json({ account: availableAccount });
+        res.json({ account: maskAccount(availableAccount) });
     } catch (error) {
         console.error('Erreur récupération compte disponible:', error);
         res.status(500).json({ error: 'Erreur serveur' });
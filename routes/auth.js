@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const supabase = require('../utils/database');
 const EmailService = require('../utils/email');
+const ledger = require('../utils/ledger');
 
 // Inscription
 router.post('/signup', async (req, res) => {
@@ -69,7 +70,7 @@ router.post('/signup', async (req, res) => {
         email,
         password_hash: passwordHash,
         username,
-        coins: initialCoins,
+        coins: 0,
         referral_code: referral_code,
         referred_by,
         verification_code: verificationCode,
@@ -81,6 +82,12 @@ router.post('/signup', async (req, res) => {
 
     if (error) throw error;
 
+    // Bonus de bienvenue passé par le grand livre pour que le solde reste justifié
+    await ledger.credit(user.id, initialCoins, {
+      type: ledger.TYPES.SIGNUP,
+      description: referred_by ? 'Bonus de bienvenue (parrainage inclus)' : 'Bonus de bienvenue'
+    });
+
     // Si parrainage, créer l'entrée maintenant qu'on a l'ID
     if (referralEntry && referred_by && user) {
       await supabase
@@ -237,24 +244,13 @@ router.post('/verify', async (req, res) => {
           .eq('referred_id', user.id)
           .eq('referrer_id', user.referred_by);
 
-        // 2. Donner les coins au parrain
-        await supabase
-          .from('coin_transactions')
-          .insert([{
-            sender_id: null,
-            receiver_id: user.referred_by,
-            amount: referralReward,
-            type: 'referral',
-            description: `Parrainage de ${user.email}`
-          }]);
-
-        // 3. Mettre à jour les coins du parrain
-        await supabase.rpc('increment_coins', {
-          user_id: user.referred_by,
-          amount: referralReward
+        // 2. Créditer le parrain (transaction et solde ensemble)
+        await ledger.credit(user.referred_by, referralReward, {
+          type: ledger.TYPES.REFERRAL,
+          description: `Parrainage de ${user.email}`
         });
 
-        // 4. Notifier le parrain par email
+        // 3. Notifier le parrain par email
         const { data: referrer } = await supabase
           .from('users')
           .select('email')
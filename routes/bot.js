@@ -2,7 +2,23 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const supabase = require('../utils/database');
-const axios = require('axios');
+const ValidationService = require('./validation');
+const { formatRepoReference } = require('../utils/sourceResolver');
+const { loadManifest, manifestNotFoundMessage } = require('../utils/botManifest');
+
+// Erreurs de référence renvoyées telles quelles à l'utilisateur
+const SOURCE_ERROR_CODES = ['INVALID_REFERENCE', 'REPO_NOT_FOUND', 'REF_NOT_FOUND', 'INVALID_MANIFEST'];
+
+// Colonnes du bot décrivant l'emplacement de son manifeste (kerm.json ou app.json)
+function sourceColumns(source, file) {
+  return {
+    manifest_file: file,
+    github_repo: source.repo,
+    source_ref: source.ref,
+    source_path: source.path,
+    source_commit_sha: source.sha
+  };
+}
 
 // Route pour soumettre une demande de bot
 router.post('/submit-request', authMiddleware, async (req, res) => {
@@ -10,14 +26,6 @@ router.post('/submit-request', authMiddleware, async (req, res) => {
     const { github_repo, cost } = req.body;
     const userId = req.user.id;
 
-    // Valider le format du repo GitHub
-    const repoRegex = /^[a-zA-Z0-9-_]+\/[a-zA-Z0-9-_]+$/;
-    if (!repoRegex.test(github_repo)) {
-      return res.status(400).json({ 
-        error: 'Format invalide. Utilisez : username/repository' 
-      });
-    }
-
     // Valider le coût
     const parsedCost = parseInt(cost);
     if (isNaN(parsedCost) || parsedCost < 1) {
@@ -26,32 +34,35 @@ router.post('/submit-request', authMiddleware, async (req, res) => {
       });
     }
 
-    // Vérifier si le repo existe et contient un fichier kerm.json
+    // Vérifier si le repo existe et contient un kerm.json (ou un app.json à importer)
     try {
-      const kermJsonUrl = `https://raw.githubusercontent.com/${github_repo}/main/kerm.json`;
-      const response = await axios.get(kermJsonUrl);
-      
-      if (response.status !== 200) {
+      const { source, file, kermJson, warnings } = await loadManifest(github_repo);
+
+      if (!kermJson) {
         return res.status(400).json({ 
-          error: 'Fichier kerm.json introuvable dans le repository' 
+          error: manifestNotFoundMessage(source)
         });
       }
 
-      const kermJson = response.data;
-
-      // Valider la structure du fichier kerm.json
-      if (!kermJson['bot-name'] || !kermJson.description || !kermJson.env) {
+      // Valider la structure du manifeste (app.json déjà traduit au format kerm.json)
+      const kermValidation = ValidationService.validateKermJSON(kermJson);
+      if (!kermValidation.valid) {
         return res.status(400).json({ 
-          error: 'Fichier kerm.json invalide. Vérifiez la structure.' 
+          error: `Fichier ${file} invalide. Vérifiez la structure.`,
+          errors: kermValidation.errors
         });
       }
 
-      // Vérifier si le bot existe déjà
-      const { data: existingBot } = await supabase
+      // Vérifier si le bot existe déjà (un bot par dossier d'un même dépôt)
+      let existingQuery = supabase
         .from('bots')
         .select('id')
-        .eq('github_repo', github_repo)
-        .single();
+        .eq('github_repo', source.repo);
+      existingQuery = source.path
+        ? existingQuery.eq('source_path', source.path)
+        : existingQuery.is('source_path', null);
+
+      const { data: existingBot } = await existingQuery.limit(1).maybeSingle();
 
       if (existingBot) {
         return res.status(400).json({ 
@@ -65,7 +76,7 @@ router.post('/submit-request', authMiddleware, async (req, res) => {
         .insert([{
           name: kermJson['bot-name'],
           description: kermJson.description,
-          github_repo,
+          ...sourceColumns(source, file),
           owner_id: userId,
           owner_email: req.user.email,
           logo_url: kermJson.logo || null,
@@ -89,20 +100,20 @@ router.post('/submit-request', authMiddleware, async (req, res) => {
           details: { 
             bot_id: bot.id, 
             bot_name: bot.name,
-            github_repo 
+            github_repo: formatRepoReference(source),
+            commit_sha: source.sha
           }
         }]);
 
       res.json({
         message: 'Demande de bot soumise avec succès. En attente d\'approbation.',
-        bot
+        bot,
+        warnings
       });
 
     } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.status(400).json({ 
-          error: 'Fichier kerm.json introuvable. Assurez-vous qu\'il existe dans le répertoire principal.' 
-        });
+      if (SOURCE_ERROR_CODES.includes(error.code)) {
+        return res.status(400).json({ error: error.message });
       }
       throw error;
     }
@@ -219,7 +230,13 @@ router.get('/:id', authMiddleware, async (req, res) => {
 router.put('/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { cost, is_active } = req.body;
+    const { cost, daily_cost, is_active } = req.body;
+
+    // Le coût journalier est facturé aux déploiements déjà en ligne, sans nouvelle approbation :
+    // seul un admin le fixe (PUT /api/admin/bots/:id/daily-cost)
+    if (daily_cost !== undefined) {
+      return res.status(403).json({ error: 'Le coût journalier d\'un bot est fixé par un administrateur' });
+    }
 
     // Vérifier que le bot existe et que l'utilisateur est le propriétaire
     const { data: existingBot, error: checkError } = await supabase
@@ -330,7 +347,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// Synchroniser le fichier kerm.json d'un bot
+// Synchroniser le manifeste d'un bot (kerm.json ou app.json)
 router.post('/:id/sync', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
@@ -347,23 +364,26 @@ router.post('/:id/sync', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Bot non trouvé ou accès non autorisé' });
     }
 
-    // Récupérer le nouveau fichier kerm.json
+    // Récupérer le nouveau manifeste, au même emplacement que lors de la soumission
     try {
-      const kermJsonUrl = `https://raw.githubusercontent.com/${existingBot.github_repo}/main/kerm.json`;
-      const response = await axios.get(kermJsonUrl);
+      const { source, file, kermJson, warnings } = await loadManifest({
+        repo: existingBot.github_repo,
+        ref: existingBot.source_ref,
+        path: existingBot.source_path
+      });
       
-      if (response.status !== 200) {
+      if (!kermJson) {
         return res.status(400).json({ 
-          error: 'Fichier kerm.json introuvable' 
+          error: manifestNotFoundMessage(source)
         });
       }
 
-      const kermJson = response.data;
-
       // Valider la structure
-      if (!kermJson['bot-name'] || !kermJson.description || !kermJson.env) {
+      const kermValidation = ValidationService.validateKermJSON(kermJson);
+      if (!kermValidation.valid) {
         return res.status(400).json({ 
-          error: 'Fichier kerm.json invalide' 
+          error: `Fichier ${file} invalide`,
+          errors: kermValidation.errors
         });
       }
 
@@ -376,6 +396,7 @@ router.post('/:id/sync', authMiddleware, async (req, res) => {
           logo_url: kermJson.logo || null,
           documentation_url: kermJson['documentation-link'] || null,
           kerm_json: kermJson,
+          ...sourceColumns(source, file),
           is_approved: false, // Réinitialiser l'approbation
           updated_at: new Date()
         })
@@ -391,19 +412,18 @@ router.post('/:id/sync', authMiddleware, async (req, res) => {
         .insert([{
           user_id: req.user.id,
           action: 'SYNC_BOT_CONFIG',
-          details: { bot_id: id, bot_name: bot.name }
+          details: { bot_id: id, bot_name: bot.name, commit_sha: source.sha }
         }]);
 
       res.json({ 
         message: 'Configuration du bot synchronisée avec succès',
-        bot 
+        bot,
+        warnings
       });
 
     } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.status(400).json({ 
-          error: 'Fichier kerm.json introuvable' 
-        });
+      if (SOURCE_ERROR_CODES.includes(error.code)) {
+        return res.status(400).json({ error: error.message });
       }
       throw error;
     }
@@ -413,7 +433,7 @@ router.post('/:id/sync', authMiddleware, async (req, res) => {
   }
 });
 
-// Vérifier si un repo GitHub contient un fichier kerm.json
+// Vérifier si un repo GitHub contient un fichier kerm.json ou app.json
 router.post('/check-repo', authMiddleware, async (req, res) => {
   try {
     const { github_repo } = req.body;
@@ -422,43 +442,45 @@ router.post('/check-repo', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Repository GitHub requis' });
     }
 
-    // Valider le format
-    const repoRegex = /^[a-zA-Z0-9-_]+\/[a-zA-Z0-9-_]+$/;
-    if (!repoRegex.test(github_repo)) {
-      return res.status(400).json({ 
-        error: 'Format invalide. Utilisez : username/repository' 
-      });
-    }
-
     try {
-      // Essayer de récupérer le fichier kerm.json
-      const kermJsonUrl = `https://raw.githubusercontent.com/${github_repo}/main/kerm.json`;
-      const response = await axios.get(kermJsonUrl);
-      
-      if (response.status === 200) {
-        const kermJson = response.data;
-        
-        // Valider la structure de base
-        if (!kermJson['bot-name'] || !kermJson.description || !kermJson.env) {
-          return res.json({
-            valid: false,
-            error: 'Structure kerm.json invalide. Vérifiez les champs requis.'
-          });
-        }
+      // Essayer de récupérer le manifeste à l'emplacement demandé
+      const { source, file, kermJson, warnings } = await loadManifest(github_repo);
 
+      if (!kermJson) {
         return res.json({
-          valid: true,
-          kerm_json: kermJson,
-          message: 'Repository valide avec fichier kerm.json correct'
+          valid: false,
+          error: manifestNotFoundMessage(source)
         });
       }
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
+
+      // Valider la structure et le schéma des variables
+      const kermValidation = ValidationService.validateKermJSON(kermJson);
+      if (!kermValidation.valid) {
         return res.json({
           valid: false,
-          error: 'Fichier kerm.json introuvable. Assurez-vous qu\'il existe dans le répertoire principal.'
+          error: `Structure ${file} invalide. Vérifiez les champs requis.`,
+          errors: kermValidation.errors
         });
       }
+
+      return res.json({
+        valid: true,
+        kerm_json: kermJson,
+        source,
+        manifest_file: file,
+        warnings,
+        reference: formatRepoReference(source),
+        message: file === 'app.json'
+          ? 'Repository valide : app.json importé (aucun kerm.json)'
+          : 'Repository valide avec fichier kerm.json correct'
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_REFERENCE') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (SOURCE_ERROR_CODES.includes(error.code)) {
+        return res.json({ valid: false, error: error.message });
+      }
       throw error;
     }
 
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const idempotencyMiddleware = require('../middleware/idempotency');
 const supabase = require('../utils/database');
 const EmailService = require('../utils/email');
+const ledger = require('../utils/ledger');
 
 // Récupérer les transactions de coins d'un utilisateur
 router.get('/transactions', authMiddleware, async (req, res) => {
@@ -77,8 +79,15 @@ router.get('/balance', authMiddleware, async (req, res) => {
     const canClaimDaily = !lastClaimDate || 
       (new Date() - lastClaimDate) > 24 * 60 * 60 * 1000;
 
+    // Coins réservés par des opérations en cours (déploiements, redéploiements...)
+    const holds = await ledger.listActiveHolds(user.id);
+    const heldCoins = holds.reduce((sum, hold) => sum + hold.amount, 0);
+
     res.json({
       balance: user.coins || 0,
+      held: heldCoins,
+      available: Math.max(0, (user.coins || 0) - heldCoins),
+      holds,
       stats: {
         sent: sentTransactions || 0,
         received: receivedTransactions || 0,
@@ -139,55 +148,26 @@ router.get('/claim-status', authMiddleware, async (req, res) => {
 });
 
 // Réclamer les coins quotidiens
-router.post('/claim-daily', authMiddleware, async (req, res) => {
+router.post('/claim-daily', authMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     const dailyReward = parseInt(process.env.COIN_DAILY_REWARD) || 10;
 
-    // Vérifier la dernière réclamation
-    const { data: lastClaim } = await supabase
-      .from('coin_transactions')
-      .select('created_at')
-      .eq('receiver_id', userId)
-      .eq('type', 'daily')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    if (lastClaim) {
-      const lastClaimDate = new Date(lastClaim.created_at);
-      const now = new Date();
-      const hoursSinceLastClaim = (now - lastClaimDate) / (1000 * 60 * 60);
-
-      if (hoursSinceLastClaim < 24) {
-        const hoursRemaining = Math.ceil(24 - hoursSinceLastClaim);
+    // Délai de 24h vérifié et crédit appliqué dans la même opération
+    let claim;
+    try {
+      claim = await ledger.claimDaily(userId, dailyReward);
+    } catch (ledgerError) {
+      if (ledgerError.code === 'DAILY_ALREADY_CLAIMED') {
+        const nextClaim = new Date(ledgerError.details);
+        const hoursRemaining = Math.max(1, Math.ceil((nextClaim - Date.now()) / (1000 * 60 * 60)));
         return res.status(400).json({ 
           error: `Vous avez déjà réclamé vos coins aujourd'hui. Réessayez dans ${hoursRemaining} heures.` 
         });
       }
+      throw ledgerError;
     }
 
-    // Créer la transaction
-    await supabase
-      .from('coin_transactions')
-      .insert([{
-        sender_id: null,
-        receiver_id: userId,
-        amount: dailyReward,
-        type: 'daily',
-        description: 'Réclamation quotidienne de coins'
-      }]);
-
-    // Mettre à jour le solde de l'utilisateur
-    await supabase.rpc('increment_coins', {
-      user_id: userId,
-      amount: dailyReward
-    });
-
-    // Mettre à jour l'utilisateur dans la réponse
-    const updatedUser = { ...req.user };
-    updatedUser.coins = (updatedUser.coins || 0) + dailyReward;
-
     // Log d'activité
     await supabase
       .from('activity_logs')
@@ -200,7 +180,7 @@ router.post('/claim-daily', authMiddleware, async (req, res) => {
     res.json({
       message: `🎉 ${dailyReward} coins réclamés avec succès !`,
       coins_added: dailyReward,
-      new_balance: updatedUser.coins,
+      new_balance: claim.receiver_balance,
       next_claim_available: new Date(Date.now() + 24 * 60 * 60 * 1000)
     });
   } catch (error) {
@@ -210,7 +190,7 @@ router.post('/claim-daily', authMiddleware, async (req, res) => {
 });
 
 // Envoyer des coins à un autre utilisateur
-router.post('/send', authMiddleware, async (req, res) => {
+router.post('/send', authMiddleware, idempotencyMiddleware, async (req, res) => {
   try {
     const { receiver_email, amount, description } = req.body;
     const senderId = req.user.id;
@@ -263,27 +243,23 @@ router.post('/send', authMiddleware, async (req, res) => {
       });
     }
 
-    // Créer la transaction
-    await supabase
-      .from('coin_transactions')
-      .insert([{
-        sender_id: senderId,
-        receiver_id: receiver.id,
-        amount: parsedAmount,
-        type: 'transfer',
-        description: description || `Transfert de ${parsedAmount} coins`
-      }]);
-
-    // Mettre à jour les soldes
-    await supabase.rpc('increment_coins', {
-      user_id: senderId,
-      amount: -parsedAmount
-    });
-
-    await supabase.rpc('increment_coins', {
-      user_id: receiver.id,
-      amount: parsedAmount
-    });
+    // Débit, crédit et transaction en une seule opération
+    let transfer;
+    try {
+      transfer = await ledger.transfer(
+        senderId,
+        receiver.id,
+        parsedAmount,
+        description || `Transfert de ${parsedAmount} coins`
+      );
+    } catch (ledgerError) {
+      if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+        return res.status(400).json({ 
+          error: 'Solde insuffisant' 
+        });
+      }
+      throw ledgerError;
+    }
 
     // Envoyer un email au destinataire
     try {
@@ -308,7 +284,7 @@ router.post('/send', authMiddleware, async (req, res) => {
     res.json({
       message: `✅ ${parsedAmount} coins envoyés à ${receiver_email}`,
       coins_sent: parsedAmount,
-      new_balance: (req.user.coins || 0) - parsedAmount
+      new_balance: transfer.sender_balance
     });
   } catch (error) {
     console.error('Erreur envoi coins:', error);
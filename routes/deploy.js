@@ -1,84 +1,107 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const idempotencyMiddleware = require('../middleware/idempotency');
 const supabase = require('../utils/database');
-const HerokuService = require('../utils/heroku');
+const jobQueue = require('../utils/jobQueue');
+const { startDeployment, startRedeploy } = require('../utils/deploymentPipeline');
+const { getAvailableAccount, getDeploymentProvider, updateAccountUsage } = require('../utils/hostingAccounts');
+const { DEFAULT_PROVIDER, getProviderClass, listProviders } = require('../utils/providers');
+const { STATES, transition, recordCreation, listEvents } = require('../utils/deploymentState');
+const { CONTROL_COLUMNS, STOP_REASONS, pauseDeployment, resumeDeployment } = require('../utils/deploymentControl');
+const schedules = require('../utils/deploymentSchedules');
+const releases = require('../utils/releases');
+const { MASK, encryptEnv, decryptEnv, maskEnv } = require('../utils/encryption');
+const ledger = require('../utils/ledger');
+const pricing = require('../utils/pricing');
+const ValidationService = require('./validation');
+const { fillGeneratedEnv } = require('../utils/envGenerators');
+const addons = require('../utils/addons');
 
 router.use(authMiddleware);
 
-// Obtenir un compte Heroku disponible pour le déploiement
-async function getAvailableHerokuAccount() {
-    try {
-        // Chercher d'abord les comptes avec le moins d'utilisation
-        const { data: accounts, error } = await supabase
-            .from('heroku_accounts')
-            .select('*')
-            .eq('is_active', true)
-            .order('used_count', { ascending: true });
+// Réserver le montant d'un devis ; null si l'opération est gratuite
+// Les coins ne sont débités qu'à la réussite de l'opération
+async function holdQuote(userId, quote, { description, deploymentId }) {
+    if (quote.total <= 0) return null;
+
+    const { hold } = await ledger.placeHold(userId, quote.total, {
+        description,
+        deploymentId,
+        metadata: { quote }
+    });
+    return hold;
+}
 
-        if (error) throw error;
+// Débiter la réservation d'une opération déjà appliquée chez l'hébergeur
+// L'opération n'est pas annulée si le débit échoue : la réservation est libérée et l'opération reste impayée
+async function captureAppliedHold(hold, { deploymentId, reason }) {
+    if (!hold) return { status: 'free' };
 
-        if (!accounts || accounts.length === 0) {
-            throw new Error('Aucun compte Heroku disponible');
-        }
+    let failure;
+    try {
+        const result = await ledger.captureHold(hold.id);
+        return { status: 'captured', amount: result.hold.amount };
+    } catch (captureError) {
+        console.error(`Erreur débit réservation ${hold.id} du déploiement ${deploymentId}:`, captureError);
+        failure = captureError.code || 'CAPTURE_FAILED';
+    }
 
-        // Trouver le premier compte avec de la capacité
-        for (const account of accounts) {
-            const currentUsage = account.used_count || 0;
-            const maxDeployments = account.max_deployments || 5;
-            
-            if (currentUsage < maxDeployments) {
-                return account;
-            }
-        }
+    try {
+        // Une réservation déjà débitée est renvoyée telle quelle : l'opération est alors payée
+        const { hold: released } = await ledger.releaseHold(hold.id, reason);
+        if (released.status === 'captured') return { status: 'captured', amount: released.amount };
+    } catch (releaseError) {
+        console.error(`Erreur libération réservation ${hold.id} du déploiement ${deploymentId}:`, releaseError);
+    }
 
-        // Si tous les comptes sont pleins, utiliser celui avec le plus de capacité
-        const sortedByCapacity = accounts.sort((a, b) => {
-            const capacityA = (a.max_deployments || 0) - (a.used_count || 0);
-            const capacityB = (b.max_deployments || 0) - (b.used_count || 0);
-            return capacityB - capacityA;
-        });
+    return { status: 'unpaid', reason: failure };
+}
 
-        return sortedByCapacity[0];
-    } catch (error) {
-        console.error('Erreur récupération compte Heroku:', error);
-        throw error;
-    }
+// Réponse d'une opération appliquée, avec un avertissement si elle n'a pas pu être débitée
+function paymentFields(payment, cost) {
+    if (payment.status !== 'unpaid') return { cost };
+    return {
+        cost: 0,
+        payment,
+        warning: 'Opération effectuée, mais le débit des coins a échoué : elle ne vous a pas été facturée'
+    };
 }
 
-// Mettre à jour le compteur d'utilisation d'un compte
-async function updateHerokuUsage(accountId, increment = true) {
+// Prix calculé côté serveur pour déployer un bot
+router.get('/quote/:botId', async (req, res) => {
     try {
-        const { data: account } = await supabase
-            .from('heroku_accounts')
-            .select('used_count')
-            .eq('id', accountId)
-            .single();
+        const action = req.query.action || pricing.ACTIONS.DEPLOY;
 
-        if (!account) return;
+        if (!Object.values(pricing.ACTIONS).includes(action)) {
+            return res.status(400).json({ error: 'Action inconnue' });
+        }
 
-        const newCount = increment ? 
-            (account.used_count || 0) + 1 : 
-            Math.max(0, (account.used_count || 0) - 1);
+        const quote = await pricing.quoteForBot(req.params.botId, req.user.id, action);
+        if (!quote) {
+            return res.status(404).json({ error: 'Bot non trouvé ou non approuvé' });
+        }
 
-        await supabase
-            .from('heroku_accounts')
-            .update({ used_count: newCount })
-            .eq('id', accountId);
+        res.json({
+            quote,
+            balance: req.user.coins || 0,
+            affordable: (req.user.coins || 0) >= quote.total
+        });
     } catch (error) {
-        console.error('Erreur mise à jour utilisation Heroku:', error);
+        console.error('Erreur calcul du prix:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
     }
-}
+});
 
 // Déployer un bot
-router.post('/deploy', async (req, res) => {
+router.post('/deploy', idempotencyMiddleware, async (req, res) => {
     try {
-        const { botId, cost } = req.body;
+        const { botId, ref, provider, envVars } = req.body;
         const userId = req.user.id;
 
-        // Vérifier que l'utilisateur a assez de coins
-        if (req.user.coins < cost) {
-            return res.status(400).json({ error: 'Coins insuffisants' });
+        if (provider && !listProviders().includes(provider)) {
+            return res.status(400).json({ error: 'Hébergeur inconnu' });
         }
 
         // Récupérer les informations du bot
@@ -93,37 +116,84 @@ router.post('/deploy', async (req, res) => {
             return res.status(404).json({ error: 'Bot non trouvé ou non approuvé' });
         }
 
-        // Obtenir un compte Heroku disponible
-        const herokuAccount = await getAvailableHerokuAccount();
-        if (!herokuAccount) {
+        // Variables fournies au déploiement : seules celles-ci sont validées selon le schéma kerm.json du bot
+        // Les autres prennent leur valeur par défaut (ou générée) pendant le déploiement
+        let initialEnv = bot.kerm_json?.env ? {} : null;
+        if (envVars && bot.kerm_json?.env) {
+            const envValidation = ValidationService.validateEnvValues(bot.kerm_json.env, envVars, {
+                managed: addons.expectedConfigVars(bot.kerm_json.addons),
+                partial: true
+            });
+            if (!envValidation.valid) {
+                return res.status(400).json({
+                    error: Object.values(envValidation.errors)[0],
+                    errors: envValidation.errors
+                });
+            }
+            initialEnv = envValidation.values;
+        }
+
+        // Le prix vient du serveur, jamais du client
+        const quote = await pricing.quote({ bot, userId, action: pricing.ACTIONS.DEPLOY });
+        if ((req.user.coins || 0) < quote.total) {
+            return res.status(400).json({ error: 'Coins insuffisants' });
+        }
+
+        // Les add-ons du bot doivent pouvoir être créés : vérifié avant de réserver quoi que ce soit
+        const needsAddons = addons.normalizeAddons(bot.kerm_json?.addons).length > 0;
+        if (needsAddons && provider && !getProviderClass(provider).supportsAddons) {
+            return res.status(400).json({ error: 'Cet hébergeur ne gère pas les add-ons déclarés par le bot' });
+        }
+
+        // Obtenir un compte d'hébergement disponible
+        const account = await getAvailableAccount({ provider, addons: needsAddons });
+        if (!account) {
             return res.status(503).json({ 
                 error: 'Aucun serveur disponible. Contactez l\'administrateur.' 
             });
         }
 
         // Vérifier la capacité du compte
-        if ((herokuAccount.used_count || 0) >= (herokuAccount.max_deployments || 5)) {
+        if ((account.used_count || 0) >= (account.max_deployments || 5)) {
             return res.status(503).json({ 
                 error: 'Capacité maximale atteinte sur ce serveur. Réessayez plus tard.' 
             });
         }
 
-        // Initialiser le service Heroku
-        const heroku = new HerokuService(herokuAccount.api_key);
-
         // Générer un nom d'app unique
         const appName = `kermhost-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const deploymentId = crypto.randomUUID();
+
+        // Réserver les coins avant de créer quoi que ce soit : refusé si le solde ne suffit pas
+        // La réservation est débitée quand le déploiement devient actif, libérée s'il échoue
+        let hold;
+        try {
+            hold = await holdQuote(userId, quote, {
+                description: `Déploiement de ${bot.name}`,
+                deploymentId
+            });
+        } catch (ledgerError) {
+            if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+                return res.status(400).json({ error: 'Coins insuffisants' });
+            }
+            throw ledgerError;
+        }
 
         // Créer le déploiement en base de données
         const { data: deployment, error: deployError } = await supabase
             .from('deployments')
             .insert([{
+                id: deploymentId,
                 user_id: userId,
                 bot_id: botId,
                 status: 'pending',
-                cost: cost,
-                heroku_account_id: herokuAccount.id,
-                env_variables: bot.kerm_json?.env ? {} : null,
+                cost: quote.total,
+                coin_hold_id: hold?.id || null,
+                heroku_account_id: account.id,
+                heroku_app_name: appName,
+                provider: account.provider || DEFAULT_PROVIDER,
+                source_ref: ref || bot.source_ref || 'main',
+                env_variables: encryptEnv(initialEnv),
                 logs: 'Démarrage du déploiement...\n'
             }])
             .select(`
@@ -132,35 +202,26 @@ router.post('/deploy', async (req, res) => {
             `)
             .single();
 
-        if (deployError) throw deployError;
-
-        // Mettre à jour les coins de l'utilisateur
-        await supabase
-            .from('users')
-            .update({ coins: req.user.coins - cost })
-            .eq('id', userId);
+        if (deployError) {
+            if (hold) await ledger.releaseHold(hold.id, 'deployment_not_created');
+            throw deployError;
+        }
 
-        // Mettre à jour l'utilisation du compte Heroku
-        await updateHerokuUsage(herokuAccount.id, true);
+        await recordCreation(deployment.id, 'Démarrage du déploiement...');
 
-        // Journaliser la transaction de coins
-        await supabase
-            .from('coin_transactions')
-            .insert([{
-                sender_id: userId,
-                receiver_id: null,
-                amount: cost,
-                type: 'deployment',
-                description: `Déploiement de ${bot.name}`
-            }]);
+        // Mettre à jour l'utilisation du compte d'hébergement
+        await updateAccountUsage(account.id, true);
 
-        // Démarrer le déploiement en arrière-plan
-        deployToHeroku(deployment.id, appName, heroku, bot, herokuAccount);
+        // Confier le déploiement au worker : il reprendra après un redémarrage
+        await startDeployment(deployment.id);
 
         res.json({
             message: 'Déploiement démarré avec succès',
             deploymentId: deployment.id,
-            appName: appName
+            appName: appName,
+            cost: quote.total,
+            holdId: hold?.id || null,
+            newCoins: await ledger.availableBalance(userId)
         });
     } catch (error) {
         console.error('Erreur déploiement:', error);
@@ -168,108 +229,6 @@ router.post('/deploy', async (req, res) => {
     }
 });
 
-// Fonction de déploiement asynchrone
-async function deployToHeroku(deploymentId, appName, heroku, bot, herokuAccount) {
-    try {
-        // Mettre à jour les logs
-        await supabase
-            .from('deployments')
-            .update({ 
-                logs: 'Création de l\'application Heroku...\n',
-                heroku_app_name: appName
-            })
-            .eq('id', deploymentId);
-
-        // 1. Créer l'application Heroku
-        const app = await heroku.createApp(appName, 'eu');
-        
-        await supabase
-            .from('deployments')
-            .update({ 
-                logs: 'Application créée. Déploiement depuis GitHub...\n',
-                heroku_app_id: app.id
-            })
-            .eq('id', deploymentId);
-
-        // 2. Déployer depuis GitHub
-        const githubUrl = `https://github.com/${bot.github_repo}.git`;
-        await heroku.deployFromGithub(appName, githubUrl);
-
-        await supabase
-            .from('deployments')
-            .update({ 
-                logs: 'Déploiement réussi. Configuration des variables d\'environnement...\n',
-                status: 'configuring'
-            })
-            .eq('id', deploymentId);
-
-        // 3. Configurer les variables d'environnement par défaut
-        if (bot.kerm_json?.env) {
-            const defaultEnvVars = {};
-            Object.entries(bot.kerm_json.env).forEach(([key, config]) => {
-                if (config.value) {
-                    defaultEnvVars[key] = config.value;
-                }
-            });
-
-            if (Object.keys(defaultEnvVars).length > 0) {
-                await heroku.setConfigVars(appName, defaultEnvVars);
-                
-                // Enregistrer les variables par défaut
-                await supabase
-                    .from('deployments')
-                    .update({ 
-                        env_variables: defaultEnvVars,
-                        logs: 'Variables d\'environnement configurées. Lancement de l\'application...\n'
-                    })
-                    .eq('id', deploymentId);
-            }
-        }
-
-        // 4. Marquer comme actif
-        await supabase
-            .from('deployments')
-            .update({ 
-                status: 'active',
-                logs: '✅ Déploiement terminé avec succès !\nL\'application est maintenant en ligne.',
-                updated_at: new Date()
-            })
-            .eq('id', deploymentId);
-
-        // Notifier l'utilisateur (email ou notification push)
-        console.log(`Déploiement ${deploymentId} terminé avec succès`);
-
-    } catch (error) {
-        console.error('Erreur déploiement Heroku:', error);
-
-        // Mettre à jour le statut en erreur
-        await supabase
-            .from('deployments')
-            .update({ 
-                status: 'failed',
-                logs: `❌ Erreur lors du déploiement:\n${error.message}\n\nContactez l'administrateur.`
-            })
-            .eq('id', deploymentId);
-
-        // Restituer les coins en cas d'échec
-        const { data: deployment } = await supabase
-            .from('deployments')
-            .select('user_id, cost')
-            .eq('id', deploymentId)
-            .single();
-
-        if (deployment) {
-            await supabase.rpc('increment_coins', {
-                user_id: deployment.user_id,
-                amount: deployment.cost
-            });
-        }
-
-        // Décrémenter l'utilisation du compte Heroku
-        await updateHerokuUsage(herokuAccount.id, false);
-    }
-}
-
 // Récupérer les déploiements d'un utilisateur
 router.get('/user-deployments', async (req, res) => {
     try {
@@ -279,9 +238,11 @@ router.get('/user-deployments', async (req, res) => {
             .from('deployments')
             .select(`
                 *,
-                bot:bots(*)
+                bot:bots(*),
+                schedule:deployment_schedules(is_active, next_action, next_transition_at)
             `)
             .eq('user_id', userId)
+            .neq('status', STATES.DELETED)
             .order('created_at', { ascending: false });
 
         if (error) throw error;
@@ -290,9 +251,15 @@ router.get('/user-deployments', async (req, res) => {
         const deploymentsWithEnvCount = deployments.map(deployment => {
             const envCount = deployment.bot?.kerm_json?.env ? 
                 Object.keys(deployment.bot.kerm_json.env).length : 0;
+            const schedule = deployment.schedule;
             return {
                 ...deployment,
-                env_count: envCount
+                env_variables: maskEnv(deployment.env_variables),
+                env_count: envCount,
+                // Prochain démarrage / arrêt programmé
+                next_scheduled_transition: schedule?.is_active && schedule.next_transition_at
+                    ? { action: schedule.next_action, at: schedule.next_transition_at }
+                    : null
             };
         });
 
@@ -325,13 +292,476 @@ router.get('/deployment/:id', async (req, res) => {
             return res.status(404).json({ error: 'Déploiement non trouvé' });
         }
 
-        res.json({ deployment });
+        // État des étapes de déploiement en file
+        const jobs = await jobQueue.listForDeployment(id);
+        const deploymentAddons = await addons.listDeploymentAddons(id);
+
+        // Valeurs masquées sauf demande explicite (?reveal=true, formulaire de modification)
+        const envVariables = req.query.reveal === 'true'
+            ? decryptEnv(deployment.env_variables)
+            : maskEnv(deployment.env_variables);
+
+        res.json({ deployment: { ...deployment, env_variables: envVariables, addons: deploymentAddons }, jobs });
     } catch (error) {
         console.error('Erreur récupération déploiement:', error);
         res.status(500).json({ error: 'Erreur serveur' });
     }
 });
 
+// Historique des transitions d'un déploiement (propriétaire ou admin)
+router.get('/deployment/:id/events', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        let query = supabase
+            .from('deployments')
+            .select('id, status')
+            .eq('id', id);
+
+        if (req.user.role !== 'admin') {
+            query = query.eq('user_id', req.user.id);
+        }
+
+        const { data: deployment, error } = await query.single();
+
+        if (error || !deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        const events = await listEvents(id);
+
+        res.json({
+            deployment_id: id,
+            status: deployment.status,
+            events
+        });
+    } catch (error) {
+        console.error('Erreur récupération événements:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+// Vérifier que le déploiement appartient à l'utilisateur
+async function findOwnDeployment(id, userId) {
+    const { data: deployment } = await supabase
+        .from('deployments')
+        .select('id, status')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .single();
+
+    return deployment || null;
+}
+
+// Planning de démarrage / arrêt automatique d'un déploiement
+router.get('/deployment/:id/schedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deployment = await findOwnDeployment(id, req.user.id);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        res.json({ schedule: await schedules.getSchedule(id) });
+    } catch (error) {
+        console.error('Erreur récupération planning:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+// Créer ou remplacer le planning
+// Corps : { timezone, windows: [{ days, start, end }] } ou { timezone, start_cron, stop_cron }
+router.put('/deployment/:id/schedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deployment = await findOwnDeployment(id, req.user.id);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        if (deployment.status === STATES.DELETED || deployment.status === STATES.FAILED) {
+            return res.status(409).json({ error: 'Ce déploiement ne peut pas être planifié' });
+        }
+
+        const validation = schedules.validateSchedule(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({ error: 'Planning invalide', errors: validation.errors });
+        }
+
+        const schedule = await schedules.saveSchedule(id, validation.schedule);
+
+        res.json({ message: 'Planning enregistré', schedule });
+    } catch (error) {
+        console.error('Erreur enregistrement planning:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+router.delete('/deployment/:id/schedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deployment = await findOwnDeployment(id, req.user.id);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        await schedules.deleteSchedule(id);
+
+        res.json({ message: 'Planning supprimé' });
+    } catch (error) {
+        console.error('Erreur suppression planning:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+// Releases numérotées d'un déploiement (builds et changements de variables)
+router.get('/deployment/:id/releases', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deployment = await findOwnDeployment(id, req.user.id);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        res.json({ releases: await releases.listReleases(id) });
+    } catch (error) {
+        console.error('Erreur récupération releases:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+// Charger un déploiement de l'utilisateur avec ce qu'il faut pour modifier ses variables
+async function findOwnDeploymentWithEnv(id, userId) {
+    const { data: deployment } = await supabase
+        .from('deployments')
+        .select('id, status, heroku_app_name, heroku_account_id, env_variables, bot:bots(id, name, cost, kerm_json)')
+        .eq('id', id)
+        .eq('user_id', userId)
+        .single();
+
+    return deployment ? { ...deployment, env_variables: decryptEnv(deployment.env_variables) } : null;
+}
+
+// Variables d'une release passée, revalidées selon le schéma kerm.json actuel du bot
+// Le schéma a pu changer depuis (variable devenue obligatoire, nouveau format...)
+// Les valeurs générées absentes de la release reprennent leur valeur actuelle
+async function validateReleaseEnv(deployment, release) {
+    const botEnv = deployment.bot?.kerm_json?.env;
+    if (!botEnv) return { valid: true, values: release.env_snapshot || {} };
+
+    const managed = await addons.managedConfigVars(deployment.id, deployment.bot.kerm_json.addons);
+    const envValidation = ValidationService.validateEnvValues(botEnv, release.env_snapshot || {}, { managed });
+    if (!envValidation.valid) return envValidation;
+
+    return {
+        valid: true,
+        values: fillGeneratedEnv(botEnv, envValidation.values, deployment.env_variables || {}, {
+            deploymentId: deployment.id,
+            appName: deployment.heroku_app_name
+        })
+    };
+}
+
+// Revenir au code et aux variables d'une release précédente
+// Facturé comme un redéploiement (devis ROLLBACK) : débité seulement si le retour réussit
+router.post('/deployment/:id/rollback', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = parseInt(req.body.version);
+        const userId = req.user.id;
+
+        if (!version) {
+            return res.status(400).json({ error: 'Numéro de release requis' });
+        }
+
+        const deployment = await findOwnDeploymentWithEnv(id, userId);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        if (deployment.status !== STATES.ACTIVE && deployment.status !== STATES.STOPPED) {
+            return res.status(409).json({ error: 'Le déploiement doit être en ligne ou arrêté pour revenir en arrière' });
+        }
+
+        const target = await releases.getRelease(id, version);
+        if (!target) {
+            return res.status(404).json({ error: 'Release non trouvée' });
+        }
+
+        const envValidation = await validateReleaseEnv(deployment, target);
+        if (!envValidation.valid) {
+            return res.status(400).json({
+                error: `Les variables de la release v${target.version} ne respectent plus le schéma du bot : ${Object.values(envValidation.errors)[0]}`,
+                errors: envValidation.errors
+            });
+        }
+
+        const quote = await pricing.quote({ bot: deployment.bot, userId, action: pricing.ACTIONS.ROLLBACK });
+        if ((req.user.coins || 0) < quote.total) {
+            return res.status(400).json({ error: 'Coins insuffisants' });
+        }
+
+        let hold;
+        try {
+            hold = await holdQuote(userId, quote, {
+                description: `Retour à la release v${target.version} de ${deployment.bot.name}`,
+                deploymentId: id
+            });
+        } catch (ledgerError) {
+            if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+                return res.status(400).json({ error: 'Coins insuffisants' });
+            }
+            throw ledgerError;
+        }
+
+        let release;
+        try {
+            release = await releases.rollbackToRelease(deployment, target, { userId, env: envValidation.values });
+        } catch (rollbackError) {
+            if (hold) await ledger.releaseHold(hold.id, 'rollback_failed');
+            throw rollbackError;
+        }
+
+        const payment = await captureAppliedHold(hold, { deploymentId: id, reason: 'rollback_unpaid' });
+
+        res.json({
+            message: `Retour à la release v${target.version} effectué`,
+            release: release.version,
+            ...paymentFields(payment, quote.total),
+            newCoins: await ledger.availableBalance(userId)
+        });
+    } catch (error) {
+        console.error('Erreur rollback:', error);
+        res.status(500).json({ error: 'Erreur lors du retour à la release' });
+    }
+});
+
+// Versions des variables d'environnement : clés modifiées, auteur et date de chaque release
+router.get('/deployment/:id/env/versions', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deployment = await findOwnDeployment(id, req.user.id);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        const versions = await releases.listReleases(id);
+
+        res.json({
+            versions: versions.map(release => ({
+                version: release.version,
+                kind: release.kind,
+                changes: release.env_changes,
+                description: release.description,
+                created_by: release.creator ? { id: release.created_by, ...release.creator } : null,
+                created_at: release.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Erreur récupération versions des variables:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+// Différences de variables entre deux versions
+// ?from=3&to=5 ; par défaut la dernière version comparée à la précédente
+// Valeurs masquées sauf ?reveal=true ; celles des secrets le restent toujours
+router.get('/deployment/:id/env/diff', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deployment = await findOwnDeploymentWithEnv(id, req.user.id);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        const latest = await releases.getLatestRelease(id);
+        if (!latest) {
+            return res.status(404).json({ error: 'Aucune version enregistrée' });
+        }
+
+        const toVersion = parseInt(req.query.to) || latest.version;
+        const fromVersion = parseInt(req.query.from) || toVersion - 1;
+
+        const [from, to] = await Promise.all([
+            fromVersion > 0 ? releases.getRelease(id, fromVersion) : null,
+            releases.getRelease(id, toVersion)
+        ]);
+
+        if (!to || (fromVersion > 0 && !from)) {
+            return res.status(404).json({ error: 'Version non trouvée' });
+        }
+
+        res.json({
+            from: from ? from.version : null,
+            to: to.version,
+            changes: releases.diffEnv(from?.env_snapshot || {}, to.env_snapshot, deployment.bot?.kerm_json?.env, {
+                reveal: req.query.reveal === 'true'
+            })
+        });
+    } catch (error) {
+        console.error('Erreur comparaison des variables:', error);
+        res.status(500).json({ error: 'Erreur serveur' });
+    }
+});
+
+// Réappliquer les variables d'une version passée, sans toucher au code en ligne
+// Facturé comme une mise à jour des variables (devis ENV_UPDATE) : débité seulement si elle réussit
+router.post('/deployment/:id/env/reapply', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const version = parseInt(req.body.version);
+        const userId = req.user.id;
+
+        if (!version) {
+            return res.status(400).json({ error: 'Numéro de version requis' });
+        }
+
+        const deployment = await findOwnDeploymentWithEnv(id, userId);
+        if (!deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        if (deployment.status !== STATES.ACTIVE && deployment.status !== STATES.STOPPED) {
+            return res.status(409).json({ error: 'Le déploiement doit être en ligne ou arrêté pour modifier ses variables' });
+        }
+
+        const target = await releases.getRelease(id, version);
+        if (!target) {
+            return res.status(404).json({ error: 'Version non trouvée' });
+        }
+
+        const envValidation = await validateReleaseEnv(deployment, target);
+        if (!envValidation.valid) {
+            return res.status(400).json({
+                error: `Les variables de la version v${target.version} ne respectent plus le schéma du bot : ${Object.values(envValidation.errors)[0]}`,
+                errors: envValidation.errors
+            });
+        }
+
+        const quote = await pricing.quote({ bot: deployment.bot, userId, action: pricing.ACTIONS.ENV_UPDATE });
+        if ((req.user.coins || 0) < quote.total) {
+            return res.status(400).json({ error: 'Coins insuffisants' });
+        }
+
+        let hold;
+        try {
+            hold = await holdQuote(userId, quote, {
+                description: `Réapplication des variables v${target.version} pour ${deployment.bot.name}`,
+                deploymentId: id
+            });
+        } catch (ledgerError) {
+            if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+                return res.status(400).json({ error: 'Coins insuffisants' });
+            }
+            throw ledgerError;
+        }
+
+        let release;
+        try {
+            release = await releases.reapplyEnv(deployment, target, { userId, env: envValidation.values });
+        } catch (reapplyError) {
+            if (hold) await ledger.releaseHold(hold.id, 'env_reapply_failed');
+            throw reapplyError;
+        }
+
+        const payment = await captureAppliedHold(hold, { deploymentId: id, reason: 'env_reapply_unpaid' });
+
+        res.json({
+            message: `Variables de la version v${target.version} réappliquées`,
+            release: release.version,
+            changes: releases.diffEnv(deployment.env_variables || {}, envValidation.values, deployment.bot?.kerm_json?.env),
+            ...paymentFields(payment, quote.total),
+            newCoins: await ledger.availableBalance(userId)
+        });
+    } catch (error) {
+        console.error('Erreur réapplication des variables:', error);
+        res.status(500).json({ error: 'Erreur lors de la réapplication des variables' });
+    }
+});
+
+// Durée maximale d'un suivi de logs en HTTP
+const LOG_TAIL_MAX_DURATION = 10 * 60 * 1000;
+
+// Logs runtime d'un bot (propriétaire ou admin)
+// ?lines=100 (1-1500), ?dyno=web.1, ?tail=true pour suivre en continu
+router.get('/deployment/:id/logs', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dyno, tail } = req.query;
+        const lines = req.query.lines === undefined ? 100 : parseInt(req.query.lines);
+
+        if (isNaN(lines) || lines < 1 || lines > 1500) {
+            return res.status(400).json({ error: 'lines doit être compris entre 1 et 1500' });
+        }
+
+        if (dyno && !/^[a-zA-Z0-9_.-]+$/.test(dyno)) {
+            return res.status(400).json({ error: 'Nom de dyno invalide' });
+        }
+
+        let query = supabase
+            .from('deployments')
+            .select('id, status, heroku_app_name, heroku_account_id')
+            .eq('id', id);
+
+        if (req.user.role !== 'admin') {
+            query = query.eq('user_id', req.user.id);
+        }
+
+        const { data: deployment, error } = await query.single();
+
+        if (error || !deployment || deployment.status === STATES.DELETED) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        if (!deployment.heroku_app_name) {
+            return res.status(409).json({ error: 'Application pas encore créée' });
+        }
+
+        const provider = await getDeploymentProvider(deployment);
+        if (!provider) {
+            return res.status(500).json({ error: 'Erreur serveur d\'hébergement' });
+        }
+
+        if (tail !== 'true') {
+            const logs = await provider.getAppLogs(deployment.heroku_app_name, { lines, dyno });
+            return res.json({ deployment_id: id, lines: logs });
+        }
+
+        // Suivi continu : texte brut envoyé au fil de l'eau
+        const stream = await provider.tailLogs(deployment.heroku_app_name, line => {
+            res.write(`${line}\n`);
+            // La compression garde sinon les lignes en mémoire tampon
+            if (res.flush) res.flush();
+        }, { lines, dyno });
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('X-Accel-Buffering', 'no');
+        res.flushHeaders();
+
+        const timer = setTimeout(() => stream.close(), LOG_TAIL_MAX_DURATION);
+        req.on('close', () => stream.close());
+
+        stream.done
+            .catch(streamError => console.error('Erreur suivi des logs:', streamError.message))
+            .finally(() => {
+                clearTimeout(timer);
+                res.end();
+            });
+    } catch (error) {
+        console.error('Erreur récupération logs:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Erreur lors de la récupération des logs' });
+    }
+});
+
 // Mettre à jour les variables d'environnement
 router.put('/update-env/:id', async (req, res) => {
     try {
@@ -342,7 +772,7 @@ router.put('/update-env/:id', async (req, res) => {
         // Vérifier que le déploiement appartient à l'utilisateur
         const { data: deployment, error: checkError } = await supabase
             .from('deployments')
-            .select('bot:bots(cost, kerm_json), heroku_account_id')
+            .select('id, status, heroku_app_name, heroku_account_id, env_variables, bot:bots(id, name, cost, kerm_json)')
             .eq('id', id)
             .eq('user_id', userId)
             .single();
@@ -351,80 +781,86 @@ router.put('/update-env/:id', async (req, res) => {
             return res.status(404).json({ error: 'Déploiement non trouvé' });
         }
 
+        // Un pipeline en cours écrit lui-même les variables ; un bot arrêté passe par la réapplication
+        if (deployment.status !== STATES.ACTIVE) {
+            return res.status(409).json({ error: 'Seul un bot en ligne peut modifier ses variables' });
+        }
+
         // Vérifier que l'utilisateur a assez de coins
-        const cost = deployment.bot.cost || 10;
-        if (req.user.coins < cost) {
+        const quote = await pricing.quote({ bot: deployment.bot, userId, action: pricing.ACTIONS.ENV_UPDATE });
+        if ((req.user.coins || 0) < quote.total) {
             return res.status(400).json({ error: 'Coins insuffisants' });
         }
 
-        // Obtenir le compte Heroku
-        const { data: herokuAccount } = await supabase
-            .from('heroku_accounts')
-            .select('api_key')
-            .eq('id', deployment.heroku_account_id)
-            .single();
-
-        if (!herokuAccount) {
-            return res.status(500).json({ error: 'Erreur serveur Heroku' });
+        // Client de l'hébergeur du déploiement
+        const provider = await getDeploymentProvider(deployment);
+        if (!provider) {
+            return res.status(500).json({ error: 'Erreur serveur d\'hébergement' });
         }
 
-        // Initialiser le service Heroku
-        const heroku = new HerokuService(herokuAccount.api_key);
-
         // Valider les variables d'environnement
+        // Une valeur renvoyée masquée par l'API garde la valeur actuelle
+        // Les variables des add-ons (DATABASE_URL...) restent gérées par l'hébergeur
         const botEnv = deployment.bot.kerm_json?.env || {};
-        const validatedEnvVars = {};
-
-        for (const [key, config] of Object.entries(botEnv)) {
-            const value = envVars[key] || config.value || '';
-            
-            if (config.required !== false && !value) {
-                return res.status(400).json({ 
-                    error: `La variable "${key}" est obligatoire` 
-                });
-            }
-            
-            validatedEnvVars[key] = value;
-        }
+        const currentEnv = decryptEnv(deployment.env_variables) || {};
+        const managed = await addons.managedConfigVars(id, deployment.bot.kerm_json?.addons);
+        const submitted = {};
+        Object.keys(botEnv).forEach(key => {
+            submitted[key] = envVars?.[key] === MASK ? currentEnv[key] : envVars?.[key];
+        });
 
-        // Mettre à jour les variables sur Heroku
-        await heroku.setConfigVars(deployment.heroku_app_name, validatedEnvVars);
+        const envValidation = ValidationService.validateEnvValues(botEnv, submitted, { managed });
+        if (!envValidation.valid) {
+            return res.status(400).json({
+                error: Object.values(envValidation.errors)[0],
+                errors: envValidation.errors
+            });
+        }
+        const validatedEnvVars = fillGeneratedEnv(botEnv, envValidation.values, currentEnv, {
+            deploymentId: id,
+            appName: deployment.heroku_app_name
+        });
 
-        // Redémarrer l'application
-        await heroku.restartApp(deployment.heroku_app_name);
+        // Réserver les coins ; débités seulement si l'hébergeur accepte la mise à jour
+        let hold;
+        try {
+            hold = await holdQuote(userId, quote, {
+                description: `Mise à jour des variables pour ${deployment.bot.name}`,
+                deploymentId: id
+            });
+        } catch (ledgerError) {
+            if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+                return res.status(400).json({ error: 'Coins insuffisants' });
+            }
+            throw ledgerError;
+        }
 
-        // Mettre à jour la base de données
-        await supabase
-            .from('deployments')
-            .update({
-                env_variables: validatedEnvVars,
-                updated_at: new Date()
-            })
-            .eq('id', id);
+        try {
+            // Remplacer les variables chez l'hébergeur (celles retirées du formulaire sont supprimées)
+            // puis en base, avant de débiter quoi que ce soit
+            await releases.applyEnv(provider, deployment, validatedEnvVars);
 
-        // Débiter les coins
-        await supabase
-            .from('users')
-            .update({ coins: req.user.coins - cost })
-            .eq('id', userId);
+            // Redémarrer l'application
+            await provider.restartApp(deployment.heroku_app_name);
+        } catch (updateError) {
+            if (hold) await ledger.releaseHold(hold.id, 'env_update_failed');
+            throw updateError;
+        }
 
-        // Journaliser la transaction
-        await supabase
-            .from('coin_transactions')
-            .insert([{
-                sender_id: userId,
-                receiver_id: null,
-                amount: cost,
-                type: 'deployment',
-                description: `Mise à jour des variables pour ${deployment.bot.name}`
-            }]);
+        const payment = await captureAppliedHold(hold, { deploymentId: id, reason: 'env_update_unpaid' });
 
-        // Mettre à jour l'utilisateur dans le localStorage
-        const updatedUser = { ...req.user, coins: req.user.coins - cost };
+        const release = await releases.recordRelease(id, {
+            kind: releases.KINDS.CONFIG,
+            env: validatedEnvVars,
+            description: 'Mise à jour des variables',
+            createdBy: userId
+        });
 
         res.json({
             message: 'Variables mises à jour avec succès',
-            newCoins: updatedUser.coins
+            release: release.version,
+            ...paymentFields(payment, quote.total),
+            newCoins: await ledger.availableBalance(userId)
         });
     } catch (error) {
         console.error('Erreur mise à jour variables:', error);
@@ -440,7 +876,7 @@ router.post('/restart/:id', async (req, res) => {
 
         const { data: deployment, error } = await supabase
             .from('deployments')
-            .select('heroku_app_name, heroku_account_id')
+            .select('status, heroku_app_name, heroku_account_id')
             .eq('id', id)
             .eq('user_id', userId)
             .single();
@@ -449,20 +885,18 @@ router.post('/restart/:id', async (req, res) => {
             return res.status(404).json({ error: 'Déploiement non trouvé' });
         }
 
-        // Obtenir le compte Heroku
-        const { data: herokuAccount } = await supabase
-            .from('heroku_accounts')
-            .select('api_key')
-            .eq('id', deployment.heroku_account_id)
-            .single();
+        // Un bot arrêté se relance avec /start, qui vérifie le solde
+        if (deployment.status !== STATES.ACTIVE) {
+            return res.status(409).json({ error: 'Seul un bot en ligne peut être redémarré' });
+        }
 
-        if (!herokuAccount) {
-            return res.status(500).json({ error: 'Erreur serveur Heroku' });
+        const provider = await getDeploymentProvider(deployment);
+        if (!provider) {
+            return res.status(500).json({ error: 'Erreur serveur d\'hébergement' });
         }
 
         // Redémarrer l'application
-        const heroku = new HerokuService(herokuAccount.api_key);
-        await heroku.restartApp(deployment.heroku_app_name);
+        await provider.restartApp(deployment.heroku_app_name);
 
         res.json({ message: 'Bot redémarré avec succès' });
     } catch (error) {
@@ -471,15 +905,15 @@ router.post('/restart/:id', async (req, res) => {
     }
 });
 
-// Supprimer un bot
-router.delete('/delete/:id', async (req, res) => {
+// Arrêter un bot sans le supprimer : ses process sont mis à zéro et il n'est plus facturé
+router.post('/stop/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const userId = req.user.id;
 
         const { data: deployment, error } = await supabase
             .from('deployments')
-            .select('heroku_app_name, heroku_account_id, cost')
+            .select(CONTROL_COLUMNS)
             .eq('id', id)
             .eq('user_id', userId)
             .single();
@@ -488,31 +922,176 @@ router.delete('/delete/:id', async (req, res) => {
             return res.status(404).json({ error: 'Déploiement non trouvé' });
         }
 
-        // Supprimer l'application Heroku
-        const { data: herokuAccount } = await supabase
-            .from('heroku_accounts')
-            .select('api_key')
-            .eq('id', deployment.heroku_account_id)
+        if (deployment.status !== STATES.ACTIVE) {
+            return res.status(409).json({ error: 'Seul un bot en ligne peut être arrêté' });
+        }
+
+        const updated = await pauseDeployment(deployment, {
+            reason: STOP_REASONS.OWNER,
+            message: '⏸️ Bot arrêté par son propriétaire',
+            details: { user_id: userId }
+        });
+
+        res.json({ message: 'Bot arrêté avec succès', status: updated.status });
+    } catch (error) {
+        console.error('Erreur arrêt:', error);
+        res.status(500).json({ error: 'Erreur lors de l\'arrêt' });
+    }
+});
+
+// Relancer un bot arrêté
+router.post('/start/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const { data: deployment, error } = await supabase
+            .from('deployments')
+            .select(CONTROL_COLUMNS)
+            .eq('id', id)
+            .eq('user_id', userId)
             .single();
 
-        if (herokuAccount) {
-            try {
-                const heroku = new HerokuService(herokuAccount.api_key);
-                await heroku.deleteApp(deployment.heroku_app_name);
-            } catch (herokuError) {
-                console.error('Erreur suppression Heroku:', herokuError);
-                // Continuer même en cas d'erreur Heroku
+        if (error || !deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        if (deployment.status !== STATES.STOPPED) {
+            return res.status(409).json({ error: 'Ce bot n\'est pas arrêté' });
+        }
+
+        let updated;
+        try {
+            updated = await resumeDeployment(deployment, {
+                message: '▶️ Bot relancé par son propriétaire',
+                details: { user_id: userId }
+            });
+        } catch (ledgerError) {
+            if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+                return res.status(400).json({ error: 'Coins insuffisants pour relancer le bot' });
             }
+            throw ledgerError;
         }
 
-        // Supprimer le déploiement de la base de données
-        await supabase
+        res.json({ message: 'Bot relancé avec succès', status: updated.status });
+    } catch (error) {
+        console.error('Erreur relance:', error);
+        res.status(500).json({ error: 'Erreur lors de la relance' });
+    }
+});
+
+// Redéployer un bot : même commit par défaut, ou dernier commit d'une référence
+router.post('/redeploy/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { ref, latest } = req.body;
+        const userId = req.user.id;
+
+        const { data: deployment, error } = await supabase
             .from('deployments')
-            .delete()
-            .eq('id', id);
+            .select('id, status, source_ref, source_commit_sha, bot:bots(id, name, cost, source_ref)')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .single();
+
+        if (error || !deployment) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        if (deployment.status !== STATES.ACTIVE) {
+            return res.status(409).json({ error: 'Seul un bot actif peut être redéployé' });
+        }
+
+        // Vérifier que l'utilisateur a assez de coins
+        const quote = await pricing.quote({ bot: deployment.bot, userId, action: pricing.ACTIONS.REDEPLOY });
+        if ((req.user.coins || 0) < quote.total) {
+            return res.status(400).json({ error: 'Coins insuffisants' });
+        }
+
+        // Sans nouvelle référence, on reconstruit exactement le même commit
+        const targetRef = ref || deployment.source_ref || deployment.bot.source_ref || 'main';
+        const targetSha = (ref || latest) ? null : deployment.source_commit_sha;
+
+        let hold;
+        try {
+            hold = await holdQuote(userId, quote, {
+                description: `Redéploiement de ${deployment.bot.name}`,
+                deploymentId: id
+            });
+        } catch (ledgerError) {
+            if (ledgerError.code === 'INSUFFICIENT_FUNDS') {
+                return res.status(400).json({ error: 'Coins insuffisants' });
+            }
+            throw ledgerError;
+        }
+
+        try {
+            await startRedeploy(id, { ref: targetRef, sha: targetSha, holdId: hold?.id || null });
+        } catch (redeployError) {
+            if (hold) await ledger.releaseHold(hold.id, 'redeploy_not_started');
+            throw redeployError;
+        }
+
+        res.json({
+            message: 'Redéploiement démarré',
+            ref: targetRef,
+            commit_sha: targetSha,
+            cost: quote.total,
+            holdId: hold?.id || null,
+            newCoins: await ledger.availableBalance(userId)
+        });
+    } catch (error) {
+        console.error('Erreur redéploiement:', error);
+        res.status(500).json({ error: 'Erreur lors du redéploiement' });
+    }
+});
 
-        // Décrémenter l'utilisation du compte Heroku
-        await updateHerokuUsage(deployment.heroku_account_id, false);
+// Supprimer un bot
+router.delete('/delete/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const { data: deployment, error } = await supabase
+            .from('deployments')
+            .select('status, heroku_app_name, heroku_account_id, cost')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .single();
+
+        if (error || !deployment || deployment.status === STATES.DELETED) {
+            return res.status(404).json({ error: 'Déploiement non trouvé' });
+        }
+
+        // Supprimer les add-ons puis l'application chez l'hébergeur
+        const provider = await getDeploymentProvider(deployment);
+
+        const addonCleanup = await addons.deprovisionAddons(provider, { id, ...deployment });
+        if (addonCleanup.errors > 0) {
+            console.error(`${addonCleanup.errors} add-on(s) du déploiement ${id} non supprimé(s)`);
+        }
+
+        if (provider) {
+            try {
+                await provider.deleteApp(deployment.heroku_app_name);
+            } catch (providerError) {
+                console.error('Erreur suppression application:', providerError);
+                // Continuer même en cas d'erreur de l'hébergeur
+            }
+        }
+
+        // Suppression logique : l'historique des événements est conservé
+        await jobQueue.cancelForDeployment(id);
+        await ledger.releaseDeploymentHolds(id, 'deployment_deleted');
+        await transition(id, STATES.DELETED, {
+            message: 'Bot supprimé par l\'utilisateur',
+            updates: { deleted_at: new Date() }
+        });
+
+        // Décrémenter l'utilisation du compte (déjà fait si le déploiement a échoué)
+        if (deployment.status !== STATES.FAILED) {
+            await updateAccountUsage(deployment.heroku_account_id, false);
+        }
 
         res.json({ message: 'Bot supprimé avec succès' });
     } catch (error) {
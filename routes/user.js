@@ -124,17 +124,17 @@ router.delete('/account', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Vérifier si l'utilisateur a des déploiements actifs
+    // Vérifier si l'utilisateur a des déploiements actifs ou arrêtés (toujours hébergés)
     const { data: activeDeployments } = await supabase
       .from('deployments')
       .select('id')
       .eq('user_id', userId)
-      .eq('status', 'active')
+      .in('status', ['active', 'stopped'])
       .limit(1);
 
     if (activeDeployments && activeDeployments.length > 0) {
       return res.status(400).json({ 
-        error: 'Impossible de supprimer le compte : vous avez des déploiements actifs. Supprimez d\'abord vos bots.' 
+        error: 'Impossible de supprimer le compte : vous avez des déploiements actifs ou arrêtés. Supprimez d\'abord vos bots.' 
       });
     }
 
@@ -429,17 +429,17 @@ router.delete('/account', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Vérifier si l'utilisateur a des déploiements actifs
+    // Vérifier si l'utilisateur a des déploiements actifs ou arrêtés (toujours hébergés)
     const { data: activeDeployments } = await supabase
       .from('deployments')
       .select('id')
       .eq('user_id', userId)
-      .eq('status', 'active')
+      .in('status', ['active', 'stopped'])
       .limit(1);
 
     if (activeDeployments && activeDeployments.length > 0) {
       return res.status(400).json({ 
-        error: 'Impossible de supprimer le compte : vous avez des déploiements actifs. Supprimez d\'abord vos bots.' 
+        error: 'Impossible de supprimer le compte : vous avez des déploiements actifs ou arrêtés. Supprimez d\'abord vos bots.' 
       });
     }
 
@@ -1,6 +1,68 @@
 const validator = require('validator');
+const safeRegex = require('safe-regex2');
+const { parseRepoReference } = require('../utils/sourceResolver');
+const { isKnownGenerator, validateGenerator } = require('../utils/envGenerators');
+
+// Versions du schéma kerm.json acceptées
+const KERM_SCHEMA_VERSIONS = [1, 2];
+// Types de variables d'environnement (schema-version 2)
+const ENV_TYPES = ['string', 'number', 'boolean', 'enum', 'phone', 'url'];
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ENV_VALUE_MAX_LENGTH = 1000;
+// Les patterns viennent du propriétaire du bot : courts et sans quantificateurs imbriqués (ReDoS)
+const ENV_PATTERN_MAX_LENGTH = 200;
+// Buildpacks du registre Heroku (heroku/nodejs) ; les autres sont donnés par URL
+const BUILDPACK_NAME_PATTERN = /^[a-z0-9-]+\/[a-z0-9._-]+$/i;
+const STACK_PATTERN = /^heroku-\d{2}$/;
+const PROCESS_TYPE_PATTERN = /^[a-z0-9_-]{1,30}$/i;
+// Les dynos sont facturés sur les comptes de la plateforme : tailles et quantités limitées
+const ALLOWED_DYNO_SIZES = (process.env.ALLOWED_DYNO_SIZES || 'eco,basic')
+  .split(',')
+  .map(size => size.trim().toLowerCase())
+  .filter(Boolean);
+const MAX_DYNO_QUANTITY = parseInt(process.env.MAX_DYNO_QUANTITY) || 1;
+// Add-ons créables sur les comptes de la plateforme, plan compris
+const ALLOWED_ADDON_PLANS = (process.env.ALLOWED_ADDON_PLANS || 'heroku-postgresql:essential-0,heroku-redis:mini')
+  .split(',')
+  .map(plan => plan.trim())
+  .filter(Boolean);
+const ADDON_ATTACHMENT_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const BOOLEAN_TRUE = ['true', '1', 'yes', 'oui', 'on'];
+const BOOLEAN_FALSE = ['false', '0', 'no', 'non', 'off'];
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Vérifier qu'un pattern de kerm.json peut être exécuté sans risque ; renvoie un message d'erreur ou null
+function patternError(pattern) {
+  if (typeof pattern !== 'string') {
+    return 'pattern doit être un texte';
+  }
+  if (pattern.length > ENV_PATTERN_MAX_LENGTH) {
+    return `pattern ne peut pas dépasser ${ENV_PATTERN_MAX_LENGTH} caractères`;
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return 'pattern n\'est pas une expression régulière valide';
+  }
+  if (!safeRegex(pattern)) {
+    return 'pattern trop complexe (quantificateurs imbriqués)';
+  }
+  return null;
+}
+
+function envDefault(config = {}) {
+  return config.default !== undefined ? config.default : config.value;
+}
 
 class ValidationService {
+  // Limites des comptes de la plateforme, appliquées aussi à l'import d'un app.json
+  static ALLOWED_DYNO_SIZES = ALLOWED_DYNO_SIZES;
+  static MAX_DYNO_QUANTITY = MAX_DYNO_QUANTITY;
+  static ALLOWED_ADDON_PLANS = ALLOWED_ADDON_PLANS;
+
   // Valider une adresse email
   static validateEmail(email) {
     if (!email) {
@@ -57,18 +119,13 @@ class ValidationService {
     return { valid: true };
   }
 
-  // Valider un repository GitHub
+  // Valider un repository GitHub (propriétaire/dépôt, @branche ou tag, :sous-dossier, URL GitHub)
   static validateGitHubRepo(repo) {
-    if (!repo) {
-      return { valid: false, error: 'Repository GitHub requis' };
+    try {
+      return { valid: true, reference: parseRepoReference(repo) };
+    } catch (error) {
+      return { valid: false, error: error.message };
     }
-    
-    const repoRegex = /^[a-zA-Z0-9-_]+\/[a-zA-Z0-9-_]+$/;
-    if (!repoRegex.test(repo)) {
-      return { valid: false, error: 'Format invalide. Utilisez : username/repository' };
-    }
-    
-    return { valid: true };
   }
 
   // Valider un montant de coins
@@ -198,13 +255,20 @@ class ValidationService {
   }
 
   // Valider un fichier kerm.json
+  // schema-version 1 (défaut) : value, required et description par variable
+  // schema-version 2 : ajoute type, pattern, min, max, options, secret, default, help et generator
   static validateKermJSON(kermJson) {
     const errors = [];
     
-    if (!kermJson) {
+    if (!kermJson || typeof kermJson !== 'object') {
       return { valid: false, errors: ['kerm.json est vide'] };
     }
     
+    const schemaVersion = kermJson['schema-version'] === undefined ? 1 : kermJson['schema-version'];
+    if (!KERM_SCHEMA_VERSIONS.includes(schemaVersion)) {
+      return { valid: false, errors: [`schema-version non supportée : ${schemaVersion}`] };
+    }
+    
     // Vérifier les champs requis
     if (!kermJson['bot-name']) {
       errors.push('bot-name est requis');
@@ -214,21 +278,21 @@ class ValidationService {
       errors.push('description est requise');
     }
     
-    if (!kermJson.env || typeof kermJson.env !== 'object') {
+    if (!kermJson.env || typeof kermJson.env !== 'object' || Array.isArray(kermJson.env)) {
       errors.push('env est requis et doit être un objet');
     } else {
       // Valider chaque variable d'environnement
       Object.entries(kermJson.env).forEach(([key, config]) => {
-        if (!config.description) {
-          errors.push(`Description manquante pour ${key}`);
-        }
-        
-        if (config.required === true && !config.value) {
-          errors.push(`Valeur requise manquante pour ${key}`);
-        }
+        this.validateEnvSchemaEntry(key, config, schemaVersion).forEach(error => {
+          errors.push(`${key} : ${error}`);
+        });
       });
     }
     
+    // Paramètres de build et de process (Heroku)
+    errors.push(...this.validateBuildSettings(kermJson));
+    errors.push(...this.validateAddons(kermJson.addons));
+    
     // Valider l'URL du logo si présente
     if (kermJson.logo) {
       const logoValidation = this.validateURL(kermJson.logo, 'Logo URL');
@@ -252,6 +316,327 @@ class ValidationService {
     return { valid: true, kermJson };
   }
 
+  // Valider les add-ons d'un kerm.json ; renvoie la liste des erreurs
+  // addons : ["heroku-redis:mini", { "plan": "heroku-postgresql:essential-0", "as": "DATABASE" }]
+  static validateAddons(addons) {
+    if (addons === undefined) return [];
+    
+    if (!Array.isArray(addons) || addons.length === 0) {
+      return ['addons doit lister au moins un add-on'];
+    }
+    
+    const errors = [];
+    const plans = [];
+    
+    addons.forEach((entry, index) => {
+      const addon = typeof entry === 'string' ? { plan: entry } : entry;
+      if (!addon || typeof addon !== 'object' || Array.isArray(addon) || typeof addon.plan !== 'string') {
+        errors.push(`addons[${index}] : "service:plan" ou { plan, as } attendu`);
+        return;
+      }
+      
+      if (!ALLOWED_ADDON_PLANS.includes(addon.plan)) {
+        errors.push(`addons[${index}] : plan non autorisé : ${addon.plan} (autorisés : ${ALLOWED_ADDON_PLANS.join(', ')})`);
+      }
+      if (plans.includes(addon.plan)) {
+        errors.push(`addons[${index}] : ${addon.plan} est déjà déclaré`);
+      }
+      plans.push(addon.plan);
+      
+      if (addon.as !== undefined && (typeof addon.as !== 'string' || !ADDON_ATTACHMENT_PATTERN.test(addon.as))) {
+        errors.push(`addons[${index}].as doit être en majuscules (ex : DATABASE)`);
+      }
+      if (addon.options !== undefined && (!addon.options || typeof addon.options !== 'object' || Array.isArray(addon.options))) {
+        errors.push(`addons[${index}].options doit être un objet`);
+      }
+    });
+    
+    return errors;
+  }
+
+  // Valider buildpacks, stack et formation d'un kerm.json ; renvoie la liste des erreurs
+  // buildpacks : ["heroku/nodejs", "https://github.com/.../buildpack"], appliqués dans l'ordre
+  // stack : "heroku-22"
+  // formation : { "worker": { "quantity": 1, "size": "basic" }, "web": { "quantity": 0 } }
+  static validateBuildSettings(kermJson) {
+    const errors = [];
+    const { buildpacks, stack, formation } = kermJson;
+    
+    if (buildpacks !== undefined) {
+      if (!Array.isArray(buildpacks) || buildpacks.length === 0) {
+        errors.push('buildpacks doit lister au moins un buildpack');
+      } else {
+        buildpacks.forEach((buildpack, index) => {
+          const valid = typeof buildpack === 'string' && (
+            BUILDPACK_NAME_PATTERN.test(buildpack) ||
+            validator.isURL(buildpack, { require_protocol: true, protocols: ['https'] })
+          );
+          if (!valid) {
+            errors.push(`buildpacks[${index}] : nom (heroku/nodejs) ou URL https attendu`);
+          }
+        });
+        
+        if (new Set(buildpacks).size !== buildpacks.length) {
+          errors.push('buildpacks ne doit pas contenir de doublons');
+        }
+      }
+    }
+    
+    if (stack !== undefined && (typeof stack !== 'string' || !STACK_PATTERN.test(stack))) {
+      errors.push('stack doit être une stack Heroku (ex : heroku-22)');
+    }
+    
+    if (formation !== undefined) {
+      if (!formation || typeof formation !== 'object' || Array.isArray(formation) || Object.keys(formation).length === 0) {
+        errors.push('formation doit associer au moins un type de process à { quantity, size }');
+      } else {
+        Object.entries(formation).forEach(([type, process]) => {
+          if (!PROCESS_TYPE_PATTERN.test(type)) {
+            errors.push(`formation : type de process invalide : ${type}`);
+          }
+          if (!process || typeof process !== 'object' || Array.isArray(process)) {
+            errors.push(`formation.${type} doit être un objet { quantity, size }`);
+            return;
+          }
+          if (process.quantity !== undefined &&
+              (!Number.isInteger(process.quantity) || process.quantity < 0 || process.quantity > MAX_DYNO_QUANTITY)) {
+            errors.push(`formation.${type}.quantity doit être un entier entre 0 et ${MAX_DYNO_QUANTITY}`);
+          }
+          if (process.size !== undefined &&
+              (typeof process.size !== 'string' || !ALLOWED_DYNO_SIZES.includes(process.size.toLowerCase()))) {
+            errors.push(`formation.${type}.size doit être l'une des tailles : ${ALLOWED_DYNO_SIZES.join(', ')}`);
+          }
+        });
+      }
+    }
+    
+    return errors;
+  }
+
+  // Valider la déclaration d'une variable dans kerm.json ; renvoie la liste des erreurs
+  static validateEnvSchemaEntry(key, config, schemaVersion = 1) {
+    const errors = [];
+    
+    if (!ENV_KEY_PATTERN.test(key)) {
+      errors.push('nom de variable invalide (lettres, chiffres et _ uniquement)');
+    }
+    
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return [...errors, 'la déclaration doit être un objet'];
+    }
+    
+    if (!config.description) {
+      errors.push('description manquante');
+    }
+    
+    // secret est déjà reconnu en version 1
+    const typedFields = ['type', 'pattern', 'min', 'max', 'options', 'default', 'help', 'generator'];
+    if (schemaVersion < 2) {
+      const used = typedFields.filter(field => config[field] !== undefined);
+      if (used.length > 0) {
+        errors.push(`${used.join(', ')} nécessite schema-version 2`);
+      }
+      return errors;
+    }
+    
+    const type = config.type || 'string';
+    if (!ENV_TYPES.includes(type)) {
+      errors.push(`type inconnu : ${type} (attendu : ${ENV_TYPES.join(', ')})`);
+      return errors;
+    }
+    
+    if (config.pattern !== undefined) {
+      const error = patternError(config.pattern);
+      if (error) {
+        errors.push(error);
+      }
+    }
+    
+    ['min', 'max'].forEach(field => {
+      if (config[field] !== undefined && typeof config[field] !== 'number') {
+        errors.push(`${field} doit être un nombre`);
+      }
+    });
+    
+    if (typeof config.min === 'number' && typeof config.max === 'number' && config.min > config.max) {
+      errors.push('min doit être inférieur ou égal à max');
+    }
+    
+    if (type === 'enum' && (!Array.isArray(config.options) || config.options.length === 0)) {
+      errors.push('options doit lister les valeurs possibles');
+    } else if (type !== 'enum' && config.options !== undefined) {
+      errors.push('options est réservé au type enum');
+    }
+    
+    ['required', 'secret'].forEach(field => {
+      if (config[field] !== undefined && typeof config[field] !== 'boolean') {
+        errors.push(`${field} doit être un booléen`);
+      }
+    });
+    
+    if (config.help !== undefined && typeof config.help !== 'string') {
+      errors.push('help doit être un texte');
+    }
+    
+    if (config.generator !== undefined) {
+      const generatorError = validateGenerator(config.generator);
+      if (generatorError) {
+        errors.push(generatorError);
+      } else if (type !== 'string') {
+        // Les valeurs générées sont des textes libres
+        errors.push('generator est réservé au type string');
+      }
+    }
+    
+    // La valeur par défaut doit elle-même respecter le schéma
+    const defaultValue = envDefault(config);
+    if (errors.length === 0 && !isEmptyValue(defaultValue)) {
+      const defaultValidation = this.validateEnvValue(config, defaultValue);
+      if (!defaultValidation.valid) {
+        errors.push(`valeur par défaut invalide : ${defaultValidation.error}`);
+      }
+    }
+    
+    return errors;
+  }
+
+  // Valider et normaliser la valeur d'une variable selon sa déclaration
+  // Les variables d'environnement sont des textes : la valeur normalisée est une chaîne
+  static validateEnvValue(config = {}, rawValue) {
+    const type = config.type || 'string';
+    let value = typeof rawValue === 'string' ? rawValue.trim() : String(rawValue);
+    
+    if (value.length > ENV_VALUE_MAX_LENGTH) {
+      return { valid: false, error: `ne peut pas dépasser ${ENV_VALUE_MAX_LENGTH} caractères` };
+    }
+    
+    switch (type) {
+      case 'number': {
+        const number = Number(value.replace(',', '.'));
+        if (value === '' || !Number.isFinite(number)) {
+          return { valid: false, error: 'doit être un nombre' };
+        }
+        if (typeof config.min === 'number' && number < config.min) {
+          return { valid: false, error: `doit être supérieure ou égale à ${config.min}` };
+        }
+        if (typeof config.max === 'number' && number > config.max) {
+          return { valid: false, error: `doit être inférieure ou égale à ${config.max}` };
+        }
+        value = String(number);
+        break;
+      }
+      
+      case 'boolean': {
+        const normalized = value.toLowerCase();
+        if (BOOLEAN_TRUE.includes(normalized)) {
+          value = 'true';
+        } else if (BOOLEAN_FALSE.includes(normalized)) {
+          value = 'false';
+        } else {
+          return { valid: false, error: 'doit être true ou false' };
+        }
+        break;
+      }
+      
+      case 'enum':
+        if (!config.options.map(String).includes(value)) {
+          return { valid: false, error: `doit être l'une des valeurs : ${config.options.join(', ')}` };
+        }
+        break;
+      
+      case 'phone':
+        // Numéro international : indicatif pays puis chiffres, séparateurs ignorés
+        value = value.replace(/[\s().-]/g, '');
+        if (!/^\+?[1-9]\d{6,14}$/.test(value)) {
+          return { valid: false, error: 'doit être un numéro de téléphone international (ex : 237612345678)' };
+        }
+        break;
+      
+      case 'url':
+        if (!validator.isURL(value, { require_protocol: true, protocols: ['http', 'https'] })) {
+          return { valid: false, error: 'doit être une URL http(s) valide' };
+        }
+        break;
+      
+      default:
+        break;
+    }
+    
+    // Pour les textes, min et max bornent la longueur
+    if (type !== 'number') {
+      if (typeof config.min === 'number' && value.length < config.min) {
+        return { valid: false, error: `doit contenir au moins ${config.min} caractères` };
+      }
+      if (typeof config.max === 'number' && value.length > config.max) {
+        return { valid: false, error: `ne peut pas dépasser ${config.max} caractères` };
+      }
+    }
+    
+    // Un manifeste enregistré avant la vérification des patterns peut en contenir un dangereux : il n'est pas exécuté
+    if (config.pattern && patternError(config.pattern)) {
+      return { valid: false, error: 'ne peut pas être vérifiée : le pattern du bot est refusé' };
+    }
+    if (config.pattern && !new RegExp(config.pattern).test(value)) {
+      return { valid: false, error: config.help ? `n'a pas le format attendu (${config.help})` : 'n\'a pas le format attendu' };
+    }
+    
+    return { valid: true, value };
+  }
+
+  // Valider les valeurs fournies pour les variables déclarées dans kerm.json
+  // Une valeur absente prend la valeur par défaut ; une variable obligatoire sans valeur est une erreur
+  // Une variable générée peut rester vide : sa valeur est créée au déploiement (voir envGenerators)
+  // managed : variables fournies par les add-ons (DATABASE_URL...), ignorées
+  // partial : seules les variables présentes dans input sont validées, les autres sont laissées de côté
+  // Renvoie { valid, errors: { VARIABLE: message }, values }
+  static validateEnvValues(botEnv = {}, input = {}, { managed = [], partial = false } = {}) {
+    const errors = {};
+    const values = {};
+    
+    Object.entries(botEnv || {}).forEach(([key, config]) => {
+      if (managed.includes(key)) return;
+      if (partial && !Object.prototype.hasOwnProperty.call(input || {}, key)) return;
+      
+      const provided = input?.[key];
+      const rawValue = isEmptyValue(provided) ? envDefault(config) : provided;
+      
+      if (isEmptyValue(rawValue)) {
+        if (isKnownGenerator(config.generator)) return;
+        if (config.required !== false) {
+          errors[key] = `La variable "${key}" est obligatoire`;
+        } else {
+          values[key] = '';
+        }
+        return;
+      }
+      
+      const validation = this.validateEnvValue(config, rawValue);
+      if (validation.valid) {
+        values[key] = validation.value;
+      } else {
+        errors[key] = `La variable "${key}" ${validation.error}`;
+      }
+    });
+    
+    if (Object.keys(errors).length > 0) {
+      return { valid: false, errors };
+    }
+    
+    return { valid: true, values };
+  }
+
+  // Valeurs par défaut déclarées dans kerm.json (default, ou value pour schema-version 1)
+  static envDefaults(botEnv = {}) {
+    const defaults = {};
+    Object.entries(botEnv || {}).forEach(([key, config]) => {
+      const value = envDefault(config);
+      if (!isEmptyValue(value)) {
+        defaults[key] = String(value);
+      }
+    });
+    return defaults;
+  }
+
   // Valider les données d'inscription
   static validateSignupData(data) {
     const errors = [];
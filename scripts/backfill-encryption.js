@@ -0,0 +1,16 @@
+// Chiffrer une fois pour toutes les secrets enregistrés en clair avant le chiffrement applicatif :
+// clés API et config des comptes d'hébergement, variables des déploiements et des releases
+// Les valeurs déjà chiffrées sont seulement rechiffrées si leur clé maîtresse n'est plus la courante
+// Usage : npm run backfill:encryption (ENCRYPTION_MASTER_KEY doit être configurée)
+require('dotenv').config();
+const { rotateStoredSecrets } = require('../utils/keyRotation');
+
+rotateStoredSecrets()
+  .then(rotation => {
+    console.log(`🔐 ${rotation.rewrapped} valeur(s) chiffrée(s), ${rotation.errors} erreur(s)`);
+    process.exit(rotation.errors > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('Erreur chiffrement des secrets existants:', error);
+    process.exit(1);
+  });
@@ -109,6 +109,22 @@ app.use('/api/coin', coinRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/deploy', deployRoutes);
 
+// Worker des déploiements (file persistante en base)
+const jobQueue = require('./utils/jobQueue');
+const { registerDeploymentJobs } = require('./utils/deploymentPipeline');
+registerDeploymentJobs();
+
+// Tâches récurrentes (expiration des réservations de coins, facturation, plannings, ...)
+const scheduler = require('./utils/scheduler');
+const { registerLedgerTasks } = require('./utils/ledger');
+const { registerBillingTasks } = require('./utils/billing');
+const { registerScheduleTasks } = require('./utils/deploymentSchedules');
+const { purgeExpiredKeys } = require('./middleware/idempotency');
+registerLedgerTasks();
+registerBillingTasks();
+registerScheduleTasks();
+scheduler.register('idempotency.purge_expired', '0 * * * *', purgeExpiredKeys);
+
 // Maintenance middleware
 app.use(async (req, res, next) => {
   // Sauter les routes d'API et de santé
@@ -269,16 +285,21 @@ app.use((err, req, res, next) => {
 });
 
 // Gestion des signaux pour un arrêt propre
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM reçu. Arrêt propre du serveur...');
+  // Ne plus prendre de jobs ; le job en cours a un délai pour se terminer, sinon il est repris plus tard
+  scheduler.stop();
+  await jobQueue.stop();
   server.close(() => {
     console.log('Serveur arrêté proprement');
     process.exit(0);
   });
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT reçu. Arrêt du serveur...');
+  scheduler.stop();
+  await jobQueue.stop();
   server.close(() => {
     console.log('Serveur arrêté');
     process.exit(0);
@@ -308,8 +329,17 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   
   ✅ Prêt à recevoir des requêtes...
   `);
+
+  if (process.env.DEPLOY_WORKER_ENABLED !== 'false') {
+    jobQueue.start();
+    scheduler.start();
+  }
 });
 
+// Temps réel : état des déploiements, sortie de build et logs
+const { initRealtime } = require('./utils/realtime');
+initRealtime(server);
+
 // Gestion des erreurs non capturées
 process.on('uncaughtException', (error) => {
   console.error('Exception non capturée:', error);
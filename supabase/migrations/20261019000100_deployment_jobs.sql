@@ -0,0 +1,27 @@
+-- File de jobs persistante pour les étapes de déploiement
+create table if not exists deployment_jobs (
+  id uuid primary key default gen_random_uuid(),
+  deployment_id uuid references deployments(id) on delete cascade,
+  type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  run_at timestamptz not null default now(),
+  locked_by text,
+  locked_at timestamptz,
+  last_error text,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists deployment_jobs_status_run_at_idx
+  on deployment_jobs (status, run_at);
+
+create index if not exists deployment_jobs_deployment_id_idx
+  on deployment_jobs (deployment_id, created_at desc);
+
+-- Identifiant du build Heroku, pour ne pas relancer un build déjà soumis
+alter table deployments add column if not exists heroku_build_id text;
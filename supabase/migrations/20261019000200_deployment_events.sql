@@ -0,0 +1,32 @@
+-- Historique append-only des transitions d'état des déploiements
+create table if not exists deployment_events (
+  id bigint generated always as identity primary key,
+  deployment_id uuid not null references deployments(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  message text,
+  error jsonb,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists deployment_events_deployment_id_idx
+  on deployment_events (deployment_id, created_at);
+
+-- Les événements ne sont jamais modifiés
+create or replace function deployment_events_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'deployment_events est en ajout seul';
+end;
+$$;
+
+drop trigger if exists deployment_events_no_update on deployment_events;
+create trigger deployment_events_no_update
+  before update on deployment_events
+  for each row execute function deployment_events_append_only();
+
+-- Suppression logique : l'historique reste consultable
+alter table deployments add column if not exists deleted_at timestamptz;
@@ -0,0 +1,5 @@
+-- Résultat du build Heroku et signalement des déploiements en échec
+alter table deployments add column if not exists build_status text;
+alter table deployments add column if not exists build_output text;
+alter table deployments add column if not exists flagged_at timestamptz;
+alter table deployments add column if not exists flag_reason text;
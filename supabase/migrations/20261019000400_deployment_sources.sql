@@ -0,0 +1,3 @@
+-- Source figée de chaque déploiement (branche/tag demandé et commit exact construit)
+alter table deployments add column if not exists source_ref text;
+alter table deployments add column if not exists source_commit_sha text;
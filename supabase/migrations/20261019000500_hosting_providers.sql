@@ -0,0 +1,6 @@
+-- Hébergeurs interchangeables : chaque compte du pool et chaque déploiement indiquent leur backend
+alter table heroku_accounts add column if not exists provider text not null default 'heroku';
+alter table heroku_accounts add column if not exists config jsonb;
+alter table deployments add column if not exists provider text not null default 'heroku';
+
+create index if not exists heroku_accounts_provider_idx on heroku_accounts (provider, is_active);
@@ -0,0 +1,154 @@
+-- Grand livre des coins : la transaction et les soldes sont écrits dans la même opération
+alter table coin_transactions add column if not exists deployment_id uuid;
+alter table coin_transactions add column if not exists created_by uuid references users(id) on delete set null;
+alter table coin_transactions add column if not exists metadata jsonb;
+alter table coin_transactions add column if not exists sender_balance_after integer;
+alter table coin_transactions add column if not exists receiver_balance_after integer;
+
+create index if not exists coin_transactions_deployment_id_idx on coin_transactions (deployment_id);
+create index if not exists coin_transactions_receiver_type_idx on coin_transactions (receiver_id, type, created_at);
+
+-- Un solde ne descend jamais sous zéro (les lignes existantes ne sont pas revérifiées)
+alter table users drop constraint if exists users_coins_non_negative;
+alter table users add constraint users_coins_non_negative check (coins >= 0) not valid;
+
+-- Débiter p_sender_id et/ou créditer p_receiver_id de p_amount, puis journaliser le mouvement
+-- Erreurs : INVALID_AMOUNT, INVALID_PARTIES, USER_NOT_FOUND, INSUFFICIENT_FUNDS
+create or replace function apply_coin_transaction(
+  p_sender_id uuid,
+  p_receiver_id uuid,
+  p_amount integer,
+  p_type text,
+  p_description text default null,
+  p_deployment_id uuid default null,
+  p_created_by uuid default null,
+  p_metadata jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sender_balance integer;
+  v_receiver_balance integer;
+  v_transaction coin_transactions%rowtype;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'INVALID_AMOUNT';
+  end if;
+
+  if (p_sender_id is null and p_receiver_id is null) or p_sender_id = p_receiver_id then
+    raise exception 'INVALID_PARTIES';
+  end if;
+
+  -- Verrouiller les comptes toujours dans le même ordre pour éviter les interblocages
+  perform 1 from users where id in (p_sender_id, p_receiver_id) order by id for update;
+
+  if p_sender_id is not null then
+    update users
+      set coins = coalesce(coins, 0) - p_amount
+      where id = p_sender_id and coalesce(coins, 0) >= p_amount
+      returning coins into v_sender_balance;
+
+    if not found then
+      if exists (select 1 from users where id = p_sender_id) then
+        raise exception 'INSUFFICIENT_FUNDS';
+      end if;
+      raise exception 'USER_NOT_FOUND';
+    end if;
+  end if;
+
+  if p_receiver_id is not null then
+    update users
+      set coins = coalesce(coins, 0) + p_amount
+      where id = p_receiver_id
+      returning coins into v_receiver_balance;
+
+    if not found then
+      raise exception 'USER_NOT_FOUND';
+    end if;
+  end if;
+
+  insert into coin_transactions (
+    sender_id, receiver_id, amount, type, description,
+    deployment_id, created_by, metadata, sender_balance_after, receiver_balance_after
+  )
+  values (
+    p_sender_id, p_receiver_id, p_amount, p_type, p_description,
+    p_deployment_id, p_created_by, p_metadata, v_sender_balance, v_receiver_balance
+  )
+  returning * into v_transaction;
+
+  return jsonb_build_object(
+    'transaction', to_jsonb(v_transaction),
+    'sender_balance', v_sender_balance,
+    'receiver_balance', v_receiver_balance
+  );
+end;
+$$;
+
+-- Réclamation quotidienne : le délai est vérifié sous le verrou du compte
+-- Erreur : DAILY_ALREADY_CLAIMED (detail = date de la prochaine réclamation)
+create or replace function claim_daily_coins(
+  p_user_id uuid,
+  p_amount integer,
+  p_cooldown interval default interval '24 hours'
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_last_claim timestamptz;
+begin
+  perform 1 from users where id = p_user_id for update;
+
+  select max(created_at) into v_last_claim
+    from coin_transactions
+    where receiver_id = p_user_id and type = 'daily';
+
+  if v_last_claim is not null and v_last_claim + p_cooldown > now() then
+    raise exception 'DAILY_ALREADY_CLAIMED' using detail = (v_last_claim + p_cooldown)::text;
+  end if;
+
+  return apply_coin_transaction(
+    null, p_user_id, p_amount, 'daily', 'Réclamation quotidienne de coins'
+  );
+end;
+$$;
+
+-- Fixer un solde (administration) : l'écart est journalisé comme un mouvement 'admin'
+create or replace function set_coin_balance(
+  p_user_id uuid,
+  p_balance integer,
+  p_created_by uuid,
+  p_description text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current integer;
+begin
+  if p_balance is null or p_balance < 0 then
+    raise exception 'INVALID_AMOUNT';
+  end if;
+
+  select coalesce(coins, 0) into v_current from users where id = p_user_id for update;
+  if not found then
+    raise exception 'USER_NOT_FOUND';
+  end if;
+
+  if p_balance = v_current then
+    return jsonb_build_object('transaction', null, 'receiver_balance', v_current);
+  end if;
+
+  if p_balance > v_current then
+    return apply_coin_transaction(
+      null, p_user_id, p_balance - v_current, 'admin', p_description, null, p_created_by
+    );
+  end if;
+
+  return apply_coin_transaction(
+    p_user_id, null, v_current - p_balance, 'admin', p_description, null, p_created_by
+  );
+end;
+$$;
@@ -0,0 +1,21 @@
+-- Remise personnelle accordée par un admin, appliquée à tous les prix
+alter table users add column if not exists deployment_discount_percent integer not null default 0;
+alter table users drop constraint if exists users_deployment_discount_percent_range;
+alter table users add constraint users_deployment_discount_percent_range
+  check (deployment_discount_percent between 0 and 100);
+
+-- Promotions limitées dans le temps, sur tous les bots (bot_id null) ou un seul
+create table if not exists promotions (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  percent_off integer not null check (percent_off between 1 and 100),
+  bot_id uuid references bots(id) on delete cascade,
+  starts_at timestamptz not null default now(),
+  ends_at timestamptz,
+  is_active boolean not null default true,
+  created_by uuid references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (ends_at is null or ends_at > starts_at)
+);
+
+create index if not exists promotions_active_idx on promotions (is_active, starts_at, ends_at);
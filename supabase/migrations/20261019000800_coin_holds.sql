@@ -0,0 +1,239 @@
+-- Réservations de coins : bloquées au lancement d'une opération, débitées à la réussite
+-- held → captured (débit enregistré dans coin_transactions), released (échec) ou expired (délai dépassé)
+create table if not exists coin_holds (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users(id) on delete cascade,
+  amount integer not null check (amount > 0),
+  status text not null default 'held'
+    check (status in ('held', 'captured', 'released', 'expired')),
+  type text not null default 'deployment',
+  description text,
+  deployment_id uuid,
+  metadata jsonb,
+  transaction_id uuid,
+  release_reason text,
+  expires_at timestamptz not null,
+  settled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coin_holds_user_active_idx on coin_holds (user_id) where status = 'held';
+create index if not exists coin_holds_expires_idx on coin_holds (expires_at) where status = 'held';
+create index if not exists coin_holds_deployment_id_idx on coin_holds (deployment_id);
+
+alter table deployments add column if not exists coin_hold_id uuid references coin_holds(id) on delete set null;
+
+-- Total réservé d'un utilisateur
+create or replace function held_coins(p_user_id uuid)
+returns integer
+language sql
+stable
+as $$
+  select coalesce(sum(amount), 0)::integer
+    from coin_holds
+    where user_id = p_user_id and status = 'held';
+$$;
+
+-- Un débit ne peut pas entamer les coins réservés
+create or replace function apply_coin_transaction(
+  p_sender_id uuid,
+  p_receiver_id uuid,
+  p_amount integer,
+  p_type text,
+  p_description text default null,
+  p_deployment_id uuid default null,
+  p_created_by uuid default null,
+  p_metadata jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sender_balance integer;
+  v_receiver_balance integer;
+  v_transaction coin_transactions%rowtype;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'INVALID_AMOUNT';
+  end if;
+
+  if (p_sender_id is null and p_receiver_id is null) or p_sender_id = p_receiver_id then
+    raise exception 'INVALID_PARTIES';
+  end if;
+
+  -- Verrouiller les comptes toujours dans le même ordre pour éviter les interblocages
+  perform 1 from users where id in (p_sender_id, p_receiver_id) order by id for update;
+
+  if p_sender_id is not null then
+    update users
+      set coins = coalesce(coins, 0) - p_amount
+      where id = p_sender_id and coalesce(coins, 0) - held_coins(p_sender_id) >= p_amount
+      returning coins into v_sender_balance;
+
+    if not found then
+      if exists (select 1 from users where id = p_sender_id) then
+        raise exception 'INSUFFICIENT_FUNDS';
+      end if;
+      raise exception 'USER_NOT_FOUND';
+    end if;
+  end if;
+
+  if p_receiver_id is not null then
+    update users
+      set coins = coalesce(coins, 0) + p_amount
+      where id = p_receiver_id
+      returning coins into v_receiver_balance;
+
+    if not found then
+      raise exception 'USER_NOT_FOUND';
+    end if;
+  end if;
+
+  insert into coin_transactions (
+    sender_id, receiver_id, amount, type, description,
+    deployment_id, created_by, metadata, sender_balance_after, receiver_balance_after
+  )
+  values (
+    p_sender_id, p_receiver_id, p_amount, p_type, p_description,
+    p_deployment_id, p_created_by, p_metadata, v_sender_balance, v_receiver_balance
+  )
+  returning * into v_transaction;
+
+  return jsonb_build_object(
+    'transaction', to_jsonb(v_transaction),
+    'sender_balance', v_sender_balance,
+    'receiver_balance', v_receiver_balance
+  );
+end;
+$$;
+
+-- Réserver p_amount coins sur le solde disponible
+-- Erreurs : INVALID_AMOUNT, USER_NOT_FOUND, INSUFFICIENT_FUNDS
+create or replace function place_coin_hold(
+  p_user_id uuid,
+  p_amount integer,
+  p_expires_at timestamptz,
+  p_type text default 'deployment',
+  p_description text default null,
+  p_deployment_id uuid default null,
+  p_metadata jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_balance integer;
+  v_hold coin_holds%rowtype;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'INVALID_AMOUNT';
+  end if;
+
+  select coalesce(coins, 0) into v_balance from users where id = p_user_id for update;
+  if not found then
+    raise exception 'USER_NOT_FOUND';
+  end if;
+
+  if v_balance - held_coins(p_user_id) < p_amount then
+    raise exception 'INSUFFICIENT_FUNDS';
+  end if;
+
+  insert into coin_holds (user_id, amount, type, description, deployment_id, metadata, expires_at)
+  values (p_user_id, p_amount, p_type, p_description, p_deployment_id, p_metadata, p_expires_at)
+  returning * into v_hold;
+
+  return jsonb_build_object(
+    'hold', to_jsonb(v_hold),
+    'balance', v_balance,
+    'available_balance', v_balance - held_coins(p_user_id)
+  );
+end;
+$$;
+
+-- Débiter une réservation ; sans effet si elle est déjà débitée
+-- Une réservation expirée est débitée directement, si le solde disponible le permet encore
+-- Erreurs : HOLD_NOT_FOUND, HOLD_NOT_ACTIVE (libérée), INSUFFICIENT_FUNDS (expirée)
+create or replace function capture_coin_hold(p_hold_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_hold coin_holds%rowtype;
+  v_result jsonb;
+begin
+  select * into v_hold from coin_holds where id = p_hold_id for update;
+  if not found then
+    raise exception 'HOLD_NOT_FOUND';
+  end if;
+
+  if v_hold.status = 'captured' then
+    return jsonb_build_object('hold', to_jsonb(v_hold), 'transaction', null);
+  end if;
+
+  if v_hold.status = 'released' then
+    raise exception 'HOLD_NOT_ACTIVE';
+  end if;
+
+  -- Sortir la réservation du solde réservé avant de débiter
+  update coin_holds set status = 'captured', settled_at = now() where id = p_hold_id;
+
+  v_result := apply_coin_transaction(
+    v_hold.user_id, null, v_hold.amount, v_hold.type, v_hold.description,
+    v_hold.deployment_id, null,
+    coalesce(v_hold.metadata, '{}'::jsonb) || jsonb_build_object('hold_id', v_hold.id)
+  );
+
+  update coin_holds
+    set transaction_id = (v_result->'transaction'->>'id')::uuid
+    where id = p_hold_id
+    returning * into v_hold;
+
+  return jsonb_build_object(
+    'hold', to_jsonb(v_hold),
+    'transaction', v_result->'transaction',
+    'balance', (v_result->>'sender_balance')::integer,
+    'available_balance', (v_result->>'sender_balance')::integer - held_coins(v_hold.user_id)
+  );
+end;
+$$;
+
+-- Libérer une réservation ; renvoie son état final (captured si elle avait déjà été débitée)
+create or replace function release_coin_hold(p_hold_id uuid, p_reason text default null)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_hold coin_holds%rowtype;
+begin
+  update coin_holds
+    set status = 'released', release_reason = p_reason, settled_at = now()
+    where id = p_hold_id and status in ('held', 'expired')
+    returning * into v_hold;
+
+  if not found then
+    select * into v_hold from coin_holds where id = p_hold_id;
+    if not found then
+      raise exception 'HOLD_NOT_FOUND';
+    end if;
+  end if;
+
+  return jsonb_build_object('hold', to_jsonb(v_hold));
+end;
+$$;
+
+-- Expirer les réservations dont le délai est dépassé ; renvoie leur nombre
+create or replace function expire_coin_holds()
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  update coin_holds
+    set status = 'expired', release_reason = 'timeout', settled_at = now()
+    where status = 'held' and expires_at < now();
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Réponses mémorisées des requêtes portant un en-tête Idempotency-Key
+create table if not exists idempotency_keys (
+  user_id uuid not null references users(id) on delete cascade,
+  key text not null,
+  request_hash text not null,
+  method text not null,
+  path text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  primary key (user_id, key)
+);
+
+create index if not exists idempotency_keys_expires_at_idx on idempotency_keys (expires_at);
@@ -0,0 +1,159 @@
+-- Rapprochement entre users.coins et l'historique coin_transactions
+create table if not exists ledger_reconciliations (
+  id uuid primary key default gen_random_uuid(),
+  triggered_by uuid references users(id) on delete set null,
+  users_checked integer not null default 0,
+  drift_count integer not null default 0,
+  total_drift integer not null default 0,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+-- Écarts détectés : open → applied (corrigé) ou dismissed (ignoré)
+create table if not exists ledger_drifts (
+  id uuid primary key default gen_random_uuid(),
+  reconciliation_id uuid not null references ledger_reconciliations(id) on delete cascade,
+  user_id uuid not null references users(id) on delete cascade,
+  stored_balance integer not null,
+  ledger_balance integer not null,
+  drift integer not null,
+  status text not null default 'open' check (status in ('open', 'applied', 'dismissed')),
+  resolution text check (resolution in ('ledger', 'balance')),
+  resolved_by uuid references users(id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ledger_drifts_status_idx on ledger_drifts (status, created_at);
+create index if not exists ledger_drifts_user_id_idx on ledger_drifts (user_id);
+
+-- Mouvements de coins par utilisateur, tels qu'enregistrés dans l'historique
+-- Les anciens ajouts admin portent l'admin en sender_id sans qu'il ait été débité
+create or replace view coin_ledger_movements as
+  select receiver_id as user_id, amount
+    from coin_transactions
+    where receiver_id is not null
+  union all
+  select sender_id as user_id, -amount
+    from coin_transactions
+    where sender_id is not null
+      and not (type = 'admin' and receiver_id is not null);
+
+-- Solde recalculé depuis l'historique
+create or replace function ledger_balance(p_user_id uuid)
+returns integer
+language sql
+stable
+as $$
+  select coalesce(sum(amount), 0)::integer
+    from coin_ledger_movements
+    where user_id = p_user_id;
+$$;
+
+-- Comparer chaque solde stocké à l'historique et enregistrer les écarts
+create or replace function run_ledger_reconciliation(p_triggered_by uuid default null)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_run ledger_reconciliations%rowtype;
+begin
+  insert into ledger_reconciliations (triggered_by)
+  values (p_triggered_by)
+  returning * into v_run;
+
+  -- Un nouveau passage remplace les écarts encore ouverts
+  update ledger_drifts set status = 'dismissed', resolved_at = now()
+    where status = 'open';
+
+  insert into ledger_drifts (reconciliation_id, user_id, stored_balance, ledger_balance, drift)
+  select v_run.id, u.id, coalesce(u.coins, 0), coalesce(t.balance, 0), coalesce(u.coins, 0) - coalesce(t.balance, 0)
+    from users u
+    left join (
+      select user_id, sum(amount)::integer as balance
+        from coin_ledger_movements
+        group by user_id
+    ) t on t.user_id = u.id
+    where coalesce(u.coins, 0) <> coalesce(t.balance, 0);
+
+  update ledger_reconciliations
+    set users_checked = (select count(*) from users),
+        drift_count = (select count(*) from ledger_drifts where reconciliation_id = v_run.id),
+        total_drift = (select coalesce(sum(abs(drift)), 0) from ledger_drifts where reconciliation_id = v_run.id),
+        finished_at = now()
+    where id = v_run.id
+    returning * into v_run;
+
+  return to_jsonb(v_run);
+end;
+$$;
+
+-- Corriger un écart, recalculé sous verrou au moment de l'application
+-- p_mode = 'ledger' : le solde stocké est ramené à l'historique
+-- p_mode = 'balance' : une transaction 'correction' justifie le solde stocké
+-- Erreurs : DRIFT_NOT_FOUND, DRIFT_NOT_OPEN, INVALID_MODE, NEGATIVE_BALANCE
+create or replace function apply_ledger_correction(p_drift_id uuid, p_mode text, p_admin_id uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_drift ledger_drifts%rowtype;
+  v_stored integer;
+  v_ledger integer;
+  v_current integer;
+begin
+  if p_mode not in ('ledger', 'balance') then
+    raise exception 'INVALID_MODE';
+  end if;
+
+  select * into v_drift from ledger_drifts where id = p_drift_id for update;
+  if not found then
+    raise exception 'DRIFT_NOT_FOUND';
+  end if;
+
+  if v_drift.status <> 'open' then
+    raise exception 'DRIFT_NOT_OPEN';
+  end if;
+
+  select coalesce(coins, 0) into v_stored from users where id = v_drift.user_id for update;
+  v_ledger := ledger_balance(v_drift.user_id);
+  v_current := v_stored - v_ledger;
+
+  if v_current <> 0 then
+    if p_mode = 'ledger' then
+      if v_ledger < 0 then
+        raise exception 'NEGATIVE_BALANCE';
+      end if;
+
+      update users set coins = v_ledger where id = v_drift.user_id;
+    else
+      insert into coin_transactions (
+        sender_id, receiver_id, amount, type, description, created_by, metadata,
+        sender_balance_after, receiver_balance_after
+      )
+      values (
+        case when v_current < 0 then v_drift.user_id end,
+        case when v_current > 0 then v_drift.user_id end,
+        abs(v_current),
+        'correction',
+        'Correction de rapprochement',
+        p_admin_id,
+        jsonb_build_object('drift_id', v_drift.id),
+        case when v_current < 0 then v_stored end,
+        case when v_current > 0 then v_stored end
+      );
+    end if;
+  end if;
+
+  update ledger_drifts
+    set status = 'applied', resolution = p_mode, resolved_by = p_admin_id, resolved_at = now()
+    where id = p_drift_id
+    returning * into v_drift;
+
+  return jsonb_build_object(
+    'drift', to_jsonb(v_drift),
+    'applied_drift', v_current,
+    'balance', case when p_mode = 'ledger' then v_ledger else v_stored end
+  );
+end;
+$$;
@@ -0,0 +1,67 @@
+-- Facturation récurrente des déploiements en ligne
+-- daily_cost null : le tarif global (BOT_DAILY_COST) s'applique
+alter table bots add column if not exists daily_cost integer check (daily_cost >= 0);
+
+-- Fin de la période déjà payée ; null tant que la facturation n'a pas démarré
+alter table deployments add column if not exists billed_until timestamptz;
+
+-- Dernier avertissement de solde faible envoyé
+alter table users add column if not exists low_balance_warned_at timestamptz;
+
+create index if not exists deployments_billing_idx on deployments (billed_until) where status = 'active';
+
+-- Facturer une période d'un déploiement actif
+-- Renvoie { status: 'skipped' | 'started' | 'not_due' | 'charged', billed_until, transaction, balance }
+-- Le premier passage ne débite rien : le prix du déploiement couvre la première période
+-- Erreurs : INSUFFICIENT_FUNDS (le déploiement n'est pas prolongé)
+create or replace function bill_deployment(
+  p_deployment_id uuid,
+  p_amount integer,
+  p_period interval default '1 day'
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_deployment deployments%rowtype;
+  v_start timestamptz;
+  v_result jsonb;
+begin
+  select * into v_deployment from deployments where id = p_deployment_id for update;
+
+  if not found or v_deployment.status <> 'active' then
+    return jsonb_build_object('status', 'skipped');
+  end if;
+
+  if v_deployment.billed_until is null then
+    update deployments set billed_until = now() + p_period where id = p_deployment_id
+      returning * into v_deployment;
+    return jsonb_build_object('status', 'started', 'billed_until', v_deployment.billed_until);
+  end if;
+
+  if v_deployment.billed_until > now() then
+    return jsonb_build_object('status', 'not_due', 'billed_until', v_deployment.billed_until);
+  end if;
+
+  -- Les périodes écoulées sans facturation (serveur arrêté, ...) ne sont pas rattrapées
+  v_start := greatest(v_deployment.billed_until, now() - p_period);
+
+  v_result := apply_coin_transaction(
+    v_deployment.user_id, null, p_amount, 'billing', 'Facturation journalière',
+    p_deployment_id, null,
+    jsonb_build_object('period_start', v_start, 'period_end', v_start + p_period)
+  );
+
+  update deployments
+    set billed_until = v_start + p_period
+    where id = p_deployment_id
+    returning * into v_deployment;
+
+  return jsonb_build_object(
+    'status', 'charged',
+    'billed_until', v_deployment.billed_until,
+    'transaction', v_result->'transaction',
+    'balance', (v_result->>'sender_balance')::integer
+  );
+end;
+$$;
@@ -0,0 +1,4 @@
+-- Mise en pause d'un déploiement sans le supprimer
+alter table deployments add column if not exists stopped_at timestamptz;
+-- État renvoyé par l'hébergeur à l'arrêt (formation Heroku, ...) pour relancer à l'identique
+alter table deployments add column if not exists stopped_state jsonb;
@@ -0,0 +1,22 @@
+-- Plannings de démarrage / arrêt automatiques, un par déploiement
+-- mode 'windows' : plages [{ days, start, end }] ; mode 'cron' : start_cron / stop_cron
+create table if not exists deployment_schedules (
+  id uuid primary key default gen_random_uuid(),
+  deployment_id uuid not null unique references deployments(id) on delete cascade,
+  mode text not null default 'windows' check (mode in ('windows', 'cron')),
+  timezone text not null default 'UTC',
+  windows jsonb,
+  start_cron text,
+  stop_cron text,
+  is_active boolean not null default true,
+  -- Prochaine transition calculée à l'enregistrement et après chaque exécution
+  next_action text check (next_action in ('start', 'stop')),
+  next_transition_at timestamptz,
+  last_action text,
+  last_run_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists deployment_schedules_due_idx on deployment_schedules (next_transition_at) where is_active;
@@ -0,0 +1,83 @@
+-- Releases numérotées d'un déploiement : chaque build réussi ou changement de configuration
+-- kind : build (nouveau code), config (variables), rollback (retour à une release précédente)
+create table if not exists deployment_releases (
+  id uuid primary key default gen_random_uuid(),
+  deployment_id uuid not null references deployments(id) on delete cascade,
+  version integer not null,
+  kind text not null check (kind in ('build', 'config', 'rollback')),
+  commit_sha text,
+  source_ref text,
+  build_id text,
+  -- Ce qu'il faut pour remettre le code en ligne sans rebuild (slug Heroku, image Docker, ...)
+  artifact jsonb,
+  env_snapshot jsonb not null default '{}'::jsonb,
+  description text,
+  created_by uuid references users(id) on delete set null,
+  rollback_of integer,
+  created_at timestamptz not null default now(),
+  unique (deployment_id, version)
+);
+
+-- Artefact du dernier build, repris par la release enregistrée à la fin du pipeline
+alter table deployments add column if not exists build_artifact jsonb;
+
+create index if not exists deployment_releases_build_idx on deployment_releases (deployment_id, build_id);
+
+-- Enregistrer une release sous le numéro suivant
+-- Un build déjà enregistré (étape rejouée par le worker) renvoie la release existante
+-- Une release de configuration reprend le code de la release précédente
+create or replace function record_deployment_release(
+  p_deployment_id uuid,
+  p_kind text,
+  p_env jsonb,
+  p_commit_sha text default null,
+  p_source_ref text default null,
+  p_build_id text default null,
+  p_artifact jsonb default null,
+  p_description text default null,
+  p_created_by uuid default null,
+  p_rollback_of integer default null
+)
+returns deployment_releases
+language plpgsql
+as $$
+declare
+  v_previous deployment_releases%rowtype;
+  v_release deployment_releases%rowtype;
+begin
+  -- Sérialiser la numérotation par déploiement
+  perform 1 from deployments where id = p_deployment_id for update;
+
+  if p_kind = 'build' and p_build_id is not null then
+    select * into v_release from deployment_releases
+      where deployment_id = p_deployment_id and kind = 'build' and build_id = p_build_id;
+    if found then
+      return v_release;
+    end if;
+  end if;
+
+  select * into v_previous from deployment_releases
+    where deployment_id = p_deployment_id
+    order by version desc
+    limit 1;
+
+  if p_kind = 'config' then
+    p_commit_sha := coalesce(p_commit_sha, v_previous.commit_sha);
+    p_source_ref := coalesce(p_source_ref, v_previous.source_ref);
+    p_build_id := coalesce(p_build_id, v_previous.build_id);
+    p_artifact := coalesce(p_artifact, v_previous.artifact);
+  end if;
+
+  insert into deployment_releases (
+    deployment_id, version, kind, commit_sha, source_ref, build_id, artifact,
+    env_snapshot, description, created_by, rollback_of
+  )
+  values (
+    p_deployment_id, coalesce(v_previous.version, 0) + 1, p_kind, p_commit_sha, p_source_ref, p_build_id, p_artifact,
+    coalesce(p_env, '{}'::jsonb), p_description, p_created_by, p_rollback_of
+  )
+  returning * into v_release;
+
+  return v_release;
+end;
+$$;
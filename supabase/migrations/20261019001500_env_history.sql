@@ -0,0 +1,92 @@
+-- Historique des variables : chaque release porte la liste des clés modifiées par rapport à la précédente
+-- { added: [...], removed: [...], changed: [...] } (les valeurs restent dans env_snapshot)
+alter table deployment_releases add column if not exists env_changes jsonb;
+
+-- Clés modifiées entre deux jeux de variables
+create or replace function env_change_set(p_before jsonb, p_after jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select jsonb_build_object(
+    'added', coalesce((
+      select jsonb_agg(key order by key) from jsonb_object_keys(p_after) key
+        where not coalesce(p_before, '{}'::jsonb) ? key
+    ), '[]'::jsonb),
+    'removed', coalesce((
+      select jsonb_agg(key order by key) from jsonb_object_keys(coalesce(p_before, '{}'::jsonb)) key
+        where not p_after ? key
+    ), '[]'::jsonb),
+    'changed', coalesce((
+      select jsonb_agg(key order by key) from jsonb_object_keys(p_after) key
+        where p_before ? key and p_before->key is distinct from p_after->key
+    ), '[]'::jsonb)
+  );
+$$;
+
+create or replace function record_deployment_release(
+  p_deployment_id uuid,
+  p_kind text,
+  p_env jsonb,
+  p_commit_sha text default null,
+  p_source_ref text default null,
+  p_build_id text default null,
+  p_artifact jsonb default null,
+  p_description text default null,
+  p_created_by uuid default null,
+  p_rollback_of integer default null
+)
+returns deployment_releases
+language plpgsql
+as $$
+declare
+  v_previous deployment_releases%rowtype;
+  v_release deployment_releases%rowtype;
+begin
+  -- Sérialiser la numérotation par déploiement
+  perform 1 from deployments where id = p_deployment_id for update;
+
+  if p_kind = 'build' and p_build_id is not null then
+    select * into v_release from deployment_releases
+      where deployment_id = p_deployment_id and kind = 'build' and build_id = p_build_id;
+    if found then
+      return v_release;
+    end if;
+  end if;
+
+  select * into v_previous from deployment_releases
+    where deployment_id = p_deployment_id
+    order by version desc
+    limit 1;
+
+  if p_kind = 'config' then
+    p_commit_sha := coalesce(p_commit_sha, v_previous.commit_sha);
+    p_source_ref := coalesce(p_source_ref, v_previous.source_ref);
+    p_build_id := coalesce(p_build_id, v_previous.build_id);
+    p_artifact := coalesce(p_artifact, v_previous.artifact);
+  end if;
+
+  p_env := coalesce(p_env, '{}'::jsonb);
+
+  insert into deployment_releases (
+    deployment_id, version, kind, commit_sha, source_ref, build_id, artifact,
+    env_snapshot, env_changes, description, created_by, rollback_of
+  )
+  values (
+    p_deployment_id, coalesce(v_previous.version, 0) + 1, p_kind, p_commit_sha, p_source_ref, p_build_id, p_artifact,
+    p_env, env_change_set(v_previous.env_snapshot, p_env), p_description, p_created_by, p_rollback_of
+  )
+  returning * into v_release;
+
+  return v_release;
+end;
+$$;
+
+-- Releases enregistrées avant cette migration
+update deployment_releases r
+  set env_changes = env_change_set(
+    (select p.env_snapshot from deployment_releases p
+      where p.deployment_id = r.deployment_id and p.version = r.version - 1),
+    r.env_snapshot
+  )
+  where env_changes is null;
@@ -0,0 +1,73 @@
+-- Variables d'environnement et clés d'hébergement chiffrées par l'application (utils/encryption.js)
+-- Les valeurs chiffrées changent à chaque écriture : le jeu de clés modifiées est calculé par l'application
+drop function if exists record_deployment_release(uuid, text, jsonb, text, text, text, jsonb, text, uuid, integer);
+
+create or replace function record_deployment_release(
+  p_deployment_id uuid,
+  p_kind text,
+  p_env jsonb,
+  p_env_changes jsonb default null,
+  p_commit_sha text default null,
+  p_source_ref text default null,
+  p_build_id text default null,
+  p_artifact jsonb default null,
+  p_description text default null,
+  p_created_by uuid default null,
+  p_rollback_of integer default null
+)
+returns deployment_releases
+language plpgsql
+as $$
+declare
+  v_previous deployment_releases%rowtype;
+  v_release deployment_releases%rowtype;
+begin
+  -- Sérialiser la numérotation par déploiement
+  perform 1 from deployments where id = p_deployment_id for update;
+
+  if p_kind = 'build' and p_build_id is not null then
+    select * into v_release from deployment_releases
+      where deployment_id = p_deployment_id and kind = 'build' and build_id = p_build_id;
+    if found then
+      return v_release;
+    end if;
+  end if;
+
+  select * into v_previous from deployment_releases
+    where deployment_id = p_deployment_id
+    order by version desc
+    limit 1;
+
+  if p_kind = 'config' then
+    p_commit_sha := coalesce(p_commit_sha, v_previous.commit_sha);
+    p_source_ref := coalesce(p_source_ref, v_previous.source_ref);
+    p_build_id := coalesce(p_build_id, v_previous.build_id);
+    p_artifact := coalesce(p_artifact, v_previous.artifact);
+  end if;
+
+  p_env := coalesce(p_env, '{}'::jsonb);
+
+  insert into deployment_releases (
+    deployment_id, version, kind, commit_sha, source_ref, build_id, artifact,
+    env_snapshot, env_changes, description, created_by, rollback_of
+  )
+  values (
+    p_deployment_id, coalesce(v_previous.version, 0) + 1, p_kind, p_commit_sha, p_source_ref, p_build_id, p_artifact,
+    p_env, coalesce(p_env_changes, env_change_set(v_previous.env_snapshot, p_env)), p_description, p_created_by, p_rollback_of
+  )
+  returning * into v_release;
+
+  return v_release;
+end;
+$$;
+
+-- Suivi des rotations de la clé maîtresse
+create table if not exists encryption_rotations (
+  id uuid primary key default gen_random_uuid(),
+  key_id text not null,
+  triggered_by uuid references users(id) on delete set null,
+  rewrapped integer not null default 0,
+  errors integer not null default 0,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
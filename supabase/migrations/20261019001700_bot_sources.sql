@@ -0,0 +1,13 @@
+-- Emplacement du kerm.json de chaque bot : les déploiements construisent la même source
+-- source_ref : branche ou tag résolu (branche par défaut du dépôt si non précisée)
+alter table bots add column if not exists source_ref text;
+-- Sous-dossier du dépôt (monorepo), null pour la racine
+alter table bots add column if not exists source_path text;
+-- Commit dont provient le kerm.json enregistré
+alter table bots add column if not exists source_commit_sha text;
+
+-- Les bots existants lisaient kerm.json à la racine de main
+update bots set source_ref = 'main' where source_ref is null;
+
+-- Plusieurs bots d'un même dépôt, un par sous-dossier
+create index if not exists bots_github_repo_source_path_idx on bots (github_repo, source_path);
@@ -0,0 +1,2 @@
+-- Fichier dont provient la description du bot : kerm.json, ou app.json importé
+alter table bots add column if not exists manifest_file text not null default 'kerm.json';
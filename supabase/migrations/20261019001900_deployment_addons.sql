@@ -0,0 +1,19 @@
+-- Add-ons (bases de données...) déclarés par le bot et créés sur l'app du déploiement
+-- Un add-on par plan et par déploiement ; supprimé avec le déploiement
+create table if not exists deployment_addons (
+  id uuid primary key default gen_random_uuid(),
+  deployment_id uuid not null references deployments(id) on delete cascade,
+  -- Plan demandé, ex : heroku-postgresql:essential-0
+  plan text not null,
+  -- Identifiant et nom de l'add-on chez l'hébergeur
+  provider_addon_id text not null,
+  name text,
+  -- Variables fournies par l'add-on (DATABASE_URL...) : leurs valeurs restent chez l'hébergeur
+  config_vars text[] not null default '{}',
+  state text,
+  created_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  unique (deployment_id, plan)
+);
+
+create index if not exists deployment_addons_deployment_idx on deployment_addons (deployment_id) where deleted_at is null;
@@ -0,0 +1,7 @@
+-- Une étape n'est mise en file qu'une fois par exécution du pipeline
+-- Un job rejoué (bail expiré) ne peut plus relancer les étapes suivantes en double
+alter table deployment_jobs add column if not exists dedupe_key text;
+
+create unique index if not exists deployment_jobs_dedupe_idx
+  on deployment_jobs (deployment_id, type, dedupe_key)
+  where dedupe_key is not null;
@@ -0,0 +1,3 @@
+-- Bail d'une requête en cours : passé ce délai (crash, arrêt du serveur), la clé peut être reprise
+-- Les clés "processing" enregistrées avant cette migration n'ont pas de bail et sont reprenables
+alter table idempotency_keys add column if not exists locked_until timestamptz;
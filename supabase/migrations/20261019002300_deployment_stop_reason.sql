@@ -0,0 +1,4 @@
+-- Origine de l'arrêt d'un déploiement : un planning ne relance que les bots qu'il a lui-même arrêtés
+-- Les bots arrêtés avant cette migration n'ont pas d'origine et ne sont pas relancés automatiquement
+alter table deployments add column if not exists stopped_by text
+  check (stopped_by in ('owner', 'schedule', 'billing', 'admin'));
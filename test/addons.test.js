@@ -0,0 +1,78 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const { expectedConfigVars, managedConfigVars, provisionAddons, deprovisionAddons } = require('../utils/addons');
+
+const deployment = { id: 'dep-1', heroku_app_name: 'kerm-app' };
+let provider;
+
+// Base simulée : add-ons déjà enregistrés pour le déploiement
+function mockAddons(recorded = []) {
+  return mockSupabase(query => {
+    if (query.table !== 'deployment_addons') return { data: null, error: null };
+    if (query.action === 'select') return { data: recorded, error: null };
+    return { data: { id: `row-${query.values.plan}`, ...query.values }, error: null };
+  });
+}
+
+beforeEach(() => {
+  provider = {
+    listAddons: mock.fn(async () => []),
+    createAddon: mock.fn(async (appName, addon) => ({ id: `addon-${addon.plan}`, name: addon.plan, config_vars: ['REDIS_URL'], state: 'provisioned' })),
+    deleteAddon: mock.fn(async () => ({ success: true }))
+  };
+});
+
+afterEach(() => mock.restoreAll());
+
+test('expectedConfigVars devine les variables des services courants', () => {
+  assert.deepStrictEqual(expectedConfigVars([
+    'heroku-postgresql:essential-0',
+    { plan: 'heroku-redis:mini', as: 'CACHE' },
+    'papertrail:choklad'
+  ]), ['DATABASE_URL', 'CACHE_URL']);
+  assert.deepStrictEqual(expectedConfigVars(undefined), []);
+});
+
+test('managedConfigVars réunit les variables déclarées et celles des add-ons créés', async () => {
+  mockAddons([{ plan: 'heroku-redis:mini', config_vars: ['REDIS_URL', 'REDIS_TLS_URL'] }]);
+
+  assert.deepStrictEqual(await managedConfigVars('dep-1', ['heroku-postgresql:essential-0', 'heroku-redis:mini']), [
+    'DATABASE_URL', 'REDIS_URL', 'REDIS_TLS_URL'
+  ]);
+});
+
+test('provisionAddons ne recrée ni un add-on enregistré ni un add-on déjà présent sur l\'app', async () => {
+  const queries = mockAddons([{ plan: 'heroku-postgresql:essential-0' }]);
+  provider.listAddons = mock.fn(async () => [{ id: 'addon-existant', name: 'redis-kerm', plan: 'heroku-redis:mini', config_vars: ['REDIS_URL'] }]);
+
+  const provisioned = await provisionAddons(provider, deployment, [
+    'heroku-postgresql:essential-0',
+    'heroku-redis:mini',
+    { plan: 'papertrail:choklad', options: { retention: '7d' } }
+  ]);
+
+  assert.deepStrictEqual(provider.createAddon.mock.calls.map(call => call.arguments), [
+    ['kerm-app', { plan: 'papertrail:choklad', options: { retention: '7d' } }]
+  ]);
+  assert.deepStrictEqual(provisioned.map(row => row.provider_addon_id), ['addon-existant', 'addon-papertrail:choklad']);
+  assert.ok(queries.filter(query => query.action === 'upsert').every(query => query.values.deployment_id === 'dep-1'));
+});
+
+test('deprovisionAddons compte les add-ons qu\'il n\'a pas pu supprimer', async () => {
+  const queries = mockAddons([
+    { id: 'row-1', plan: 'heroku-redis:mini', provider_addon_id: 'addon-1' },
+    { id: 'row-2', plan: 'heroku-postgresql:essential-0', provider_addon_id: 'addon-2' }
+  ]);
+  provider.deleteAddon = mock.fn(async (appName, addonId) => {
+    if (addonId === 'addon-2') throw new Error('Heroku indisponible');
+    return { success: true };
+  });
+  mock.method(console, 'error', () => {});
+
+  assert.deepStrictEqual(await deprovisionAddons(provider, deployment), { deleted: 1, errors: 1 });
+  const updates = queries.filter(query => query.action === 'update');
+  assert.deepStrictEqual(updates.map(update => update.where('id')), ['row-1']);
+  assert.strictEqual(updates[0].values.state, 'deprovisioned');
+});
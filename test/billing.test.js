@@ -0,0 +1,132 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const { registerProvider } = require('../utils/providers');
+const EmailService = require('../utils/email');
+const { dailyRate } = require('../utils/pricing');
+const { runBilling } = require('../utils/billing');
+
+let provider;
+registerProvider('fake', { fromAccount: () => provider });
+
+const owner = { id: 'user-1', email: 'owner@example.com', coins: 100, low_balance_warned_at: null };
+
+function deployment(id, dailyCost, user = owner) {
+  return {
+    id,
+    user_id: user.id,
+    status: 'active',
+    heroku_app_name: `kerm-${id}`,
+    heroku_account_id: 'acc-1',
+    billed_until: null,
+    bot: { id: `bot-${id}`, name: `Bot ${id}`, daily_cost: dailyCost },
+    user
+  };
+}
+
+// Base simulée : déploiements actifs, facturation SQL bill(params) et solde du propriétaire
+function mockBilling({ deployments, bill = () => ({ data: { status: 'charged' }, error: null }), holds = [] }) {
+  return mockSupabase(query => {
+    if (query.action === 'rpc') return query.fn === 'bill_deployment' ? bill(query.params) : { data: null, error: null };
+
+    if (query.table === 'deployments') {
+      if (query.action === 'update') return { data: { id: query.where('id'), ...query.values }, error: null };
+      if (!query.where('id')) return { data: deployments, error: null };
+      return { data: deployments.find(candidate => candidate.id === query.where('id')), error: null };
+    }
+    if (query.table === 'heroku_accounts') return { data: { id: 'acc-1', provider: 'fake' }, error: null };
+    if (query.table === 'users' && query.action === 'select') return { data: { coins: owner.coins }, error: null };
+    if (query.table === 'coin_holds') return { data: holds, error: null };
+    return { data: null, error: null };
+  });
+}
+
+beforeEach(() => {
+  delete process.env.BOT_DAILY_COST;
+  provider = { stopApp: mock.fn(async () => ({ success: true })) };
+  mock.method(EmailService, 'sendLowBalanceEmail', async () => {});
+  mock.method(EmailService, 'sendBotStoppedForBillingEmail', async () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('dailyRate préfère le tarif du bot au tarif global', () => {
+  assert.strictEqual(dailyRate({ daily_cost: 3 }), 3);
+  assert.strictEqual(dailyRate({ daily_cost: null }), 0);
+
+  process.env.BOT_DAILY_COST = '4';
+  assert.strictEqual(dailyRate({ daily_cost: null }), 4);
+  assert.strictEqual(dailyRate({ daily_cost: 0 }), 0);
+});
+
+test('runBilling facture chaque bot payant une fois par période de 24 h', async () => {
+  const queries = mockBilling({
+    deployments: [deployment('a', 5), deployment('b', 0), deployment('c', 2)],
+    bill: params => ({ data: { status: params.p_deployment_id === 'c' ? 'started' : 'charged' }, error: null })
+  });
+
+  const summary = await runBilling();
+
+  assert.deepStrictEqual(summary, { charged: 1, started: 1, stopped: 0, warned: 0, errors: 0 });
+  assert.deepStrictEqual(queries.filter(query => query.fn === 'bill_deployment').map(query => query.params), [
+    { p_deployment_id: 'a', p_amount: 5, p_period: '24 hours' },
+    { p_deployment_id: 'c', p_amount: 2, p_period: '24 hours' }
+  ]);
+});
+
+test('runBilling arrête le bot d\'un propriétaire qui ne peut plus payer', async () => {
+  const queries = mockBilling({
+    deployments: [deployment('a', 5)],
+    bill: () => ({ data: null, error: { message: 'INSUFFICIENT_FUNDS' } })
+  });
+
+  const summary = await runBilling();
+
+  assert.strictEqual(summary.stopped, 1);
+  assert.strictEqual(provider.stopApp.mock.calls[0].arguments[0], 'kerm-a');
+  const stop = queries.find(query => query.table === 'deployments' && query.action === 'update');
+  assert.strictEqual(stop.values.status, 'stopped');
+  assert.strictEqual(stop.values.stopped_by, 'billing');
+  assert.strictEqual(stop.where('status'), 'active');
+  assert.deepStrictEqual(EmailService.sendBotStoppedForBillingEmail.mock.calls[0].arguments, ['owner@example.com', 'Bot a', 5]);
+});
+
+test('une autre erreur de facturation laisse le bot en ligne', async () => {
+  mockBilling({
+    deployments: [deployment('a', 5)],
+    bill: () => ({ data: null, error: { message: 'connection refused' } })
+  });
+  mock.method(console, 'error', () => {});
+
+  const summary = await runBilling();
+
+  assert.deepStrictEqual(summary, { charged: 0, started: 0, stopped: 0, warned: 0, errors: 1 });
+  assert.strictEqual(provider.stopApp.mock.callCount(), 0);
+});
+
+test('runBilling prévient une fois le propriétaire dont le solde couvre moins de deux jours', async () => {
+  const queries = mockBilling({
+    deployments: [deployment('a', 30), deployment('b', 20)],
+    holds: [{ amount: 10 }]
+  });
+
+  const summary = await runBilling();
+
+  assert.strictEqual(summary.warned, 1);
+  assert.deepStrictEqual(EmailService.sendLowBalanceEmail.mock.calls[0].arguments, [
+    'owner@example.com',
+    { balance: 90, dailyCost: 50, daysLeft: 1 }
+  ]);
+  assert.ok(queries.some(query => query.table === 'users' && query.action === 'update' && query.values.low_balance_warned_at));
+});
+
+test('le propriétaire déjà prévenu aujourd\'hui ne reçoit pas de nouvel email', async () => {
+  const warned = { ...owner, low_balance_warned_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() };
+  mockBilling({ deployments: [deployment('a', 80, warned)] });
+
+  const summary = await runBilling();
+
+  assert.strictEqual(summary.warned, 0);
+  assert.strictEqual(EmailService.sendLowBalanceEmail.mock.callCount(), 0);
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { translateAppJson } = require('../utils/botManifest');
+const ValidationService = require('../routes/validation');
+
+const source = { repo: 'kerm/bot', ref: 'main', path: null, sha: 'abc' };
+
+test('translateAppJson traduit un app.json Heroku en kerm.json valide', () => {
+  const { kermJson, warnings } = translateAppJson({
+    name: 'Kerm MD',
+    description: 'Bot WhatsApp multi-appareils',
+    logo: 'https://example.com/logo.png',
+    repository: 'https://github.com/kerm/bot',
+    env: {
+      SESSION_ID: { description: 'Session WhatsApp' },
+      PREFIX: { description: 'Préfixe', value: '.' },
+      MODE: { value: 'public', required: false },
+      SECRET_KEY: { description: 'Clé', generator: 'secret' },
+      OWNER: '237600000000',
+      EMPTY: ''
+    },
+    buildpacks: [{ url: 'heroku/nodejs' }, 'https://github.com/jonathanong/heroku-buildpack-ffmpeg-latest'],
+    stack: 'heroku-24',
+    formation: { worker: { quantity: 1, size: 'basic' } },
+    addons: ['heroku-postgresql:essential-0']
+  }, source);
+
+  assert.deepStrictEqual(kermJson, {
+    'schema-version': 2,
+    'bot-name': 'Kerm MD',
+    description: 'Bot WhatsApp multi-appareils',
+    env: {
+      SESSION_ID: { description: 'Session WhatsApp' },
+      PREFIX: { description: 'Préfixe', default: '.' },
+      MODE: { description: 'MODE', default: 'public', required: false },
+      SECRET_KEY: { description: 'Clé', generator: 'secret' },
+      OWNER: { description: 'OWNER', default: '237600000000' },
+      EMPTY: { description: 'EMPTY' }
+    },
+    logo: 'https://example.com/logo.png',
+    'documentation-link': 'https://github.com/kerm/bot',
+    buildpacks: ['heroku/nodejs', 'https://github.com/jonathanong/heroku-buildpack-ffmpeg-latest'],
+    stack: 'heroku-24',
+    formation: { worker: { quantity: 1, size: 'basic' } },
+    addons: ['heroku-postgresql:essential-0']
+  });
+
+  assert.deepStrictEqual(warnings, []);
+
+  const validation = ValidationService.validateKermJSON(kermJson);
+  assert.deepStrictEqual(validation.errors, undefined);
+});
+
+test('translateAppJson nomme le bot d\'après le dépôt ou le sous-dossier', () => {
+  assert.strictEqual(translateAppJson({}, source).kermJson['bot-name'], 'bot');
+  assert.strictEqual(translateAppJson({}, { ...source, path: 'bots/kerm-lite' }).kermJson['bot-name'], 'kerm-lite');
+  assert.strictEqual(translateAppJson({}, source).kermJson.description, 'bot (importé depuis app.json)');
+  assert.deepStrictEqual(translateAppJson({}, source).kermJson.env, {});
+});
+
+test('translateAppJson refuse un app.json qui n\'est pas un objet', () => {
+  [null, [], 'app'].forEach(appJson => {
+    assert.throws(() => translateAppJson(appJson, source), { code: 'INVALID_MANIFEST' });
+  });
+});
+
+test('translateAppJson ramène tailles et add-ons non disponibles à ceux de la plateforme', () => {
+  const { kermJson, warnings } = translateAppJson({
+    name: 'Kerm MD',
+    formation: {
+      worker: { quantity: 2, size: 'standard-1X' },
+      web: { quantity: 0, size: 'performance-l' },
+      clock: { quantity: 1, size: 'hobby' }
+    },
+    addons: [
+      'heroku-postgresql:hobby-dev',
+      'heroku-postgresql',
+      { plan: 'heroku-redis:premium-0', as: 'CACHE' },
+      'papertrail:choklad'
+    ]
+  }, source);
+
+  assert.deepStrictEqual(kermJson.formation, {
+    worker: { quantity: 1, size: 'basic' },
+    web: { quantity: 0 },
+    clock: { quantity: 1, size: 'eco' }
+  });
+  assert.deepStrictEqual(kermJson.addons, [
+    'heroku-postgresql:essential-0',
+    { plan: 'heroku-redis:mini', as: 'CACHE' }
+  ]);
+  assert.deepStrictEqual(warnings, [
+    'formation.worker.quantity ramenée de 2 à 1',
+    'formation.worker.size : standard-1X remplacée par basic',
+    'formation.web.size : performance-l non disponible, taille par défaut utilisée',
+    'formation.clock.size : hobby remplacée par eco',
+    'addons : heroku-postgresql:hobby-dev remplacé par heroku-postgresql:essential-0',
+    'addons : heroku-postgresql retiré, heroku-postgresql:essential-0 est déjà déclaré',
+    'addons : heroku-redis:premium-0 remplacé par heroku-redis:mini',
+    'addons : papertrail:choklad retiré, aucun plan autorisé pour papertrail'
+  ]);
+
+  const validation = ValidationService.validateKermJSON(kermJson);
+  assert.deepStrictEqual(validation.errors, undefined);
+});
+
+test('translateAppJson retire les add-ons si aucun n\'est disponible', () => {
+  const { kermJson, warnings } = translateAppJson({ addons: ['papertrail:choklad'] }, source);
+  assert.ok(!('addons' in kermJson));
+  assert.strictEqual(warnings.length, 1);
+});
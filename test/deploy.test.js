@@ -0,0 +1,195 @@
+require('./setup');
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { mockSupabase } = require('./helpers/supabase');
+const { registerProvider } = require('../utils/providers');
+const releases = require('../utils/releases');
+const pricing = require('../utils/pricing');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+const deployRoutes = require('../routes/deploy');
+
+const user = { id: 'user-1', email: 'owner@example.com', coins: 100, is_verified: true };
+const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+
+let server;
+let url;
+let provider;
+registerProvider('fake', { fromAccount: () => provider });
+
+// Base simulée : l'utilisateur connecté, son déploiement et respond(query) pour le reste
+function mockDeploy(deployment, respond = () => null) {
+  return mockSupabase(query => {
+    const result = respond(query);
+    if (result) return result;
+    if (query.table === 'users') return { data: user, error: null };
+    if (query.table === 'deployments') return { data: deployment, error: null };
+    if (query.table === 'heroku_accounts') return { data: { id: 'acc-1', provider: 'fake' }, error: null };
+    return { data: null, error: null };
+  });
+}
+
+function send(method, path, body = {}) {
+  return fetch(`${url}/api/deploy${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+}
+
+const post = (path, body) => send('POST', path, body);
+const put = (path, body) => send('PUT', path, body);
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/deploy', deployRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  url = `http://localhost:${server.address().port}`;
+});
+
+beforeEach(() => {
+  provider = { restartApp: mock.fn(async () => ({ success: true })) };
+});
+
+afterEach(() => mock.restoreAll());
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('restart relance un bot en ligne', async () => {
+  mockDeploy({ id: 'dep-1', status: 'active', heroku_app_name: 'kerm-app', heroku_account_id: 'acc-1' });
+
+  const response = await post('/restart/dep-1');
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(provider.restartApp.mock.calls[0].arguments, ['kerm-app']);
+});
+
+test('restart refuse un bot arrêté, qui ne doit pas tourner sans être facturé', async () => {
+  mockDeploy({ id: 'dep-1', status: 'stopped', heroku_app_name: 'kerm-app', heroku_account_id: 'acc-1' });
+
+  const response = await post('/restart/dep-1');
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(provider.restartApp.mock.callCount(), 0);
+});
+
+// Réservation de 10 coins : placée, puis débit refusé ou accepté selon captureError
+function ledgerResponse(query, { captureError = null, releasedStatus = 'released' } = {}) {
+  if (query.action !== 'rpc') return null;
+  const hold = { id: 'hold-1', amount: 10 };
+  if (query.fn === 'place_coin_hold') return { data: { hold: { ...hold, status: 'held' } }, error: null };
+  if (query.fn === 'capture_coin_hold') {
+    return captureError
+      ? { data: null, error: captureError }
+      : { data: { hold: { ...hold, status: 'captured' } }, error: null };
+  }
+  if (query.fn === 'release_coin_hold') return { data: { hold: { ...hold, status: releasedStatus } }, error: null };
+  return null;
+}
+
+function mockRollback() {
+  mock.method(releases, 'getRelease', async () => ({ version: 3, env_snapshot: { PREFIX: '!' } }));
+  mock.method(releases, 'rollbackToRelease', async () => ({ version: 5 }));
+  mock.method(pricing, 'quote', async () => ({ total: 10 }));
+}
+
+const rollbackDeployment = {
+  id: 'dep-1',
+  status: 'active',
+  heroku_app_name: 'kerm-app',
+  heroku_account_id: 'acc-1',
+  env_variables: {},
+  bot: { id: 'bot-1', name: 'Kerm Bot', kerm_json: {} }
+};
+
+test('rollback débite la réservation une fois la release rétablie', async () => {
+  mockRollback();
+  const queries = mockDeploy(rollbackDeployment, query => ledgerResponse(query));
+
+  const response = await post('/deployment/dep-1/rollback', { version: 3 });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.cost, 10);
+  assert.strictEqual(body.warning, undefined);
+  assert.ok(queries.some(query => query.fn === 'capture_coin_hold'));
+  assert.ok(!queries.some(query => query.fn === 'release_coin_hold'));
+});
+
+test('rollback appliqué reste un succès si le débit échoue, et la réservation est libérée', async () => {
+  mockRollback();
+  const queries = mockDeploy(rollbackDeployment, query => ledgerResponse(query, {
+    captureError: { message: 'INSUFFICIENT_FUNDS' }
+  }));
+
+  const response = await post('/deployment/dep-1/rollback', { version: 3 });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.release, 5);
+  assert.strictEqual(body.cost, 0);
+  assert.deepStrictEqual(body.payment, { status: 'unpaid', reason: 'INSUFFICIENT_FUNDS' });
+  assert.match(body.warning, /débit des coins a échoué/);
+  assert.deepStrictEqual(queries.find(query => query.fn === 'release_coin_hold').params, {
+    p_hold_id: 'hold-1',
+    p_reason: 'rollback_unpaid'
+  });
+});
+
+test('rollback dont le débit a échoué mais la réservation déjà débitée est facturé', async () => {
+  mockRollback();
+  mockDeploy(rollbackDeployment, query => ledgerResponse(query, {
+    captureError: { message: 'timeout' },
+    releasedStatus: 'captured'
+  }));
+
+  const response = await post('/deployment/dep-1/rollback', { version: 3 });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.cost, 10);
+  assert.strictEqual(body.warning, undefined);
+});
+
+test('reapply appliqué reste un succès si le débit échoue, et la réservation est libérée', async () => {
+  mock.method(releases, 'getRelease', async () => ({ version: 2, env_snapshot: { PREFIX: '!' } }));
+  mock.method(releases, 'reapplyEnv', async () => ({ version: 6 }));
+  mock.method(pricing, 'quote', async () => ({ total: 10 }));
+  const queries = mockDeploy(rollbackDeployment, query => ledgerResponse(query, {
+    captureError: { message: 'HOLD_NOT_FOUND' }
+  }));
+
+  const response = await post('/deployment/dep-1/env/reapply', { version: 2 });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.release, 6);
+  assert.deepStrictEqual(body.payment, { status: 'unpaid', reason: 'HOLD_NOT_FOUND' });
+  assert.match(body.warning, /débit des coins a échoué/);
+  assert.strictEqual(queries.find(query => query.fn === 'release_coin_hold').params.p_reason, 'env_reapply_unpaid');
+});
+
+test('update-env appliqué enregistre la release même si le débit échoue', async () => {
+  mock.method(releases, 'applyEnv', async () => {});
+  mock.method(releases, 'recordRelease', async () => ({ version: 7 }));
+  mock.method(pricing, 'quote', async () => ({ total: 10 }));
+  const queries = mockDeploy(rollbackDeployment, query => ledgerResponse(query, {
+    captureError: { message: 'INSUFFICIENT_FUNDS' }
+  }));
+
+  const response = await put('/update-env/dep-1', { envVars: {} });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.release, 7);
+  assert.strictEqual(body.cost, 0);
+  assert.match(body.warning, /débit des coins a échoué/);
+  assert.strictEqual(provider.restartApp.mock.callCount(), 1);
+  assert.strictEqual(releases.recordRelease.mock.callCount(), 1);
+  assert.strictEqual(queries.find(query => query.fn === 'release_coin_hold').params.p_reason, 'env_update_unpaid');
+});
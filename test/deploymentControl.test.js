@@ -0,0 +1,116 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const { registerProvider } = require('../utils/providers');
+const { STOP_REASONS, pauseDeployment, resumeDeployment } = require('../utils/deploymentControl');
+
+const HOUR = 60 * 60 * 1000;
+
+let provider;
+registerProvider('fake', { fromAccount: () => provider });
+
+function deployment(overrides = {}) {
+  return {
+    id: 'dep-1',
+    user_id: 'user-1',
+    status: 'active',
+    heroku_app_name: 'kerm-app',
+    heroku_account_id: 'acc-1',
+    billed_until: null,
+    stopped_at: null,
+    stopped_state: null,
+    bot: { id: 'bot-1', name: 'Kerm MD', daily_cost: 5 },
+    ...overrides
+  };
+}
+
+// Base simulée : le déploiement dans son état actuel et le solde de son propriétaire
+function mockDeployment(current, { coins = 100 } = {}) {
+  return mockSupabase(query => {
+    if (query.table === 'deployments') {
+      if (query.action === 'update') return { data: { ...current, ...query.values }, error: null };
+      return { data: { id: current.id, status: current.status }, error: null };
+    }
+    if (query.table === 'heroku_accounts') return { data: { id: 'acc-1', provider: 'fake' }, error: null };
+    if (query.table === 'users') return { data: { coins }, error: null };
+    if (query.table === 'coin_holds') return { data: [], error: null };
+    return { data: null, error: null };
+  });
+}
+
+const deploymentUpdate = queries => queries.find(query => query.table === 'deployments' && query.action === 'update');
+
+beforeEach(() => {
+  provider = {
+    stopApp: mock.fn(async () => ({ success: true, previous: [{ type: 'worker', quantity: 2 }] })),
+    startApp: mock.fn(async () => ({ success: true }))
+  };
+});
+
+afterEach(() => mock.restoreAll());
+
+test('pauseDeployment arrête les process et garde de quoi les relancer', async () => {
+  const queries = mockDeployment(deployment());
+
+  await pauseDeployment(deployment());
+
+  assert.strictEqual(provider.stopApp.mock.calls[0].arguments[0], 'kerm-app');
+  const update = deploymentUpdate(queries);
+  assert.strictEqual(update.values.status, 'stopped');
+  assert.ok(update.values.stopped_at instanceof Date);
+  assert.deepStrictEqual(update.values.stopped_state, { success: true, previous: [{ type: 'worker', quantity: 2 }] });
+  assert.strictEqual(update.values.stopped_by, STOP_REASONS.OWNER);
+  assert.strictEqual(update.where('status'), 'active');
+});
+
+test('pauseDeployment enregistre l\'origine de l\'arrêt', async () => {
+  const queries = mockDeployment(deployment());
+
+  await pauseDeployment(deployment(), { reason: STOP_REASONS.ADMIN });
+
+  assert.strictEqual(deploymentUpdate(queries).values.stopped_by, 'admin');
+});
+
+test('resumeDeployment relance avec l\'état d\'avant l\'arrêt et prolonge la période payée', async () => {
+  const stoppedAt = new Date(Date.now() - 3 * HOUR);
+  const billedUntil = new Date(Date.now() + 2 * HOUR);
+  const stopped = deployment({
+    status: 'stopped',
+    stopped_at: stoppedAt.toISOString(),
+    billed_until: billedUntil.toISOString(),
+    stopped_state: { previous: [{ type: 'worker', quantity: 2 }] }
+  });
+  const queries = mockDeployment(stopped);
+
+  await resumeDeployment(stopped);
+
+  assert.deepStrictEqual(provider.startApp.mock.calls[0].arguments, ['kerm-app', { previous: [{ type: 'worker', quantity: 2 }] }]);
+  const update = deploymentUpdate(queries);
+  assert.strictEqual(update.values.status, 'active');
+  assert.strictEqual(update.values.stopped_state, null);
+  assert.strictEqual(update.values.stopped_by, null);
+  // Les 3 heures d'arrêt ne sont pas facturées
+  const extension = update.values.billed_until.getTime() - billedUntil.getTime();
+  assert.ok(Math.abs(extension - 3 * HOUR) < 5000);
+});
+
+test('resumeDeployment refuse de relancer si le solde ne couvre pas la période échue', async () => {
+  const stopped = deployment({
+    status: 'stopped',
+    stopped_at: new Date(Date.now() - HOUR).toISOString(),
+    billed_until: new Date(Date.now() - 2 * HOUR).toISOString()
+  });
+  const queries = mockDeployment(stopped, { coins: 3 });
+
+  await assert.rejects(resumeDeployment(stopped), { code: 'INSUFFICIENT_FUNDS' });
+  assert.strictEqual(provider.startApp.mock.callCount(), 0);
+  assert.strictEqual(deploymentUpdate(queries), undefined);
+});
+
+test('pauseDeployment échoue si le compte d\'hébergement a disparu', async () => {
+  mockSupabase(() => ({ data: null, error: null }));
+
+  await assert.rejects(pauseDeployment(deployment()), /Compte d'hébergement du déploiement dep-1 introuvable/);
+  assert.strictEqual(provider.stopApp.mock.callCount(), 0);
+});
@@ -0,0 +1,185 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const { registerProvider } = require('../utils/providers');
+const { STOP_REASONS } = require('../utils/deploymentControl');
+const { ACTIONS, nextOccurrence, nextTransition, validateSchedule, runDueSchedules } = require('../utils/deploymentSchedules');
+
+let provider;
+registerProvider('fake', { fromAccount: () => provider });
+
+beforeEach(() => {
+  provider = {
+    stopApp: mock.fn(async () => ({ success: true })),
+    startApp: mock.fn(async () => ({ success: true }))
+  };
+});
+
+afterEach(() => mock.restoreAll());
+
+// Lundi 5 janvier 2026, 10:30 UTC
+const MONDAY = new Date('2026-01-05T10:30:00Z');
+
+test('nextOccurrence trouve le prochain déclenchement strictement après from', () => {
+  assert.strictEqual(nextOccurrence('0 12 * * *', 'UTC', MONDAY).toISOString(), '2026-01-05T12:00:00.000Z');
+  assert.strictEqual(nextOccurrence('30 10 * * *', 'UTC', MONDAY).toISOString(), '2026-01-06T10:30:00.000Z');
+  assert.strictEqual(nextOccurrence('*/15 * * * *', 'UTC', MONDAY).toISOString(), '2026-01-05T10:45:00.000Z');
+});
+
+test('nextOccurrence respecte le jour de la semaine (0 et 7 = dimanche)', () => {
+  assert.strictEqual(nextOccurrence('0 9 * * 6', 'UTC', MONDAY).toISOString(), '2026-01-10T09:00:00.000Z');
+  assert.strictEqual(nextOccurrence('0 9 * * 7', 'UTC', MONDAY).toISOString(), '2026-01-11T09:00:00.000Z');
+  assert.strictEqual(nextOccurrence('0 9 * * 1-5', 'UTC', MONDAY).toISOString(), '2026-01-06T09:00:00.000Z');
+});
+
+test('nextOccurrence : jour du mois ou jour de semaine quand les deux sont restreints', () => {
+  // Le 10 (samedi) ou un mercredi : le mercredi 7 arrive d'abord
+  assert.strictEqual(nextOccurrence('0 8 10 * 3', 'UTC', MONDAY).toISOString(), '2026-01-07T08:00:00.000Z');
+});
+
+test('nextOccurrence calcule l\'heure locale du fuseau', () => {
+  // 08:00 à Douala (UTC+1) = 07:00 UTC
+  assert.strictEqual(nextOccurrence('0 8 * * *', 'Africa/Douala', MONDAY).toISOString(), '2026-01-06T07:00:00.000Z');
+  // Passage à l'heure d'été à Paris le 29 mars 2026 : 08:00 locale = 06:00 UTC
+  assert.strictEqual(
+    nextOccurrence('0 8 * * *', 'Europe/Paris', new Date('2026-03-28T12:00:00Z')).toISOString(),
+    '2026-03-29T06:00:00.000Z'
+  );
+});
+
+test('nextOccurrence renvoie null au-delà de l\'horizon', () => {
+  // 30 février : jamais
+  assert.strictEqual(nextOccurrence('0 0 30 2 *', 'UTC', MONDAY), null);
+});
+
+test('nextTransition choisit l\'événement le plus proche', () => {
+  const schedule = {
+    mode: 'windows',
+    timezone: 'UTC',
+    windows: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '20:00' }]
+  };
+
+  assert.deepStrictEqual(nextTransition(schedule, MONDAY), {
+    action: ACTIONS.STOP,
+    at: new Date('2026-01-05T20:00:00Z')
+  });
+  assert.deepStrictEqual(nextTransition(schedule, new Date('2026-01-05T21:00:00Z')), {
+    action: ACTIONS.START,
+    at: new Date('2026-01-06T08:00:00Z')
+  });
+});
+
+test('nextTransition : une plage de nuit se termine le lendemain', () => {
+  const schedule = {
+    mode: 'windows',
+    timezone: 'UTC',
+    windows: [{ days: [5], start: '22:00', end: '02:00' }]
+  };
+
+  assert.deepStrictEqual(nextTransition(schedule, new Date('2026-01-09T23:00:00Z')), {
+    action: ACTIONS.STOP,
+    at: new Date('2026-01-10T02:00:00Z')
+  });
+});
+
+test('nextTransition : à égalité le démarrage l\'emporte', () => {
+  const schedule = {
+    mode: 'windows',
+    timezone: 'UTC',
+    windows: [
+      { days: [1], start: '08:00', end: '12:00' },
+      { days: [1], start: '12:00', end: '18:00' }
+    ]
+  };
+
+  assert.deepStrictEqual(nextTransition(schedule, new Date('2026-01-05T11:00:00Z')), {
+    action: ACTIONS.START,
+    at: new Date('2026-01-05T12:00:00Z')
+  });
+});
+
+test('validateSchedule normalise les plages et signale les erreurs', () => {
+  const valid = validateSchedule({ windows: [{ days: [3, 1, 1], start: '08:00', end: '18:00' }] });
+  assert.strictEqual(valid.valid, true);
+  assert.deepStrictEqual(valid.schedule.windows, [{ days: [1, 3], start: '08:00', end: '18:00' }]);
+  assert.strictEqual(valid.schedule.timezone, 'UTC');
+
+  const invalid = validateSchedule({
+    timezone: 'Mars/Olympus',
+    windows: [{ days: [7], start: '8h', end: '18:00' }]
+  });
+  assert.strictEqual(invalid.valid, false);
+  assert.strictEqual(invalid.errors.length, 3);
+});
+
+test('validateSchedule n\'accepte que des expressions cron numériques à 5 champs', () => {
+  assert.strictEqual(validateSchedule({ start_cron: '0 8 * * 1-5', stop_cron: '0 20 * * 1-5' }).valid, true);
+  assert.deepStrictEqual(validateSchedule({ start_cron: '0 8 * * MON', stop_cron: '0 20 * *' }).errors, [
+    'start_cron doit être une expression cron à 5 champs',
+    'stop_cron doit être une expression cron à 5 champs'
+  ]);
+});
+
+// Planning échu pour un déploiement ; queries garde chaque requête
+function mockDueSchedule(action, deployment) {
+  return mockSupabase(query => {
+    if (query.table === 'deployment_schedules' && query.action === 'select') {
+      return {
+        data: [{ id: 'schedule-1', deployment_id: deployment.id, is_active: true, mode: 'cron', timezone: 'UTC', start_cron: '0 8 * * *', stop_cron: '0 20 * * *', next_action: action, next_transition_at: new Date().toISOString(), deployment }],
+        error: null
+      };
+    }
+    if (query.table === 'deployments') {
+      if (query.action === 'update') return { data: { ...deployment, ...query.values }, error: null };
+      return { data: { id: deployment.id, status: deployment.status }, error: null };
+    }
+    if (query.table === 'heroku_accounts') return { data: { id: 'acc-1', provider: 'fake' }, error: null };
+    if (query.table === 'users') return { data: { coins: 100 }, error: null };
+    if (query.table === 'coin_holds') return { data: [], error: null };
+    return { data: null, error: null };
+  });
+}
+
+function stoppedDeployment(stoppedBy) {
+  return {
+    id: 'dep-1',
+    user_id: 'user-1',
+    status: 'stopped',
+    heroku_app_name: 'kerm-app',
+    heroku_account_id: 'acc-1',
+    billed_until: null,
+    stopped_at: new Date().toISOString(),
+    stopped_state: null,
+    stopped_by: stoppedBy,
+    bot: { id: 'bot-1', name: 'Kerm MD', daily_cost: 0 }
+  };
+}
+
+test('le démarrage programmé relance un bot arrêté par le planning', async () => {
+  mockDueSchedule(ACTIONS.START, stoppedDeployment(STOP_REASONS.SCHEDULE));
+
+  const summary = await runDueSchedules();
+
+  assert.deepStrictEqual(summary, { started: 1, stopped: 0, errors: 0 });
+  assert.strictEqual(provider.startApp.mock.callCount(), 1);
+});
+
+test('le démarrage programmé laisse arrêté un bot arrêté par son propriétaire, un administrateur ou faute de paiement', async () => {
+  for (const reason of [STOP_REASONS.OWNER, STOP_REASONS.ADMIN, STOP_REASONS.BILLING, null]) {
+    const queries = mockDueSchedule(ACTIONS.START, stoppedDeployment(reason));
+
+    assert.deepStrictEqual(await runDueSchedules(), { started: 0, stopped: 0, errors: 0 });
+    assert.ok(!queries.some(query => query.table === 'deployments' && query.action === 'update'));
+    mock.restoreAll();
+  }
+  assert.strictEqual(provider.startApp.mock.callCount(), 0);
+});
+
+test('l\'arrêt programmé enregistre le planning comme origine', async () => {
+  const queries = mockDueSchedule(ACTIONS.STOP, { ...stoppedDeployment(null), status: 'active', stopped_at: null });
+
+  assert.deepStrictEqual(await runDueSchedules(), { started: 0, stopped: 1, errors: 0 });
+  const update = queries.find(query => query.table === 'deployments' && query.action === 'update');
+  assert.strictEqual(update.values.stopped_by, STOP_REASONS.SCHEDULE);
+});
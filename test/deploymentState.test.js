@@ -0,0 +1,74 @@
+require('./setup');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  STATES,
+  TRANSITIONS,
+  InvalidTransitionError,
+  canTransition,
+  isTerminal,
+  isInProgress
+} = require('../utils/deploymentState');
+
+test('le pipeline avance dans l\'ordre', () => {
+  assert.ok(canTransition(STATES.PENDING, STATES.CREATING_APP));
+  assert.ok(canTransition(STATES.CREATING_APP, STATES.BUILDING));
+  assert.ok(canTransition(STATES.BUILDING, STATES.CONFIGURING));
+  assert.ok(canTransition(STATES.CONFIGURING, STATES.ACTIVE));
+});
+
+test('une étape ne peut pas être sautée ni rejouée', () => {
+  assert.ok(!canTransition(STATES.PENDING, STATES.BUILDING));
+  assert.ok(!canTransition(STATES.CREATING_APP, STATES.ACTIVE));
+  assert.ok(!canTransition(STATES.ACTIVE, STATES.ACTIVE));
+  assert.ok(!canTransition(STATES.ACTIVE, STATES.CONFIGURING));
+});
+
+test('un redéploiement repasse par le build et peut revenir en ligne', () => {
+  assert.ok(canTransition(STATES.ACTIVE, STATES.BUILDING));
+  assert.ok(canTransition(STATES.BUILDING, STATES.ACTIVE));
+});
+
+test('pause et reprise', () => {
+  assert.ok(canTransition(STATES.ACTIVE, STATES.STOPPED));
+  assert.ok(canTransition(STATES.STOPPED, STATES.ACTIVE));
+  assert.ok(!canTransition(STATES.STOPPED, STATES.FAILED));
+});
+
+test('un déploiement en échec ne peut plus qu\'être supprimé', () => {
+  assert.deepStrictEqual(TRANSITIONS[STATES.FAILED], [STATES.DELETED]);
+  assert.deepStrictEqual(TRANSITIONS[STATES.DELETED], []);
+});
+
+test('tout état non supprimé peut être supprimé', () => {
+  Object.values(STATES)
+    .filter(state => state !== STATES.DELETED)
+    .forEach(state => assert.ok(canTransition(state, STATES.DELETED), state));
+});
+
+test('chaque transition mène à un état connu', () => {
+  const states = Object.values(STATES);
+  assert.deepStrictEqual(Object.keys(TRANSITIONS).sort(), [...states].sort());
+  Object.values(TRANSITIONS).flat().forEach(state => assert.ok(states.includes(state), state));
+});
+
+test('un état inconnu n\'autorise aucune transition', () => {
+  assert.ok(!canTransition('unknown', STATES.ACTIVE));
+});
+
+test('isTerminal et isInProgress', () => {
+  assert.ok(isTerminal(STATES.FAILED));
+  assert.ok(isTerminal(STATES.DELETED));
+  assert.ok(!isTerminal(STATES.STOPPED));
+
+  [STATES.PENDING, STATES.CREATING_APP, STATES.BUILDING, STATES.CONFIGURING]
+    .forEach(state => assert.ok(isInProgress(state), state));
+  [STATES.ACTIVE, STATES.STOPPED, STATES.FAILED, STATES.DELETED]
+    .forEach(state => assert.ok(!isInProgress(state), state));
+});
+
+test('une transition interdite n\'est pas retentée', () => {
+  const error = new InvalidTransitionError(STATES.ACTIVE, STATES.ACTIVE);
+  assert.strictEqual(error.permanent, true);
+  assert.match(error.message, /active → active/);
+});
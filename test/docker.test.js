@@ -0,0 +1,200 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const DockerService = require('../utils/providers/docker');
+
+const SHA = '0123456789abcdef0123456789abcdef01234567';
+
+// Démon Docker simulé : containers[nom] = { Config, State } ; calls garde chaque appel
+function fakeDocker({ containers = {}, images = [], buildLines = [] } = {}) {
+  const docker = new DockerService({ host: 'http://docker.test' });
+  const calls = [];
+  const notFound = () => Object.assign(new Error('Not Found'), { response: { status: 404 } });
+
+  mock.method(docker.client, 'get', async (url, options) => {
+    calls.push(['get', url, options]);
+    const container = url.match(/^\/containers\/([^/]+)\/json$/);
+    if (container) {
+      if (!containers[container[1]]) throw notFound();
+      return { data: containers[container[1]] };
+    }
+    const image = url.match(/^\/images\/([^/]+)\/json$/);
+    if (image) {
+      if (!images.includes(decodeURIComponent(image[1]))) throw notFound();
+      return { data: {} };
+    }
+    return { data: {} };
+  });
+
+  mock.method(docker.client, 'post', async (url, body, options) => {
+    calls.push(['post', url, body, options]);
+    if (url.startsWith('/build')) {
+      return { data: Readable.from(buildLines.map(line => `${JSON.stringify(line)}\n`)) };
+    }
+    return { data: {} };
+  });
+
+  mock.method(docker.client, 'delete', async (url, options) => {
+    calls.push(['delete', url, options]);
+    return { data: {} };
+  });
+
+  mock.method(console, 'error', () => {});
+  return { docker, calls };
+}
+
+// Trame des logs multiplexés : type de flux, 3 octets nuls, taille puis texte
+function frame(text, stream = 1) {
+  const payload = Buffer.from(text, 'utf8');
+  const header = Buffer.alloc(8);
+  header.writeUInt8(stream, 0);
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('fromAccount se connecte au démon du compte avec sa clé', () => {
+  const remote = DockerService.fromAccount({ api_key: 'jeton', config: { host: 'tcp://10.0.0.2:2375' } });
+  assert.strictEqual(remote.client.defaults.baseURL, 'http://10.0.0.2:2375');
+  assert.strictEqual(remote.client.defaults.headers.Authorization, 'Bearer jeton');
+
+  const local = DockerService.fromAccount({ config: { socket_path: '/run/docker.sock' } });
+  assert.strictEqual(local.client.defaults.socketPath, '/run/docker.sock');
+});
+
+test('un build réussi construit l\'image du commit puis remplace le conteneur', async () => {
+  const { docker, calls } = fakeDocker({
+    buildLines: [{ stream: 'Step 1/2 : FROM node:20\n' }, { stream: 'Successfully built abc\n' }]
+  });
+
+  const { id } = await docker.buildFromSource('kerm-app', { repo: 'kerm/bot', sha: SHA });
+  const { build, output } = await docker.waitForBuild('kerm-app', id);
+
+  assert.strictEqual(id, `kermhost/kerm-app:${SHA.slice(0, 12)}`);
+  assert.strictEqual(build.status, 'succeeded');
+  assert.strictEqual(output, 'Step 1/2 : FROM node:20\nSuccessfully built abc');
+
+  const buildUrl = new URL(calls.find(([method, url]) => method === 'post' && url.startsWith('/build'))[1], 'http://docker.test');
+  assert.strictEqual(buildUrl.searchParams.get('remote'), `https://github.com/kerm/bot.git#${SHA}`);
+  assert.deepStrictEqual(buildUrl.searchParams.getAll('t'), [id, 'kermhost/kerm-app:latest']);
+
+  const create = calls.find(([method, url]) => method === 'post' && url === '/containers/create');
+  assert.strictEqual(create[2].Image, id);
+  assert.deepStrictEqual(create[2].Env, []);
+  assert.deepStrictEqual(create[3], { params: { name: 'kerm-app' } });
+  assert.ok(calls.some(([method, url]) => method === 'post' && url === '/containers/kerm-app/start'));
+});
+
+test('un build en erreur ne touche pas au conteneur en ligne', async () => {
+  const { docker, calls } = fakeDocker({
+    buildLines: [{ stream: 'Step 1/2 : RUN npm ci\n' }, { error: 'npm ERR! missing script: build' }]
+  });
+
+  const { id } = await docker.buildFromSource('kerm-app', { repo: 'kerm/bot', sha: SHA });
+  const { build, output } = await docker.waitForBuild('kerm-app', id);
+
+  assert.strictEqual(build.status, 'failed');
+  assert.match(output, /npm ERR! missing script: build/);
+  assert.ok(!calls.some(([method, url]) => url === '/containers/create' || url === '/containers/kerm-app'));
+});
+
+test('setConfigVars recrée le conteneur avec les variables fusionnées', async () => {
+  const { docker, calls } = fakeDocker({
+    containers: {
+      'kerm-app': { Config: { Image: 'kermhost/kerm-app:abc', Env: ['PREFIX=.', 'MODE=public', 'URL=a=b'] }, State: { Status: 'running' } }
+    }
+  });
+
+  const env = await docker.setConfigVars('kerm-app', { MODE: null, OWNER: '237600000000' });
+
+  assert.deepStrictEqual(env, { PREFIX: '.', URL: 'a=b', OWNER: '237600000000' });
+  const create = calls.find(([method, url]) => method === 'post' && url === '/containers/create');
+  assert.strictEqual(create[2].Image, 'kermhost/kerm-app:abc');
+  assert.deepStrictEqual(create[2].Env, ['PREFIX=.', 'URL=a=b', 'OWNER=237600000000']);
+});
+
+test('setConfigVars échoue si le conteneur n\'existe pas', async () => {
+  const { docker } = fakeDocker();
+
+  await assert.rejects(docker.setConfigVars('kerm-app', { PREFIX: '!' }), { statusCode: 404 });
+});
+
+test('getAppLogs démultiplexe stdout et stderr en lignes', async () => {
+  const { docker } = fakeDocker();
+  const logs = Buffer.concat([frame('Bot connecté\nMessa'), frame('ge reçu\n'), frame('Erreur réseau\n', 2)]);
+  docker.client.get.mock.mockImplementation(async () => ({ data: logs }));
+
+  assert.deepStrictEqual(await docker.getAppLogs('kerm-app', { lines: 10 }), ['Bot connecté', 'Message reçu', 'Erreur réseau']);
+  assert.deepStrictEqual(docker.client.get.mock.calls[0].arguments[1].params.tail, 10);
+});
+
+test('getAppStatus traduit l\'état du conteneur', async () => {
+  const status = async State => {
+    const { docker } = fakeDocker({ containers: State ? { 'kerm-app': { State } } : {} });
+    const { state } = await docker.getAppStatus('kerm-app');
+    mock.restoreAll();
+    return state;
+  };
+
+  assert.strictEqual(await status({ Status: 'running' }), 'running');
+  assert.strictEqual(await status({ Status: 'exited', ExitCode: 0 }), 'stopped');
+  assert.strictEqual(await status({ Status: 'exited', ExitCode: 137 }), 'crashed');
+  assert.strictEqual(await status({ Status: 'restarting' }), 'starting');
+  assert.strictEqual(await status(null), 'unknown');
+});
+
+test('deployRelease relance le conteneur sur l\'image conservée', async () => {
+  const image = `kermhost/kerm-app:${SHA.slice(0, 12)}`;
+  const { docker, calls } = fakeDocker({
+    containers: { 'kerm-app': { Config: { Image: 'kermhost/kerm-app:latest', Env: ['PREFIX=.'] }, State: { Status: 'running' } } },
+    images: [image]
+  });
+
+  assert.deepStrictEqual(docker.buildArtifact({ id: image }), { image });
+  assert.deepStrictEqual(await docker.deployRelease('kerm-app', { image }), { id: image });
+
+  const create = calls.find(([method, url]) => method === 'post' && url === '/containers/create');
+  assert.strictEqual(create[2].Image, image);
+  assert.deepStrictEqual(create[2].Env, ['PREFIX=.']);
+});
+
+test('deployRelease refuse définitivement une image supprimée', async () => {
+  const { docker, calls } = fakeDocker();
+
+  await assert.rejects(docker.deployRelease('kerm-app', { image: 'kermhost/kerm-app:disparue' }), { permanent: true });
+  assert.ok(!calls.some(([method]) => method === 'delete'));
+});
+
+test('un bot en pause reste arrêté quand ses variables ou son image changent', async () => {
+  const image = `kermhost/kerm-app:${SHA.slice(0, 12)}`;
+  const { docker, calls } = fakeDocker({
+    containers: { 'kerm-app': { Config: { Image: 'kermhost/kerm-app:abc', Env: ['PREFIX=.'] }, State: { Status: 'exited', ExitCode: 0 } } },
+    images: [image]
+  });
+
+  await docker.setConfigVars('kerm-app', { PREFIX: '!' });
+  await docker.deployRelease('kerm-app', { image });
+
+  assert.strictEqual(calls.filter(([method, url]) => method === 'post' && url === '/containers/create').length, 2);
+  assert.ok(!calls.some(([method, url]) => method === 'post' && url === '/containers/kerm-app/start'));
+});
+
+test('restartApp ne relance pas un conteneur arrêté', async () => {
+  const { docker, calls } = fakeDocker({
+    containers: { 'kerm-app': { Config: { Image: 'kermhost/kerm-app:abc', Env: [] }, State: { Status: 'exited', ExitCode: 0 } } }
+  });
+
+  assert.deepStrictEqual(await docker.restartApp('kerm-app'), { success: true });
+  assert.ok(!calls.some(([method]) => method === 'post'));
+});
+
+test('restartApp redémarre un conteneur en marche', async () => {
+  const { docker, calls } = fakeDocker({
+    containers: { 'kerm-app': { Config: { Image: 'kermhost/kerm-app:abc', Env: [] }, State: { Status: 'running' } } }
+  });
+
+  await docker.restartApp('kerm-app');
+
+  assert.ok(calls.some(([method, url]) => method === 'post' && url === '/containers/kerm-app/restart'));
+});
@@ -0,0 +1,114 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { mockSupabase } = require('./helpers/supabase');
+const encryption = require('../utils/encryption');
+const { rotateStoredSecrets } = require('../utils/keyRotation');
+
+const KEY_VARIABLES = ['ENCRYPTION_MASTER_KEY', 'ENCRYPTION_KEY_ID', 'ENCRYPTION_PREVIOUS_KEYS'];
+const firstKey = crypto.randomBytes(32);
+const secondKey = crypto.randomBytes(32);
+let saved;
+
+function useKeys({ current, id, previous }) {
+  process.env.ENCRYPTION_MASTER_KEY = current;
+  process.env.ENCRYPTION_KEY_ID = id;
+  if (previous) process.env.ENCRYPTION_PREVIOUS_KEYS = previous;
+  else delete process.env.ENCRYPTION_PREVIOUS_KEYS;
+}
+
+beforeEach(() => {
+  saved = Object.fromEntries(KEY_VARIABLES.map(name => [name, process.env[name]]));
+  useKeys({ current: firstKey.toString('base64'), id: 'k1' });
+});
+
+afterEach(() => {
+  KEY_VARIABLES.forEach(name => {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  });
+  mock.restoreAll();
+});
+
+test('encrypt puis decrypt rend la valeur avec son type', () => {
+  const sealed = encryption.encrypt('kerm;session');
+
+  assert.ok(encryption.isEncrypted(sealed));
+  assert.ok(sealed.startsWith('enc:v1:k1:'));
+  assert.notStrictEqual(encryption.encrypt('kerm;session'), sealed);
+  assert.strictEqual(encryption.decrypt(sealed), 'kerm;session');
+  assert.strictEqual(encryption.decrypt(encryption.encrypt(42)), 42);
+  assert.deepStrictEqual(encryption.decrypt(encryption.encrypt({ host: 'tcp://10.0.0.2' })), { host: 'tcp://10.0.0.2' });
+});
+
+test('une valeur en clair ou vide traverse sans clé', () => {
+  delete process.env.ENCRYPTION_MASTER_KEY;
+
+  assert.strictEqual(encryption.decrypt('valeur-ancienne'), 'valeur-ancienne');
+  assert.strictEqual(encryption.encrypt(null), null);
+  assert.throws(() => encryption.encrypt('secret'), /ENCRYPTION_MASTER_KEY non configurée/);
+});
+
+test('une clé maîtresse de mauvaise taille est refusée', () => {
+  process.env.ENCRYPTION_MASTER_KEY = 'trop-courte';
+
+  assert.throws(() => encryption.encrypt('secret'), /32 octets/);
+});
+
+test('après rotation les anciennes valeurs restent lisibles et rewrap passe sur la nouvelle clé', () => {
+  const sealed = encryption.encrypt('secret');
+  useKeys({ current: secondKey.toString('hex'), id: 'k2', previous: `k1:${firstKey.toString('base64')}` });
+
+  assert.strictEqual(encryption.decrypt(sealed), 'secret');
+
+  const { value, changed } = encryption.rewrap(sealed);
+  assert.strictEqual(changed, true);
+  assert.ok(value.startsWith('enc:v1:k2:'));
+  assert.strictEqual(encryption.decrypt(value), 'secret');
+  assert.deepStrictEqual(encryption.rewrap(value), { value, changed: false });
+
+  // L'ancienne clé retirée, seules les valeurs rechiffrées restent lisibles
+  useKeys({ current: secondKey.toString('hex'), id: 'k2' });
+  assert.strictEqual(encryption.decrypt(value), 'secret');
+  assert.throws(() => encryption.decrypt(sealed), /Clé maîtresse inconnue: k1/);
+});
+
+test('rewrap chiffre une valeur encore en clair', () => {
+  const { value, changed } = encryption.rewrap('en-clair');
+
+  assert.strictEqual(changed, true);
+  assert.strictEqual(encryption.decrypt(value), 'en-clair');
+  assert.deepStrictEqual(encryption.rewrap(null), { value: null, changed: false });
+});
+
+test('les variables gardent leurs noms lisibles et leurs valeurs se masquent', () => {
+  const env = encryption.encryptEnv({ PREFIX: '.', SESSION_ID: 'kerm;abcdefghij' });
+
+  assert.deepStrictEqual(Object.keys(env), ['PREFIX', 'SESSION_ID']);
+  assert.deepStrictEqual(encryption.decryptEnv(env), { PREFIX: '.', SESSION_ID: 'kerm;abcdefghij' });
+  assert.deepStrictEqual(encryption.maskEnv(env), { PREFIX: encryption.MASK, SESSION_ID: encryption.MASK });
+  assert.strictEqual(encryption.maskValue(env.SESSION_ID, { visible: 4 }), `${encryption.MASK}ghij`);
+  assert.strictEqual(encryption.maskValue(env.PREFIX, { visible: 4 }), encryption.MASK);
+});
+
+test('rotateStoredSecrets rechiffre les valeurs qui ne sont pas sur la clé courante', async () => {
+  const current = encryption.encryptEnv({ PREFIX: '.' });
+  const queries = mockSupabase(query => {
+    if (query.table === 'encryption_rotations') return { data: { id: 'rotation-1', ...query.values }, error: null };
+    if (query.table === 'deployments' && query.action === 'select') {
+      return { data: [{ id: 'dep-1', env_variables: { PREFIX: '!' } }, { id: 'dep-2', env_variables: current }], error: null };
+    }
+    return { data: [], error: null };
+  });
+
+  const rotation = await rotateStoredSecrets('admin-1');
+
+  assert.strictEqual(rotation.rewrapped, 1);
+  assert.strictEqual(rotation.errors, 0);
+  assert.deepStrictEqual(queries.find(query => query.table === 'encryption_rotations').values, [{ key_id: 'k1', triggered_by: 'admin-1' }]);
+
+  const updates = queries.filter(query => query.table === 'deployments' && query.action === 'update');
+  assert.deepStrictEqual(updates.map(update => update.where('id')), ['dep-1']);
+  assert.deepStrictEqual(encryption.decryptEnv(updates[0].values.env_variables), { PREFIX: '!' });
+});
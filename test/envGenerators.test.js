@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isKnownGenerator, validateGenerator, generateValue, fillGeneratedEnv } = require('../utils/envGenerators');
+
+const context = { deploymentId: 'dep-1', appName: 'kermhost-1' };
+
+test('generateValue produit le format de chaque générateur', () => {
+  assert.match(generateValue('secret'), /^[0-9a-f]{64}$/);
+  assert.match(generateValue({ type: 'secret', bytes: 16 }), /^[0-9a-f]{32}$/);
+  assert.match(generateValue({ type: 'secret', encoding: 'base64url' }), /^[A-Za-z0-9_-]{43}$/);
+  assert.match(generateValue('uuid'), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.ok(!Number.isNaN(Date.parse(generateValue('timestamp'))));
+  assert.match(generateValue({ type: 'timestamp', format: 'unix' }), /^\d{10}$/);
+  assert.strictEqual(generateValue('deployment-id', context), 'dep-1');
+  assert.strictEqual(generateValue('app-name', context), 'kermhost-1');
+  assert.strictEqual(generateValue('app-name'), '');
+});
+
+test('deux secrets générés diffèrent', () => {
+  assert.notStrictEqual(generateValue('secret'), generateValue('secret'));
+});
+
+test('validateGenerator vérifie le type et les options', () => {
+  assert.strictEqual(validateGenerator('secret'), null);
+  assert.strictEqual(validateGenerator({ type: 'secret', bytes: 48, encoding: 'base64' }), null);
+  assert.match(validateGenerator('password'), /generator inconnu/);
+  assert.match(validateGenerator({ type: 'secret', bytes: 8 }), /entre 16 et 256/);
+  assert.match(validateGenerator({ type: 'secret', encoding: 'utf8' }), /hex, base64, base64url/);
+  assert.match(validateGenerator({ type: 'timestamp', format: 'rfc' }), /iso, unix/);
+  assert.ok(!isKnownGenerator('toString'));
+  assert.ok(!isKnownGenerator(['secret']));
+});
+
+test('fillGeneratedEnv ne remplit que les variables générées restées vides', () => {
+  const botEnv = {
+    PREFIX: { description: 'Préfixe' },
+    SESSION_SECRET: { description: 'Secret', generator: 'secret' },
+    APP_NAME: { description: 'App', generator: 'app-name' },
+    DEPLOYMENT: { description: 'Déploiement', generator: 'deployment-id' }
+  };
+
+  const filled = fillGeneratedEnv(botEnv, { PREFIX: '.', DEPLOYMENT: 'fourni' }, {}, context);
+  assert.strictEqual(filled.PREFIX, '.');
+  assert.strictEqual(filled.DEPLOYMENT, 'fourni');
+  assert.strictEqual(filled.APP_NAME, 'kermhost-1');
+  assert.match(filled.SESSION_SECRET, /^[0-9a-f]{64}$/);
+});
+
+test('fillGeneratedEnv conserve la valeur déjà en ligne', () => {
+  const botEnv = { SESSION_SECRET: { description: 'Secret', generator: 'secret' } };
+  assert.deepStrictEqual(
+    fillGeneratedEnv(botEnv, { SESSION_SECRET: '' }, { SESSION_SECRET: 'actuel' }, context),
+    { SESSION_SECRET: 'actuel' }
+  );
+});
@@ -0,0 +1,65 @@
+const { mock } = require('node:test');
+const supabase = require('../../utils/database');
+
+const WRITES = ['insert', 'update', 'upsert', 'delete'];
+const FILTERS = ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'in', 'is', 'not', 'or', 'contains'];
+
+// Client Supabase simulé : chaque requête est enregistrée puis résolue par respond(query)
+// query : { table, action, values, columns, filters, modifiers } ou { action: 'rpc', fn, params }
+// respond renvoie { data, error } comme supabase-js ; par défaut aucune donnée
+function mockSupabase(respond = () => ({ data: null, error: null })) {
+  const queries = [];
+
+  mock.method(supabase, 'from', table => {
+    const query = {
+      table,
+      action: 'select',
+      values: null,
+      columns: null,
+      filters: [],
+      modifiers: [],
+      // Valeur du filtre eq sur une colonne
+      where(column) {
+        const filter = this.filters.find(([op, name]) => op === 'eq' && name === column);
+        return filter ? filter[2] : undefined;
+      }
+    };
+    queries.push(query);
+
+    const builder = new Proxy({}, {
+      get(target, property) {
+        if (property === 'then') {
+          return (resolve, reject) => Promise.resolve()
+            .then(() => respond(query) || { data: null, error: null })
+            .then(resolve, reject);
+        }
+
+        return (...args) => {
+          if (WRITES.includes(property)) {
+            query.action = property;
+            query.values = args[0];
+          } else if (property === 'select') {
+            query.columns = args[0];
+          } else if (FILTERS.includes(property)) {
+            query.filters.push([property, ...args]);
+          } else {
+            query.modifiers.push([property, ...args]);
+          }
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  });
+
+  mock.method(supabase, 'rpc', async (fn, params) => {
+    const query = { action: 'rpc', fn, params };
+    queries.push(query);
+    return respond(query) || { data: null, error: null };
+  });
+
+  return queries;
+}
+
+module.exports = { supabase, mockSupabase };
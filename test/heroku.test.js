@@ -0,0 +1,203 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const axios = require('axios');
+const HerokuService = require('../utils/heroku');
+
+// Client Heroku dont les appels API sont remplacés
+function service() {
+  const heroku = new HerokuService('test-api-key');
+  mock.method(console, 'error', () => {});
+  return heroku;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('waitForBuild suit le build jusqu\'à son état final', async () => {
+  const heroku = service();
+  const statuses = ['pending', 'pending', 'succeeded'];
+  const get = mock.method(heroku.heroku, 'get', async () => ({ id: 'build-1', status: statuses.shift(), output_stream_url: 'https://build/out' }));
+  const getBuildOutput = mock.method(heroku, 'getBuildOutput', async () => '-----> Build succeeded!');
+
+  const { build, output } = await heroku.waitForBuild('kerm-app', 'build-1', { interval: 1 });
+
+  assert.strictEqual(build.status, 'succeeded');
+  assert.strictEqual(output, '-----> Build succeeded!');
+  assert.strictEqual(get.mock.callCount(), 3);
+  assert.strictEqual(get.mock.calls[0].arguments[0], '/apps/kerm-app/builds/build-1');
+  assert.deepStrictEqual(getBuildOutput.mock.calls[0].arguments, ['https://build/out']);
+});
+
+test('waitForBuild renvoie aussi un build échoué avec sa sortie', async () => {
+  const heroku = service();
+  mock.method(heroku.heroku, 'get', async () => ({ id: 'build-1', status: 'failed', output_stream_url: 'https://build/out' }));
+  mock.method(heroku, 'getBuildOutput', async () => 'npm ERR! missing script: start');
+
+  const { build, output } = await heroku.waitForBuild('kerm-app', 'build-1', { interval: 1 });
+
+  assert.strictEqual(build.status, 'failed');
+  assert.match(output, /npm ERR!/);
+});
+
+test('waitForBuild abandonne un build qui ne se termine pas', async () => {
+  const heroku = service();
+  mock.method(heroku.heroku, 'get', async () => ({ id: 'build-1', status: 'pending' }));
+
+  await assert.rejects(
+    heroku.waitForBuild('kerm-app', 'build-1', { interval: 5, timeout: 1 }),
+    { code: 'BUILD_TIMEOUT' }
+  );
+});
+
+test('getAppLogs lit les dernières lignes d\'une session de logs', async () => {
+  const heroku = service();
+  const post = mock.method(heroku.heroku, 'post', async () => ({ logplex_url: 'https://logs/session' }));
+  const get = mock.method(axios, 'get', async () => ({ data: '2026-10-19 app[web.1]: Bot connecté\n2026-10-19 app[web.1]: Message reçu\n' }));
+
+  const lines = await heroku.getAppLogs('kerm-app', { lines: 50, dyno: 'web.1' });
+
+  assert.deepStrictEqual(lines, ['2026-10-19 app[web.1]: Bot connecté', '2026-10-19 app[web.1]: Message reçu']);
+  assert.deepStrictEqual(post.mock.calls[0].arguments, ['/apps/kerm-app/log-sessions', {
+    body: { tail: false, lines: 50, dyno: 'web.1' }
+  }]);
+  assert.strictEqual(get.mock.calls[0].arguments[0], 'https://logs/session');
+});
+
+test('tailLogs transmet le flux ligne par ligne, même coupé au milieu d\'une ligne', async () => {
+  const heroku = service();
+  const post = mock.method(heroku.heroku, 'post', async () => ({ logplex_url: 'https://logs/tail' }));
+  mock.method(axios, 'get', async () => ({ data: Readable.from(['ligne 1\nlig', 'ne 2\n', 'ligne 3']) }));
+  const received = [];
+
+  const stream = await heroku.tailLogs('kerm-app', line => received.push(line));
+  await stream.done;
+
+  assert.deepStrictEqual(received, ['ligne 1', 'ligne 2', 'ligne 3']);
+  assert.strictEqual(post.mock.calls[0].arguments[1].body.tail, true);
+});
+
+test('stopApp met tous les process à zéro et garde la formation d\'avant', async () => {
+  const heroku = service();
+  mock.method(heroku.heroku, 'get', async () => [{ type: 'web', quantity: 0 }, { type: 'worker', quantity: 2 }]);
+  const patch = mock.method(heroku.heroku, 'patch', async () => []);
+
+  const state = await heroku.stopApp('kerm-app');
+
+  assert.deepStrictEqual(patch.mock.calls[0].arguments, ['/apps/kerm-app/formation', {
+    body: { updates: [{ type: 'web', quantity: 0 }, { type: 'worker', quantity: 0 }] }
+  }]);
+  assert.deepStrictEqual(state.previous, [{ type: 'web', quantity: 0 }, { type: 'worker', quantity: 2 }]);
+});
+
+test('startApp relance la formation d\'avant l\'arrêt, un process par type à défaut', async () => {
+  const heroku = service();
+  mock.method(heroku.heroku, 'get', async () => [{ type: 'worker', quantity: 0 }]);
+  const patch = mock.method(heroku.heroku, 'patch', async () => []);
+
+  await heroku.startApp('kerm-app', { previous: [{ type: 'web', quantity: 0 }, { type: 'worker', quantity: 2 }] });
+  await heroku.startApp('kerm-app', {});
+
+  assert.deepStrictEqual(patch.mock.calls.map(call => call.arguments[1].body.updates), [
+    [{ type: 'worker', quantity: 2 }],
+    [{ type: 'worker', quantity: 1 }]
+  ]);
+});
+
+test('deployRelease publie le slug d\'un build précédent', async () => {
+  const heroku = service();
+  const post = mock.method(heroku.heroku, 'post', async () => ({ id: 'release-5' }));
+
+  assert.deepStrictEqual(heroku.buildArtifact({ slug: { id: 'slug-2' } }), { slug_id: 'slug-2' });
+  assert.strictEqual(heroku.buildArtifact({ slug: null }), null);
+
+  await heroku.deployRelease('kerm-app', { slug_id: 'slug-2' }, { description: 'Retour à la release v2' });
+
+  assert.deepStrictEqual(post.mock.calls[0].arguments, ['/apps/kerm-app/releases', {
+    body: { slug: 'slug-2', description: 'Retour à la release v2' }
+  }]);
+});
+
+test('deployRelease refuse définitivement une release sans slug', async () => {
+  const heroku = service();
+  const post = mock.method(heroku.heroku, 'post', async () => ({}));
+
+  await assert.rejects(heroku.deployRelease('kerm-app', null), { permanent: true });
+  assert.strictEqual(post.mock.callCount(), 0);
+});
+
+test('prepareBuild fixe la stack et installe les buildpacks déclarés', async () => {
+  const heroku = service();
+  const patch = mock.method(heroku.heroku, 'patch', async () => ({}));
+  const put = mock.method(heroku.heroku, 'put', async () => ([]));
+
+  await heroku.prepareBuild('kerm-app', { stack: 'heroku-24', buildpacks: ['heroku/nodejs', 'https://github.com/kerm/ffmpeg'] });
+
+  assert.deepStrictEqual(patch.mock.calls[0].arguments, ['/apps/kerm-app', { body: { build_stack: 'heroku-24' } }]);
+  assert.deepStrictEqual(put.mock.calls[0].arguments, ['/apps/kerm-app/buildpack-installations', {
+    body: { updates: [{ buildpack: 'heroku/nodejs' }, { buildpack: 'https://github.com/kerm/ffmpeg' }] }
+  }]);
+});
+
+test('prepareBuild place le buildpack monorepo devant ceux déjà installés', async () => {
+  const heroku = service();
+  const patch = mock.method(heroku.heroku, 'patch', async () => ({}));
+  mock.method(heroku.heroku, 'get', async () => ([{ buildpack: { url: 'heroku/python' } }]));
+  const put = mock.method(heroku.heroku, 'put', async () => ([]));
+
+  await heroku.prepareBuild('kerm-app', { path: 'bots/lite' });
+
+  assert.deepStrictEqual(patch.mock.calls[0].arguments, ['/apps/kerm-app/config-vars', { body: { APP_BASE: 'bots/lite' } }]);
+  const [, { body }] = put.mock.calls[0].arguments;
+  assert.strictEqual(body.updates.length, 2);
+  assert.match(body.updates[0].buildpack, /heroku-buildpack-monorepo/);
+  assert.strictEqual(body.updates[1].buildpack, 'heroku/python');
+});
+
+test('prepareBuild sans réglage laisse les buildpacks de l\'app', async () => {
+  const heroku = service();
+  const patch = mock.method(heroku.heroku, 'patch', async () => ({}));
+  const put = mock.method(heroku.heroku, 'put', async () => ([]));
+
+  await heroku.prepareBuild('kerm-app', {});
+
+  assert.strictEqual(patch.mock.callCount(), 0);
+  assert.strictEqual(put.mock.callCount(), 0);
+});
+
+test('applyFormation met à l\'échelle chaque type de process déclaré', async () => {
+  const heroku = service();
+  const patch = mock.method(heroku.heroku, 'patch', async () => ([]));
+
+  await heroku.applyFormation('kerm-app', { worker: { quantity: 1, size: 'basic' }, web: { quantity: 0 } });
+
+  assert.deepStrictEqual(patch.mock.calls[0].arguments, ['/apps/kerm-app/formation', {
+    body: { updates: [{ type: 'worker', quantity: 1, size: 'basic' }, { type: 'web', quantity: 0 }] }
+  }]);
+  assert.deepStrictEqual(await heroku.applyFormation('kerm-app', null), []);
+  assert.strictEqual(patch.mock.callCount(), 1);
+});
+
+test('createAddon rattache l\'add-on sous le nom demandé', async () => {
+  const heroku = service();
+  const post = mock.method(heroku.heroku, 'post', async () => ({
+    id: 'addon-1', name: 'postgresql-kerm', plan: { name: 'heroku-postgresql:essential-0' }, config_vars: ['DATABASE_URL'], state: 'provisioning'
+  }));
+
+  const addon = await heroku.createAddon('kerm-app', { plan: 'heroku-postgresql:essential-0', as: 'DATABASE' });
+
+  assert.deepStrictEqual(addon, {
+    id: 'addon-1', name: 'postgresql-kerm', plan: 'heroku-postgresql:essential-0', config_vars: ['DATABASE_URL'], state: 'provisioning'
+  });
+  assert.deepStrictEqual(post.mock.calls[0].arguments, ['/apps/kerm-app/addons', {
+    body: { plan: 'heroku-postgresql:essential-0', attachment: { name: 'DATABASE' } }
+  }]);
+});
+
+test('deleteAddon ignore un add-on déjà supprimé', async () => {
+  const heroku = service();
+  mock.method(heroku.heroku, 'delete', async () => {
+    throw Object.assign(new Error('Not Found'), { statusCode: 404 });
+  });
+
+  assert.deepStrictEqual(await heroku.deleteAddon('kerm-app', 'addon-1'), { success: true });
+});
@@ -0,0 +1,181 @@
+require('./setup');
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { mockSupabase } = require('./helpers/supabase');
+const idempotencyMiddleware = require('../middleware/idempotency');
+
+let server;
+let url;
+let keys;
+let handled;
+let unblock;
+
+// Table idempotency_keys en mémoire, unique sur (user_id, key)
+function mockKeyStore() {
+  const matches = query => row => query.filters
+    .filter(([op]) => op === 'eq')
+    .every(([, column, value]) => String(row[column]) === String(value));
+
+  return mockSupabase(query => {
+    if (query.table !== 'idempotency_keys') return { data: null, error: null };
+
+    if (query.action === 'insert') {
+      const row = { ...query.values[0], created_at: new Date().toISOString() };
+      if (keys.some(existing => existing.user_id === row.user_id && existing.key === row.key)) {
+        return { data: null, error: { code: '23505' } };
+      }
+      keys.push(row);
+      return { data: null, error: null };
+    }
+
+    if (query.action === 'update') {
+      keys.filter(matches(query)).forEach(row => Object.assign(row, query.values));
+      return { data: null, error: null };
+    }
+
+    if (query.action === 'delete') {
+      keys = keys.filter(row => !matches(query)(row));
+      return { data: null, error: null };
+    }
+
+    const row = keys.find(matches(query));
+    return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+  });
+}
+
+function send(body, key) {
+  return fetch(`${url}/api/coins/transfer`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+    body: JSON.stringify(body)
+  });
+}
+
+// L'enregistrement de la réponse se fait après son envoi
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  });
+
+  const router = express.Router();
+  router.post('/transfer', idempotencyMiddleware, async (req, res) => {
+    handled += 1;
+    if (req.body.slow) await new Promise(resolve => { unblock = resolve; });
+    if (req.body.fail) return res.status(500).json({ error: 'Erreur serveur' });
+    res.json({ success: true, amount: req.body.amount, transfer: handled });
+  });
+  app.use('/api/coins', router);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  url = `http://localhost:${server.address().port}`;
+});
+
+beforeEach(() => {
+  keys = [];
+  handled = 0;
+  unblock = null;
+  mockKeyStore();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('sans Idempotency-Key la requête passe sans rien enregistrer', async () => {
+  const response = await send({ amount: 5 });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(handled, 1);
+  assert.strictEqual(keys.length, 0);
+});
+
+test('une clé trop longue est refusée', async () => {
+  const response = await send({ amount: 5 }, 'k'.repeat(256));
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(handled, 0);
+});
+
+test('la même requête rejoue la première réponse sans refaire l\'opération', async () => {
+  const first = await send({ amount: 5 }, 'transfert-1');
+  await settle();
+  const replay = await send({ amount: 5 }, 'transfert-1');
+
+  assert.strictEqual(handled, 1);
+  assert.strictEqual(replay.status, 200);
+  assert.strictEqual(replay.headers.get('Idempotent-Replayed'), 'true');
+  assert.deepStrictEqual(await replay.json(), await first.json());
+  assert.strictEqual(keys[0].status, 'completed');
+});
+
+test('la clé réutilisée pour une autre requête est refusée', async () => {
+  await send({ amount: 5 }, 'transfert-1');
+  await settle();
+
+  const response = await send({ amount: 50 }, 'transfert-1');
+
+  assert.strictEqual(response.status, 422);
+  assert.strictEqual(handled, 1);
+});
+
+test('une requête encore en cours n\'est pas exécutée une seconde fois', async () => {
+  const first = send({ amount: 5, slow: true }, 'transfert-1');
+  while (!unblock) await settle();
+
+  const concurrent = await send({ amount: 5, slow: true }, 'transfert-1');
+  unblock();
+
+  assert.strictEqual(concurrent.status, 409);
+  assert.strictEqual((await first).status, 200);
+  assert.strictEqual(handled, 1);
+});
+
+test('une erreur serveur libère la clé pour un nouvel essai', async () => {
+  const failed = await send({ amount: 5, fail: true }, 'transfert-1');
+  await settle();
+
+  assert.strictEqual(failed.status, 500);
+  assert.strictEqual(keys.length, 0);
+
+  const retry = await send({ amount: 5, fail: true }, 'transfert-1');
+  assert.strictEqual(retry.status, 500);
+  assert.strictEqual(handled, 2);
+});
+
+test('le bail d\'une requête en cours est prolongé jusqu\'à sa réponse', async () => {
+  mock.timers.enable({ apis: ['setInterval'] });
+
+  const first = send({ amount: 5, slow: true }, 'transfert-1');
+  while (!unblock) await settle();
+
+  // Bail sur le point d'expirer : le heartbeat le repousse
+  keys[0].locked_until = new Date(Date.now() - 1000);
+  mock.timers.tick(20 * 1000);
+  await settle();
+  assert.ok(new Date(keys[0].locked_until) > new Date());
+
+  const concurrent = await send({ amount: 5, slow: true }, 'transfert-1');
+  assert.strictEqual(concurrent.status, 409);
+
+  unblock();
+  assert.strictEqual((await first).status, 200);
+  await settle();
+
+  // Réponse envoyée : plus de heartbeat
+  keys[0].locked_until = null;
+  mock.timers.tick(20 * 1000);
+  await settle();
+  assert.strictEqual(keys[0].locked_until, null);
+  assert.strictEqual(keys[0].status, 'completed');
+  assert.strictEqual(handled, 1);
+});
@@ -0,0 +1,169 @@
+require('./setup');
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const jobQueue = require('../utils/jobQueue');
+
+const updates = queries => queries.filter(query => query.action === 'update');
+
+afterEach(() => {
+  mock.restoreAll();
+  jobQueue.handlers = {};
+});
+
+test('enqueue insère un job en attente', async () => {
+  const queries = mockSupabase(query => ({ data: { id: 'job-1', ...query.values[0] }, error: null }));
+
+  const job = await jobQueue.enqueue('build', { deploymentId: 'dep-1', payload: { ref: 'main' }, maxAttempts: 3 });
+
+  assert.strictEqual(job.id, 'job-1');
+  const [insert] = queries;
+  assert.strictEqual(insert.table, 'deployment_jobs');
+  assert.strictEqual(insert.action, 'insert');
+  assert.strictEqual(insert.values[0].type, 'build');
+  assert.strictEqual(insert.values[0].status, 'queued');
+  assert.strictEqual(insert.values[0].deployment_id, 'dep-1');
+  assert.deepStrictEqual(insert.values[0].payload, { ref: 'main' });
+  assert.strictEqual(insert.values[0].max_attempts, 3);
+});
+
+test('claim ne verrouille que les jobs encore en attente', async () => {
+  const queries = mockSupabase(() => ({ data: null, error: null }));
+
+  const claimed = await jobQueue.claim({ id: 'job-1', attempts: 1 });
+
+  assert.strictEqual(claimed, null);
+  const [update] = queries;
+  assert.strictEqual(update.values.status, 'running');
+  assert.strictEqual(update.values.attempts, 2);
+  assert.strictEqual(update.values.locked_by, jobQueue.workerId);
+  assert.strictEqual(update.where('id'), 'job-1');
+  assert.strictEqual(update.where('status'), 'queued');
+});
+
+test('process termine le job quand le gestionnaire réussit', async () => {
+  const queries = mockSupabase();
+  const handler = mock.fn(async () => {});
+  jobQueue.register('build', handler);
+
+  await jobQueue.process({ id: 'job-1', type: 'build', attempts: 1, max_attempts: 5 });
+
+  assert.strictEqual(handler.mock.callCount(), 1);
+  const [finish] = updates(queries);
+  assert.strictEqual(finish.values.status, 'completed');
+  assert.strictEqual(finish.values.locked_by, null);
+  assert.strictEqual(finish.where('id'), 'job-1');
+  assert.strictEqual(finish.where('locked_by'), jobQueue.workerId);
+});
+
+test('process remet le job en file avec un délai après un échec temporaire', async () => {
+  const queries = mockSupabase();
+  const onFailure = mock.fn(async () => {});
+  jobQueue.register('build', async () => { throw new Error('Heroku indisponible'); }, { onFailure });
+  mock.method(console, 'warn', () => {});
+  const before = Date.now();
+
+  await jobQueue.process({ id: 'job-1', type: 'build', attempts: 2, max_attempts: 5 });
+
+  const [retry] = updates(queries);
+  assert.strictEqual(retry.values.status, 'queued');
+  assert.strictEqual(retry.values.last_error, 'Heroku indisponible');
+  assert.ok(retry.values.run_at.getTime() >= before + 20 * 1000);
+  assert.strictEqual(retry.where('locked_by'), jobQueue.workerId);
+  assert.strictEqual(onFailure.mock.callCount(), 0);
+});
+
+test('process échoue définitivement quand les tentatives sont épuisées', async () => {
+  const queries = mockSupabase();
+  const onFailure = mock.fn(async () => {});
+  jobQueue.register('build', async () => { throw new Error('Build échoué'); }, { onFailure });
+  mock.method(console, 'error', () => {});
+
+  await jobQueue.process({ id: 'job-1', type: 'build', attempts: 5, max_attempts: 5 });
+
+  const [finish] = updates(queries);
+  assert.strictEqual(finish.values.status, 'failed');
+  assert.strictEqual(finish.values.last_error, 'Build échoué');
+  assert.strictEqual(onFailure.mock.callCount(), 1);
+  assert.strictEqual(onFailure.mock.calls[0].arguments[1].message, 'Build échoué');
+});
+
+test('process n\'essaie pas de nouveau une erreur permanente', async () => {
+  const queries = mockSupabase();
+  const error = Object.assign(new Error('Dépôt introuvable'), { permanent: true });
+  jobQueue.register('build', async () => { throw error; });
+  mock.method(console, 'error', () => {});
+
+  await jobQueue.process({ id: 'job-1', type: 'build', attempts: 1, max_attempts: 5 });
+
+  assert.strictEqual(updates(queries)[0].values.status, 'failed');
+});
+
+test('process échoue un job de type inconnu', async () => {
+  const queries = mockSupabase();
+
+  await jobQueue.process({ id: 'job-1', type: 'inconnu', attempts: 1, max_attempts: 5 });
+
+  const [finish] = updates(queries);
+  assert.strictEqual(finish.values.status, 'failed');
+  assert.match(finish.values.last_error, /Type de job inconnu/);
+});
+
+// Jobs running dont le bail a expiré ; recovered(job) indique si la mise à jour conditionnelle aboutit
+function mockStaleJobs(jobs, recovered = () => true) {
+  return mockSupabase(query => {
+    if (query.action === 'select') return { data: jobs, error: null };
+    const job = jobs.find(candidate => candidate.id === query.where('id'));
+    return { data: recovered(job) ? { id: job.id } : null, error: null };
+  });
+}
+
+test('recoverStaleJobs remet en file les jobs abandonnés qui ont encore des tentatives', async () => {
+  const queries = mockStaleJobs([{ id: 'job-1', type: 'build', attempts: 2, max_attempts: 5, locked_by: 'worker-mort' }]);
+  const onFailure = mock.fn(async () => {});
+  jobQueue.register('build', async () => {}, { onFailure });
+  mock.method(console, 'log', () => {});
+
+  await jobQueue.recoverStaleJobs();
+
+  const [requeue] = updates(queries);
+  assert.strictEqual(requeue.values.status, 'queued');
+  assert.strictEqual(requeue.values.locked_by, null);
+  assert.strictEqual(requeue.where('status'), 'running');
+  assert.ok(requeue.filters.some(([op, column]) => op === 'lt' && column === 'locked_at'));
+  assert.strictEqual(onFailure.mock.callCount(), 0);
+});
+
+test('recoverStaleJobs fait échouer un job abandonné à sa dernière tentative', async () => {
+  const job = { id: 'job-1', type: 'build', attempts: 5, max_attempts: 5, locked_by: 'worker-mort' };
+  const queries = mockStaleJobs([job]);
+  const onFailure = mock.fn(async () => {});
+  jobQueue.register('build', async () => {}, { onFailure });
+  mock.method(console, 'error', () => {});
+
+  await jobQueue.recoverStaleJobs();
+
+  const [fail] = updates(queries);
+  assert.strictEqual(fail.values.status, 'failed');
+  assert.match(fail.values.last_error, /tentative 5\/5/);
+  assert.strictEqual(onFailure.mock.callCount(), 1);
+  assert.strictEqual(onFailure.mock.calls[0].arguments[0], job);
+});
+
+test('recoverStaleJobs ignore un job repris entre-temps par un autre worker', async () => {
+  mockStaleJobs([{ id: 'job-1', type: 'build', attempts: 5, max_attempts: 5 }], () => false);
+  const onFailure = mock.fn(async () => {});
+  jobQueue.register('build', async () => {}, { onFailure });
+
+  await jobQueue.recoverStaleJobs();
+
+  assert.strictEqual(onFailure.mock.callCount(), 0);
+});
+
+test('backoff double à chaque tentative et reste plafonné', () => {
+  const backoff = attempts => jobQueue.constructor.backoff(attempts);
+
+  assert.ok(backoff(1) >= 10 * 1000 && backoff(1) < 11 * 1000);
+  assert.ok(backoff(3) >= 40 * 1000 && backoff(3) < 41 * 1000);
+  assert.ok(backoff(20) < 30 * 60 * 1000 + 1000);
+});
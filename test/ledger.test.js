@@ -0,0 +1,168 @@
+require('./setup');
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const ledger = require('../utils/ledger');
+const scheduler = require('../utils/scheduler');
+
+// Les fonctions SQL du grand livre renvoient toujours result
+function mockRpc(result) {
+  return mockSupabase(() => result);
+}
+
+afterEach(() => mock.restoreAll());
+
+test('transfer débite et crédite dans une seule transaction SQL', async () => {
+  const queries = mockRpc({ data: { sender_balance: 40, receiver_balance: 60 }, error: null });
+
+  const result = await ledger.transfer('user-1', 'user-2', '10', 'Merci');
+
+  assert.deepStrictEqual(result, { sender_balance: 40, receiver_balance: 60 });
+  const [{ fn, params }] = queries;
+  assert.strictEqual(fn, 'apply_coin_transaction');
+  assert.strictEqual(params.p_sender_id, 'user-1');
+  assert.strictEqual(params.p_receiver_id, 'user-2');
+  assert.strictEqual(params.p_amount, 10);
+  assert.strictEqual(params.p_type, ledger.TYPES.TRANSFER);
+  assert.strictEqual(params.p_description, 'Merci');
+});
+
+test('refund crédite l\'utilisateur avec le type remboursement', async () => {
+  const queries = mockRpc({ data: { receiver_balance: 30 }, error: null });
+
+  await ledger.refund('user-1', 10, { description: 'Remboursement', deploymentId: 'dep-1' });
+
+  const [{ fn, params }] = queries;
+  assert.strictEqual(fn, 'apply_coin_transaction');
+  assert.strictEqual(params.p_sender_id, null);
+  assert.strictEqual(params.p_receiver_id, 'user-1');
+  assert.strictEqual(params.p_amount, 10);
+  assert.strictEqual(params.p_type, ledger.TYPES.REFUND);
+  assert.strictEqual(params.p_deployment_id, 'dep-1');
+});
+
+test('setBalance renvoie le nouveau solde fixé par l\'administrateur', async () => {
+  const queries = mockRpc({ data: { receiver_balance: 250 }, error: null });
+
+  assert.strictEqual(await ledger.setBalance('user-1', '250', { adminId: 'admin-1' }), 250);
+  assert.strictEqual(queries[0].fn, 'set_coin_balance');
+  assert.strictEqual(queries[0].params.p_balance, 250);
+  assert.strictEqual(queries[0].params.p_created_by, 'admin-1');
+});
+
+test('une erreur connue du grand livre devient une LedgerError', async () => {
+  mockRpc({ data: null, error: { message: 'INSUFFICIENT_FUNDS: solde 5, requis 10', details: 'available=5' } });
+
+  await assert.rejects(ledger.debit('user-1', 10), error => {
+    assert.ok(error instanceof ledger.LedgerError);
+    assert.strictEqual(error.code, 'INSUFFICIENT_FUNDS');
+    assert.strictEqual(error.details, 'available=5');
+    return true;
+  });
+});
+
+test('la réclamation quotidienne déjà faite est signalée par son code', async () => {
+  mockRpc({ data: null, error: { message: 'DAILY_ALREADY_CLAIMED', details: '2026-10-20T08:00:00Z' } });
+
+  await assert.rejects(ledger.claimDaily('user-1', 5), { code: 'DAILY_ALREADY_CLAIMED', details: '2026-10-20T08:00:00Z' });
+});
+
+test('une autre erreur est renvoyée telle quelle', async () => {
+  const dbError = { message: 'connection refused' };
+  mockRpc({ data: null, error: dbError });
+
+  await assert.rejects(ledger.transfer('user-1', 'user-2', 5), error => error === dbError);
+});
+
+test('placeHold réserve un montant entier avec une échéance', async () => {
+  const queries = mockRpc({ data: { hold: { id: 'hold-1' } }, error: null });
+  const before = Date.now();
+
+  const result = await ledger.placeHold('user-1', '25', { description: 'Déploiement', deploymentId: 'dep-1' });
+
+  assert.deepStrictEqual(result, { hold: { id: 'hold-1' } });
+  const [{ fn, params }] = queries;
+  assert.strictEqual(fn, 'place_coin_hold');
+  assert.strictEqual(params.p_user_id, 'user-1');
+  assert.strictEqual(params.p_amount, 25);
+  assert.strictEqual(params.p_type, ledger.TYPES.DEPLOYMENT);
+  assert.strictEqual(params.p_deployment_id, 'dep-1');
+  assert.ok(new Date(params.p_expires_at).getTime() > before);
+});
+
+test('captureHold et releaseHold appellent la fonction de la réservation', async () => {
+  const queries = mockRpc({ data: { hold: { id: 'hold-1', status: 'released' } }, error: null });
+
+  await ledger.captureHold('hold-1');
+  await ledger.releaseHold('hold-1', 'deployment_failed');
+
+  assert.deepStrictEqual(queries.map(({ fn, params }) => [fn, params]), [
+    ['capture_coin_hold', { p_hold_id: 'hold-1' }],
+    ['release_coin_hold', { p_hold_id: 'hold-1', p_reason: 'deployment_failed' }]
+  ]);
+});
+
+test('une réservation déjà libérée ne peut plus être débitée', async () => {
+  mockRpc({ data: null, error: { message: 'HOLD_NOT_ACTIVE: released' } });
+
+  await assert.rejects(ledger.captureHold('hold-1'), { name: 'LedgerError', code: 'HOLD_NOT_ACTIVE' });
+});
+
+test('releaseDeploymentHolds libère les réservations encore actives du déploiement', async () => {
+  const queries = mockSupabase();
+
+  await ledger.releaseDeploymentHolds('dep-1', 'deployment_deleted');
+
+  const [update] = queries;
+  assert.strictEqual(update.table, 'coin_holds');
+  assert.strictEqual(update.values.status, 'released');
+  assert.strictEqual(update.values.release_reason, 'deployment_deleted');
+  assert.strictEqual(update.where('deployment_id'), 'dep-1');
+  assert.deepStrictEqual(update.filters.find(([op]) => op === 'in'), ['in', 'status', ['held', 'expired']]);
+});
+
+test('le rapprochement quotidien signale les soldes en écart', async () => {
+  const queries = mockRpc({ data: { id: 'run-1', users_checked: 40, drift_count: 2, total_drift: 35 }, error: null });
+  const warn = mock.method(console, 'warn', () => {});
+  ledger.registerLedgerTasks();
+
+  const run = await scheduler.run('coins.reconcile');
+
+  assert.strictEqual(run.drift_count, 2);
+  assert.deepStrictEqual(queries.map(({ fn, params }) => [fn, params]), [
+    ['run_ledger_reconciliation', { p_triggered_by: null }]
+  ]);
+  assert.match(warn.mock.calls[0].arguments[0], /2 solde\(s\) en écart \(35 coins\)/);
+});
+
+test('applyCorrection transmet le mode choisi par l\'administrateur', async () => {
+  const queries = mockRpc({ data: { drift: { id: 'drift-1' }, applied_drift: -5, balance: 95 }, error: null });
+
+  const result = await ledger.applyCorrection('drift-1', { mode: 'balance', adminId: 'admin-1' });
+
+  assert.strictEqual(result.balance, 95);
+  assert.deepStrictEqual(queries[0].params, { p_drift_id: 'drift-1', p_mode: 'balance', p_admin_id: 'admin-1' });
+});
+
+test('une correction qui rendrait le solde négatif est refusée', async () => {
+  mockRpc({ data: null, error: { message: 'NEGATIVE_BALANCE: -12' } });
+
+  await assert.rejects(ledger.applyCorrection('drift-1', { mode: 'ledger', adminId: 'admin-1' }), { code: 'NEGATIVE_BALANCE' });
+});
+
+test('availableBalance retire les réservations en cours du solde', async () => {
+  mockSupabase(query => (query.table === 'users'
+    ? { data: { coins: 100 }, error: null }
+    : { data: [{ amount: 30 }, { amount: 15 }], error: null }));
+
+  assert.strictEqual(await ledger.availableBalance('user-1'), 55);
+});
+
+test('billDeployment facture la période échue d\'un déploiement', async () => {
+  const queries = mockRpc({ data: { status: 'charged', balance: 45 }, error: null });
+
+  const result = await ledger.billDeployment('dep-1', '5', 24);
+
+  assert.strictEqual(result.status, 'charged');
+  assert.deepStrictEqual(queries[0].params, { p_deployment_id: 'dep-1', p_amount: 5, p_period: '24 hours' });
+});
@@ -0,0 +1,95 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const { ACTIONS, deploymentFloor, actionPercent, quote, quoteForBot } = require('../utils/pricing');
+
+const bot = { id: 'bot-1', name: 'Kerm MD', cost: 20 };
+
+// Base simulée : promotions en cours et remise personnelle de l'utilisateur
+function mockPricing({ promotions = [], discount = 0, bots = [bot] } = {}) {
+  return mockSupabase(query => {
+    if (query.table === 'promotions') return { data: promotions, error: null };
+    if (query.table === 'users') return { data: { deployment_discount_percent: discount }, error: null };
+    if (query.table === 'bots') return { data: bots.find(candidate => candidate.id === query.where('id')) || null, error: null };
+    return { data: null, error: null };
+  });
+}
+
+beforeEach(() => {
+  process.env.BOT_DEPLOYMENT_COST = '10';
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.BOT_ENV_UPDATE_COST_PERCENT;
+  delete process.env.BOT_ROLLBACK_COST_PERCENT;
+});
+
+test('le prix de base est le coût du bot, jamais sous le plancher', async () => {
+  mockPricing();
+
+  assert.strictEqual((await quote({ bot, userId: 'user-1' })).total, 20);
+  assert.strictEqual((await quote({ bot: { ...bot, cost: 3 }, userId: 'user-1' })).total, 10);
+  assert.strictEqual((await quote({ bot: { ...bot, cost: null }, userId: 'user-1' })).base_price, 10);
+});
+
+test('le plancher vaut 10 sans configuration valide', () => {
+  process.env.BOT_DEPLOYMENT_COST = 'abc';
+  assert.strictEqual(deploymentFloor(), 10);
+  process.env.BOT_DEPLOYMENT_COST = '0';
+  assert.strictEqual(deploymentFloor(), 0);
+});
+
+test('la promotion puis la remise personnelle réduisent le prix', async () => {
+  const queries = mockPricing({
+    promotions: [{ id: 'promo-1', name: 'Rentrée', percent_off: 50, bot_id: null, ends_at: null }],
+    discount: 10
+  });
+
+  const result = await quote({ bot: { ...bot, cost: 40 }, userId: 'user-1', action: ACTIONS.DEPLOY });
+
+  assert.strictEqual(result.base_price, 40);
+  assert.strictEqual(result.promotion.id, 'promo-1');
+  assert.strictEqual(result.user_discount_percent, 10);
+  assert.strictEqual(result.total, 18);
+  assert.strictEqual(result.discount, 22);
+  assert.strictEqual(queries.find(query => query.table === 'promotions').where('is_active'), true);
+});
+
+test('une promotion expirée est ignorée', async () => {
+  mockPricing({
+    promotions: [
+      { id: 'finie', name: 'Été', percent_off: 80, bot_id: null, ends_at: '2000-01-01T00:00:00Z' },
+      { id: 'en-cours', name: 'Rentrée', percent_off: 25, bot_id: 'bot-1', ends_at: null }
+    ]
+  });
+
+  const result = await quote({ bot, userId: 'user-1' });
+
+  assert.strictEqual(result.promotion.id, 'en-cours');
+  assert.strictEqual(result.total, 15);
+});
+
+test('quoteForBot ne chiffre que les bots approuvés existants', async () => {
+  const queries = mockPricing();
+
+  assert.strictEqual(await quoteForBot('inconnu', 'user-1'), null);
+  assert.strictEqual((await quoteForBot('bot-1', 'user-1')).total, 20);
+  assert.strictEqual(queries.find(query => query.table === 'bots').where('is_approved'), true);
+});
+
+test('chaque opération a sa propre part du prix de déploiement', async () => {
+  mockPricing({ discount: 10 });
+  process.env.BOT_ENV_UPDATE_COST_PERCENT = '25';
+  process.env.BOT_ROLLBACK_COST_PERCENT = 'abc';
+
+  const envUpdate = await quote({ bot, userId: 'user-1', action: ACTIONS.ENV_UPDATE });
+  assert.strictEqual(envUpdate.action_percent, 25);
+  assert.strictEqual(envUpdate.base_price, 5);
+  assert.strictEqual(envUpdate.total, 5);
+
+  assert.strictEqual((await quote({ bot, userId: 'user-1', action: ACTIONS.DEPLOY })).total, 18);
+  assert.strictEqual(actionPercent(ACTIONS.ROLLBACK), 100);
+  assert.strictEqual(actionPercent(ACTIONS.REDEPLOY), 100);
+});
@@ -0,0 +1,79 @@
+require('./setup');
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { mockSupabase } = require('./helpers/supabase');
+const HerokuService = require('../utils/heroku');
+const HostingProvider = require('../utils/providers/base');
+const { registerProvider, getProviderClass, getProvider, listProviders } = require('../utils/providers');
+const { getAvailableAccount } = require('../utils/hostingAccounts');
+
+class FakeProvider extends HostingProvider {
+  static fromAccount(account) {
+    const provider = new FakeProvider();
+    provider.account = account;
+    return provider;
+  }
+}
+
+registerProvider('fake', FakeProvider);
+
+afterEach(() => mock.restoreAll());
+
+test('getProviderClass choisit Heroku par défaut et refuse un hébergeur inconnu', () => {
+  assert.strictEqual(getProviderClass(), HerokuService);
+  assert.strictEqual(getProviderClass(null), HerokuService);
+  assert.strictEqual(getProviderClass('fake'), FakeProvider);
+  assert.throws(() => getProviderClass('inconnu'), /Hébergeur inconnu: inconnu/);
+  assert.ok(listProviders().includes('heroku'));
+});
+
+test('getProvider construit le client depuis le compte du pool', () => {
+  const provider = getProvider({ id: 'acc-1', provider: 'fake', api_key: 'cle-api' });
+
+  assert.ok(provider instanceof FakeProvider);
+  assert.strictEqual(provider.account.id, 'acc-1');
+  assert.strictEqual(provider.account.api_key, 'cle-api');
+});
+
+test('une méthode non fournie par l\'hébergeur échoue sans nouvel essai', async () => {
+  const provider = new FakeProvider();
+
+  await assert.rejects(provider.createApp('kerm-app'), { message: 'FakeProvider.createApp non implémenté', permanent: true });
+  await assert.rejects(provider.tailLogs('kerm-app', () => {}), { permanent: true });
+});
+
+test('getAvailableAccount choisit le premier compte qui a encore de la place', async () => {
+  const queries = mockSupabase(() => ({
+    data: [
+      { id: 'plein', used_count: 5, max_deployments: 5 },
+      { id: 'libre', used_count: 6, max_deployments: 10 }
+    ],
+    error: null
+  }));
+
+  const account = await getAvailableAccount({ provider: 'heroku' });
+
+  assert.strictEqual(account.id, 'libre');
+  assert.strictEqual(queries[0].where('is_active'), true);
+  assert.strictEqual(queries[0].where('provider'), 'heroku');
+});
+
+test('getAvailableAccount prend le compte le moins chargé quand tous sont pleins', async () => {
+  mockSupabase(() => ({
+    data: [
+      { id: 'a', used_count: 5, max_deployments: 5 },
+      { id: 'b', used_count: 7, max_deployments: 6 },
+      { id: 'c', used_count: 3, max_deployments: 3 }
+    ],
+    error: null
+  }));
+
+  assert.strictEqual((await getAvailableAccount()).id, 'a');
+});
+
+test('getAvailableAccount échoue quand le pool est vide', async () => {
+  mockSupabase(() => ({ data: [], error: null }));
+  mock.method(console, 'error', () => {});
+
+  await assert.rejects(getAvailableAccount(), /Aucun compte d'hébergement disponible/);
+});
@@ -0,0 +1,98 @@
+require('./setup');
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { io: connect } = require('socket.io-client');
+const { mockSupabase } = require('./helpers/supabase');
+const { initRealtime, emitStatus, emitBuildOutput } = require('../utils/realtime');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const owner = { id: 'user-1', role: 'user', is_verified: true };
+const deployment = { id: 'dep-1', status: 'building', heroku_app_name: 'kerm-app' };
+
+let server;
+let io;
+let url;
+const clients = [];
+
+// Base simulée : l'utilisateur du jeton ; le déploiement appartient à owner
+function mockDatabase(user = owner) {
+  return mockSupabase(query => {
+    if (query.table === 'users') return { data: user, error: null };
+    if (query.table === 'deployments' && query.where('id') === deployment.id && query.where('user_id') === owner.id) {
+      return { data: deployment, error: null };
+    }
+    return { data: null, error: { code: 'PGRST116' } };
+  });
+}
+
+function client(auth) {
+  const socket = connect(`${url}/deployments`, { auth, transports: ['websocket'], reconnection: false });
+  clients.push(socket);
+  return socket;
+}
+
+const token = (userId = owner.id) => jwt.sign({ userId }, process.env.JWT_SECRET);
+const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+const request = (socket, event, payload) => new Promise(resolve => socket.emit(event, payload, resolve));
+
+before(async () => {
+  server = http.createServer();
+  io = initRealtime(server);
+  await new Promise(resolve => server.listen(0, resolve));
+  url = `http://localhost:${server.address().port}`;
+});
+
+afterEach(() => {
+  clients.splice(0).forEach(socket => socket.close());
+  mock.restoreAll();
+});
+
+after(async () => {
+  await new Promise(resolve => io.close(resolve));
+});
+
+test('la connexion sans jeton est refusée', async () => {
+  mockDatabase();
+
+  const error = await once(client({}), 'connect_error');
+
+  assert.strictEqual(error.message, 'Authentification requise');
+});
+
+test('un compte non vérifié ne peut pas se connecter', async () => {
+  mockDatabase({ ...owner, is_verified: false });
+
+  const error = await once(client({ token: token() }), 'connect_error');
+
+  assert.strictEqual(error.message, 'Veuillez vérifier votre email');
+});
+
+test('le propriétaire reçoit l\'état et la sortie de build de son déploiement', async () => {
+  mockDatabase();
+  const socket = client({ token: token() });
+  await once(socket, 'connect');
+
+  const ack = await request(socket, 'subscribe', { deploymentId: deployment.id });
+  assert.deepStrictEqual(ack, { ok: true, status: 'building' });
+
+  const status = once(socket, 'deployment:status');
+  emitStatus(deployment.id, { status: 'configuring', message: 'Build réussi' });
+  assert.deepStrictEqual(await status, { deploymentId: deployment.id, status: 'configuring', message: 'Build réussi' });
+
+  const output = once(socket, 'deployment:build-output');
+  emitBuildOutput(deployment.id, '-----> Installing dependencies');
+  assert.deepStrictEqual(await output, { deploymentId: deployment.id, line: '-----> Installing dependencies' });
+});
+
+test('un autre utilisateur ne peut pas suivre le déploiement', async () => {
+  mockDatabase({ ...owner, id: 'user-2' });
+  const socket = client({ token: token('user-2') });
+  await once(socket, 'connect');
+
+  const ack = await request(socket, 'subscribe', { deploymentId: deployment.id });
+
+  assert.deepStrictEqual(ack, { error: 'Déploiement non trouvé' });
+});
@@ -0,0 +1,159 @@
+require('./setup');
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { mockSupabase } = require('./helpers/supabase');
+const { MASK } = require('../utils/encryption');
+const { registerProvider } = require('../utils/providers');
+const { KINDS, envChangeSet, diffEnv, isSecretVar, recordRelease, rollbackToRelease } = require('../utils/releases');
+
+// Les variables d'une release sont chiffrées à son enregistrement
+process.env.ENCRYPTION_MASTER_KEY = process.env.ENCRYPTION_MASTER_KEY || crypto.randomBytes(32).toString('base64');
+
+let provider;
+registerProvider('fake', { fromAccount: () => provider });
+
+const deployment = {
+  id: 'dep-1',
+  heroku_app_name: 'kerm-app',
+  heroku_account_id: 'acc-1',
+  env_variables: { PREFIX: '!', SESSION_ID: 'kerm;abc', DEBUG: 'true' }
+};
+
+const release = {
+  version: 2,
+  kind: KINDS.BUILD,
+  env_snapshot: { PREFIX: '.', SESSION_ID: 'kerm;abc' },
+  commit_sha: 'abc123',
+  source_ref: 'main',
+  build_id: 'build-2',
+  artifact: { slug_id: 'slug-2' }
+};
+
+// Base simulée : current est la release en ligne
+function mockReleases(current) {
+  return mockSupabase(query => {
+    if (query.action === 'rpc') return { data: { version: current.version + 1, kind: query.params.p_kind }, error: null };
+    if (query.table === 'heroku_accounts') return { data: { id: 'acc-1', provider: 'fake' }, error: null };
+    if (query.table === 'deployment_releases') return { data: current, error: null };
+    return { data: null, error: null };
+  });
+}
+
+beforeEach(() => {
+  provider = {
+    deployRelease: mock.fn(async () => ({ id: 'release-5' })),
+    setConfigVars: mock.fn(async () => ({}))
+  };
+});
+
+afterEach(() => mock.restoreAll());
+
+test('rollbackToRelease republie le build de la release et retire les variables ajoutées depuis', async () => {
+  const queries = mockReleases({ version: 4, build_id: 'build-4' });
+
+  const result = await rollbackToRelease(deployment, release, { userId: 'user-1' });
+
+  assert.deepStrictEqual(provider.deployRelease.mock.calls[0].arguments, [
+    'kerm-app', { slug_id: 'slug-2' }, { description: 'Retour à la release v2' }
+  ]);
+  assert.deepStrictEqual(provider.setConfigVars.mock.calls[0].arguments, [
+    'kerm-app', { PREFIX: '.', SESSION_ID: 'kerm;abc', DEBUG: null }
+  ]);
+
+  const update = queries.find(query => query.table === 'deployments' && query.action === 'update');
+  assert.strictEqual(update.where('id'), 'dep-1');
+  assert.strictEqual(update.values.source_ref, 'main');
+  assert.strictEqual(update.values.source_commit_sha, 'abc123');
+
+  const { fn, params } = queries.find(query => query.action === 'rpc');
+  assert.strictEqual(fn, 'record_deployment_release');
+  assert.strictEqual(params.p_kind, KINDS.ROLLBACK);
+  assert.strictEqual(params.p_rollback_of, 2);
+  assert.strictEqual(params.p_build_id, 'build-2');
+  assert.strictEqual(params.p_created_by, 'user-1');
+  assert.strictEqual(result.version, 5);
+});
+
+test('rollbackToRelease ne republie pas le code déjà en ligne', async () => {
+  mockReleases({ version: 3, build_id: 'build-2' });
+
+  await rollbackToRelease(deployment, release);
+
+  assert.strictEqual(provider.deployRelease.mock.callCount(), 0);
+  assert.strictEqual(provider.setConfigVars.mock.callCount(), 1);
+});
+
+test('rollbackToRelease échoue sans compte d\'hébergement', async () => {
+  mockSupabase(() => ({ data: null, error: null }));
+
+  await assert.rejects(rollbackToRelease(deployment, release), /Compte d'hébergement du déploiement dep-1 introuvable/);
+  assert.strictEqual(provider.setConfigVars.mock.callCount(), 0);
+});
+
+test('recordRelease recommence quand une autre release est passée entre-temps', async () => {
+  let attempts = 0;
+  const queries = mockSupabase(query => {
+    if (query.action === 'rpc') {
+      attempts += 1;
+      return attempts === 1 ? { data: null, error: { code: '40001' } } : { data: { version: 6 }, error: null };
+    }
+    return { data: { version: 4 + attempts, env_snapshot: { PREFIX: '.' } }, error: null };
+  });
+
+  const result = await recordRelease('dep-1', { kind: KINDS.CONFIG, env: { PREFIX: '!' } });
+
+  assert.strictEqual(result.version, 6);
+  assert.deepStrictEqual(queries.filter(query => query.action === 'rpc').map(query => query.params.p_expected_version), [4, 5]);
+  assert.deepStrictEqual(queries.find(query => query.action === 'rpc').params.p_env_changes, { added: [], removed: [], changed: ['PREFIX'] });
+});
+
+test('envChangeSet liste les clés ajoutées, retirées et modifiées', () => {
+  assert.deepStrictEqual(envChangeSet(
+    { PREFIX: '.', MODE: 'public', OLD: 'x' },
+    { PREFIX: '!', MODE: 'public', NEW: 'y', ADDED: 'z' }
+  ), {
+    added: ['ADDED', 'NEW'],
+    removed: ['OLD'],
+    changed: ['PREFIX']
+  });
+});
+
+test('envChangeSet part d\'un jeu vide pour la première release', () => {
+  assert.deepStrictEqual(envChangeSet(null, { PREFIX: '.' }), { added: ['PREFIX'], removed: [], changed: [] });
+  assert.deepStrictEqual(envChangeSet(undefined, undefined), { added: [], removed: [], changed: [] });
+});
+
+test('diffEnv masque les valeurs par défaut', () => {
+  assert.deepStrictEqual(diffEnv({ PREFIX: '.', MODE: 'public' }, { PREFIX: '!', MODE: 'public' }), [
+    { key: 'PREFIX', status: 'changed', before: MASK, after: MASK, secret: false }
+  ]);
+});
+
+test('diffEnv révèle les valeurs sauf celles des secrets', () => {
+  const botEnv = { OWNER: { description: 'Propriétaire', secret: true } };
+  const changes = diffEnv(
+    { PREFIX: '.', OWNER: 'a', GONE: 'x' },
+    { PREFIX: '!', OWNER: 'b', BOT_TOKEN: 't', EMPTY: '' },
+    botEnv,
+    { reveal: true }
+  );
+
+  assert.deepStrictEqual(changes, [
+    { key: 'BOT_TOKEN', status: 'added', before: null, after: MASK, secret: true },
+    { key: 'EMPTY', status: 'added', before: null, after: '', secret: false },
+    { key: 'GONE', status: 'removed', before: 'x', after: null, secret: false },
+    { key: 'OWNER', status: 'changed', before: MASK, after: MASK, secret: true },
+    { key: 'PREFIX', status: 'changed', before: '.', after: '!', secret: false }
+  ]);
+});
+
+test('isSecretVar reconnaît secret, le générateur secret et les noms sensibles', () => {
+  assert.ok(isSecretVar('OWNER', { OWNER: { secret: true } }));
+  assert.ok(isSecretVar('KEY', { KEY: { generator: 'secret' } }));
+  assert.ok(isSecretVar('KEY', { KEY: { generator: { type: 'secret', bytes: 48 } } }));
+  assert.ok(isSecretVar('SESSION_ID'));
+  assert.ok(isSecretVar('openai_api_key'));
+  assert.ok(!isSecretVar('PREFIX'));
+  assert.ok(!isSecretVar('ID', { ID: { generator: 'uuid' } }));
+});
@@ -0,0 +1,4 @@
+// Les modules qui chargent utils/database créent un client Supabase au require
+// Les tests n'appellent pas la base : une URL factice suffit hors environnement configuré
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-anon-key';
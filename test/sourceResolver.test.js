@@ -0,0 +1,88 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { resolveCommit, resolveSource, tarballUrl, parseRepoReference, formatRepoReference } = require('../utils/sourceResolver');
+
+const SHA = '0123456789abcdef0123456789abcdef01234567';
+
+afterEach(() => mock.restoreAll());
+
+test('resolveSource fige la référence sur un commit exact', async () => {
+  const get = mock.method(axios, 'get', async () => ({ data: `${SHA}\n` }));
+
+  const source = await resolveSource('kerm/bot', { ref: 'v1.2.0' });
+
+  assert.strictEqual(source.repo, 'kerm/bot');
+  assert.strictEqual(source.ref, 'v1.2.0');
+  assert.strictEqual(source.sha, SHA);
+  assert.strictEqual(source.url, `https://codeload.github.com/kerm/bot/tar.gz/${SHA}`);
+  assert.match(get.mock.calls[0].arguments[0], /\/repos\/kerm\/bot\/commits\/v1\.2\.0$/);
+});
+
+test('resolveSource réutilise le commit connu d\'un redéploiement', async () => {
+  const get = mock.method(axios, 'get', async () => ({ data: 'autre-sha' }));
+
+  const source = await resolveSource('kerm/bot', { ref: 'main', sha: SHA });
+
+  assert.strictEqual(source.sha, SHA);
+  assert.strictEqual(get.mock.callCount(), 0);
+});
+
+test('resolveCommit signale une référence introuvable comme erreur permanente', async () => {
+  mock.method(axios, 'get', async () => {
+    throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  });
+
+  await assert.rejects(resolveCommit('kerm/bot', 'inexistante'), { code: 'REF_NOT_FOUND', permanent: true });
+});
+
+test('resolveCommit laisse réessayer les autres erreurs GitHub', async () => {
+  mock.method(axios, 'get', async () => {
+    throw Object.assign(new Error('Bad Gateway'), { response: { status: 502 } });
+  });
+
+  await assert.rejects(resolveCommit('kerm/bot', 'main'), error => !error.permanent && error.message === 'Bad Gateway');
+});
+
+test('tarballUrl désigne l\'archive du commit', () => {
+  assert.strictEqual(tarballUrl('kerm/bot', SHA), `https://codeload.github.com/kerm/bot/tar.gz/${SHA}`);
+});
+
+test('parseRepoReference lit la forme propriétaire/dépôt@ref:dossier', () => {
+  assert.deepStrictEqual(parseRepoReference('kerm/bot'), { repo: 'kerm/bot', ref: null, path: null });
+  assert.deepStrictEqual(parseRepoReference('kerm/bot.git@v1.2.0'), { repo: 'kerm/bot', ref: 'v1.2.0', path: null });
+  assert.deepStrictEqual(parseRepoReference('kerm/bot@feature/x:bots/lite/'), {
+    repo: 'kerm/bot',
+    ref: 'feature/x',
+    path: 'bots/lite'
+  });
+  assert.deepStrictEqual(parseRepoReference('kerm/bot@refs/tags/v2'), { repo: 'kerm/bot', ref: 'v2', path: null });
+});
+
+test('parseRepoReference lit les URL GitHub', () => {
+  assert.deepStrictEqual(parseRepoReference('https://github.com/kerm/bot.git'), { repo: 'kerm/bot', ref: null, path: null });
+  assert.deepStrictEqual(parseRepoReference('github.com/kerm/bot/tree/dev/bots/lite'), {
+    repo: 'kerm/bot',
+    ref: 'dev',
+    path: 'bots/lite'
+  });
+  assert.deepStrictEqual(parseRepoReference('https://github.com/kerm/bot/blob/main/bots/lite/kerm.json'), {
+    repo: 'kerm/bot',
+    ref: 'main',
+    path: 'bots/lite'
+  });
+  assert.deepStrictEqual(parseRepoReference('git@github.com:kerm/bot.git'), { repo: 'kerm/bot', ref: null, path: null });
+});
+
+test('parseRepoReference refuse les références invalides', () => {
+  ['', 'kerm', 'kerm/bot/extra', 'kerm/..', 'https://github.com/kerm/bot/issues/1', 'kerm/bot@main:../secret']
+    .forEach(reference => {
+      assert.throws(() => parseRepoReference(reference), { code: 'INVALID_REFERENCE' }, reference);
+    });
+});
+
+test('formatRepoReference est relu à l\'identique', () => {
+  const reference = { repo: 'kerm/bot', ref: 'dev', path: 'bots/lite' };
+  assert.strictEqual(formatRepoReference(reference), 'kerm/bot@dev:bots/lite');
+  assert.deepStrictEqual(parseRepoReference(formatRepoReference(reference)), reference);
+});
@@ -0,0 +1,208 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ValidationService = require('../routes/validation');
+
+const botEnv = {
+  SESSION_ID: { description: 'Session WhatsApp', required: true },
+  PREFIX: { description: 'Préfixe des commandes', default: '.' },
+  OWNER_NUMBER: { description: 'Numéro du propriétaire', type: 'phone' },
+  MAX_USERS: { description: 'Utilisateurs maximum', type: 'number', min: 1, max: 100, default: 10 },
+  AUTO_READ: { description: 'Lecture automatique', type: 'boolean', default: false },
+  MODE: { description: 'Mode', type: 'enum', options: ['public', 'private'], default: 'public' },
+  WEBHOOK: { description: 'Webhook', type: 'url', required: false },
+  SESSION_SECRET: { description: 'Secret de session', generator: 'secret' }
+};
+
+test('validateEnvValues applique les valeurs par défaut et normalise', () => {
+  const result = ValidationService.validateEnvValues(botEnv, {
+    SESSION_ID: ' abc ',
+    OWNER_NUMBER: '+237 6 12 34 56 78',
+    MAX_USERS: '20,0',
+    AUTO_READ: 'oui'
+  });
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.values, {
+    SESSION_ID: 'abc',
+    PREFIX: '.',
+    OWNER_NUMBER: '+237612345678',
+    MAX_USERS: '20',
+    AUTO_READ: 'true',
+    MODE: 'public',
+    WEBHOOK: ''
+  });
+});
+
+test('validateEnvValues signale chaque variable invalide ou manquante', () => {
+  const result = ValidationService.validateEnvValues(botEnv, {
+    OWNER_NUMBER: '12',
+    MAX_USERS: '500',
+    AUTO_READ: 'peut-être',
+    MODE: 'admin',
+    WEBHOOK: 'ftp://example.com'
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(Object.keys(result.errors).sort(), [
+    'AUTO_READ', 'MAX_USERS', 'MODE', 'OWNER_NUMBER', 'SESSION_ID', 'WEBHOOK'
+  ]);
+  assert.match(result.errors.SESSION_ID, /obligatoire/);
+  assert.match(result.errors.MAX_USERS, /inférieure ou égale à 100/);
+});
+
+test('validateEnvValues sans valeurs fournies refuse les variables obligatoires sans défaut', () => {
+  const result = ValidationService.validateEnvValues(botEnv, {});
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(Object.keys(result.errors), ['SESSION_ID', 'OWNER_NUMBER']);
+});
+
+test('validateEnvValues partiel ne valide que les variables fournies', () => {
+  assert.deepStrictEqual(ValidationService.validateEnvValues(botEnv, {}, { partial: true }), { valid: true, values: {} });
+
+  const result = ValidationService.validateEnvValues(botEnv, { PREFIX: '!', MAX_USERS: '500', SESSION_ID: '' }, { partial: true });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(Object.keys(result.errors), ['SESSION_ID', 'MAX_USERS']);
+
+  assert.deepStrictEqual(ValidationService.validateEnvValues(botEnv, { PREFIX: '!', MAX_USERS: '20' }, { partial: true }).values, {
+    PREFIX: '!',
+    MAX_USERS: '20'
+  });
+});
+
+test('validateEnvValues ignore les variables générées et celles des add-ons', () => {
+  const result = ValidationService.validateEnvValues({
+    ...botEnv,
+    DATABASE_URL: { description: 'Base de données', required: true }
+  }, {
+    SESSION_ID: 'abc',
+    OWNER_NUMBER: '237612345678'
+  }, { managed: ['DATABASE_URL'] });
+
+  assert.strictEqual(result.valid, true);
+  assert.ok(!('SESSION_SECRET' in result.values));
+  assert.ok(!('DATABASE_URL' in result.values));
+});
+
+test('validateEnvValue vérifie le pattern et les longueurs des textes', () => {
+  const config = { pattern: '^[A-Z]{3}$', help: 'trois majuscules', min: 3 };
+  assert.deepStrictEqual(ValidationService.validateEnvValue(config, 'ABC'), { valid: true, value: 'ABC' });
+  assert.match(ValidationService.validateEnvValue(config, 'abc').error, /trois majuscules/);
+  assert.match(ValidationService.validateEnvValue(config, 'AB').error, /au moins 3 caractères/);
+  assert.strictEqual(ValidationService.validateEnvValue({}, 'x'.repeat(1001)).valid, false);
+});
+
+test('validateKermJSON accepte un manifeste typé complet', () => {
+  const result = ValidationService.validateKermJSON({
+    'schema-version': 2,
+    'bot-name': 'Kerm Bot',
+    description: 'Bot WhatsApp',
+    env: botEnv
+  });
+  assert.deepStrictEqual(result.errors, undefined);
+  assert.strictEqual(result.valid, true);
+});
+
+test('validateKermJSON réserve les champs typés à schema-version 2', () => {
+  const result = ValidationService.validateKermJSON({
+    'bot-name': 'Kerm Bot',
+    description: 'Bot WhatsApp',
+    env: { PREFIX: { description: 'Préfixe', type: 'string' } }
+  });
+  assert.strictEqual(result.valid, false);
+  assert.match(result.errors[0], /PREFIX : type nécessite schema-version 2/);
+});
+
+test('validateKermJSON vérifie les déclarations et leurs valeurs par défaut', () => {
+  const result = ValidationService.validateKermJSON({
+    'schema-version': 2,
+    'bot-name': 'Kerm Bot',
+    description: 'Bot WhatsApp',
+    env: {
+      'BAD-KEY': { description: 'Clé' },
+      COLOR: { description: 'Couleur', type: 'enum' },
+      LIMIT: { description: 'Limite', type: 'number', min: 10, default: 5 },
+      TOKEN: { description: 'Jeton', type: 'number', generator: 'secret' },
+      CODE: { description: 'Code', pattern: '[' }
+    }
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(error => error.split(' : ')[0]), [
+    'BAD-KEY', 'COLOR', 'LIMIT', 'TOKEN', 'CODE'
+  ]);
+});
+
+test('validateKermJSON refuse une version de schéma inconnue', () => {
+  const result = ValidationService.validateKermJSON({ 'schema-version': 3 });
+  assert.deepStrictEqual(result, { valid: false, errors: ['schema-version non supportée : 3'] });
+});
+
+test('validateKermJSON refuse les patterns exposés au ReDoS', () => {
+  const manifest = pattern => ({
+    'schema-version': 2,
+    'bot-name': 'Kerm Bot',
+    description: 'Bot WhatsApp',
+    env: { CODE: { description: 'Code', pattern } }
+  });
+
+  assert.strictEqual(ValidationService.validateKermJSON(manifest('^[0-9]{4,8}$')).valid, true);
+  assert.match(ValidationService.validateKermJSON(manifest('^(a+)+$')).errors[0], /trop complexe/);
+  assert.match(ValidationService.validateKermJSON(manifest('a'.repeat(201))).errors[0], /200 caractères/);
+  assert.match(ValidationService.validateKermJSON(manifest(42)).errors[0], /doit être un texte/);
+});
+
+test('validateEnvValue n\'exécute pas un pattern dangereux déjà enregistré', () => {
+  const result = ValidationService.validateEnvValue({ pattern: '^(a+)+$' }, `${'a'.repeat(40)}!`);
+  assert.strictEqual(result.valid, false);
+  assert.match(result.error, /pattern du bot est refusé/);
+});
+
+test('validateBuildSettings accepte buildpacks, stack et formation autorisés', () => {
+  assert.deepStrictEqual(ValidationService.validateBuildSettings({
+    buildpacks: ['heroku/nodejs', 'https://github.com/jonathanong/heroku-buildpack-ffmpeg-latest'],
+    stack: 'heroku-24',
+    formation: { worker: { quantity: 1, size: 'Basic' }, web: { quantity: 0 } }
+  }), []);
+  assert.deepStrictEqual(ValidationService.validateBuildSettings({}), []);
+});
+
+test('validateBuildSettings refuse les tailles et quantités facturées hors limite', () => {
+  assert.deepStrictEqual(ValidationService.validateBuildSettings({
+    buildpacks: ['heroku/nodejs', 'heroku/nodejs', 'http://example.com/bp'],
+    stack: 'cedar-14',
+    formation: { worker: { quantity: 3, size: 'performance-l' }, 'web server': {} }
+  }), [
+    'buildpacks[2] : nom (heroku/nodejs) ou URL https attendu',
+    'buildpacks ne doit pas contenir de doublons',
+    'stack doit être une stack Heroku (ex : heroku-22)',
+    'formation.worker.quantity doit être un entier entre 0 et 1',
+    'formation.worker.size doit être l\'une des tailles : eco, basic',
+    'formation : type de process invalide : web server'
+  ]);
+  assert.deepStrictEqual(ValidationService.validateBuildSettings({ buildpacks: [], formation: {} }), [
+    'buildpacks doit lister au moins un buildpack',
+    'formation doit associer au moins un type de process à { quantity, size }'
+  ]);
+});
+
+test('validateAddons n\'accepte que les plans autorisés, une fois chacun', () => {
+  assert.deepStrictEqual(ValidationService.validateAddons(undefined), []);
+  assert.deepStrictEqual(ValidationService.validateAddons([
+    'heroku-redis:mini',
+    { plan: 'heroku-postgresql:essential-0', as: 'DATABASE', options: { version: '16' } }
+  ]), []);
+
+  assert.deepStrictEqual(ValidationService.validateAddons([]), ['addons doit lister au moins un add-on']);
+  assert.deepStrictEqual(ValidationService.validateAddons([
+    'heroku-postgresql:standard-0',
+    'heroku-redis:mini',
+    'heroku-redis:mini',
+    { plan: 'heroku-postgresql:essential-0', as: 'database' },
+    42
+  ]), [
+    'addons[0] : plan non autorisé : heroku-postgresql:standard-0 (autorisés : heroku-postgresql:essential-0, heroku-redis:mini)',
+    'addons[2] : heroku-redis:mini est déjà déclaré',
+    'addons[3].as doit être en majuscules (ex : DATABASE)',
+    'addons[4] : "service:plan" ou { plan, as } attendu'
+  ]);
+});
@@ -0,0 +1,118 @@
+const supabase = require('./database');
+
+// Nom de rattachement par défaut des services courants : DATABASE → DATABASE_URL
+const DEFAULT_ATTACHMENTS = {
+  'heroku-postgresql': 'DATABASE',
+  'heroku-redis': 'REDIS'
+};
+
+// Add-ons déclarés dans kerm.json : "plan" ou { plan, as, options }
+function normalizeAddons(addons) {
+  return (addons || []).map(addon => (typeof addon === 'string' ? { plan: addon } : addon));
+}
+
+// Variables attendues des add-ons déclarés, avant leur création
+// Ces variables n'ont pas à être saisies par l'utilisateur
+function expectedConfigVars(addons) {
+  return normalizeAddons(addons)
+    .map(addon => addon.as || DEFAULT_ATTACHMENTS[addon.plan.split(':')[0]])
+    .filter(Boolean)
+    .map(attachment => `${attachment}_URL`);
+}
+
+async function listDeploymentAddons(deploymentId) {
+  const { data: addons, error } = await supabase
+    .from('deployment_addons')
+    .select('id, plan, provider_addon_id, name, config_vars, state, created_at')
+    .eq('deployment_id', deploymentId)
+    .is('deleted_at', null)
+    .order('created_at');
+
+  if (error) throw error;
+  return addons || [];
+}
+
+// Variables gérées par les add-ons d'un déploiement (créés ou seulement déclarés)
+// Elles ne sont jamais écrites ni effacées par les mises à jour de variables
+async function managedConfigVars(deploymentId, declaredAddons = []) {
+  const addons = await listDeploymentAddons(deploymentId);
+  return [...new Set([
+    ...expectedConfigVars(declaredAddons),
+    ...addons.flatMap(addon => addon.config_vars || [])
+  ])];
+}
+
+// Créer les add-ons déclarés qui n'existent pas encore sur l'app
+// Rejouable : un add-on créé juste avant une interruption est retrouvé par son plan
+async function provisionAddons(provider, deployment, declaredAddons) {
+  const addons = normalizeAddons(declaredAddons);
+  if (addons.length === 0) return [];
+
+  const recorded = await listDeploymentAddons(deployment.id);
+  const existing = await provider.listAddons(deployment.heroku_app_name);
+  const provisioned = [];
+
+  for (const addon of addons) {
+    if (recorded.some(row => row.plan === addon.plan)) continue;
+
+    const created = existing.find(item => item.plan === addon.plan) ||
+      await provider.createAddon(deployment.heroku_app_name, addon);
+
+    const { data: row, error } = await supabase
+      .from('deployment_addons')
+      .upsert({
+        deployment_id: deployment.id,
+        plan: addon.plan,
+        provider_addon_id: created.id,
+        name: created.name,
+        config_vars: created.config_vars || [],
+        state: created.state || null,
+        deleted_at: null
+      }, { onConflict: 'deployment_id,plan' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    provisioned.push(row);
+  }
+
+  return provisioned;
+}
+
+// Supprimer les add-ons d'un déploiement chez l'hébergeur
+// Un add-on déjà absent (app supprimée...) est considéré comme supprimé ; renvoie { deleted, errors }
+async function deprovisionAddons(provider, deployment) {
+  const addons = await listDeploymentAddons(deployment.id);
+  const summary = { deleted: 0, errors: 0 };
+
+  for (const addon of addons) {
+    try {
+      if (!provider) {
+        throw new Error('Compte d\'hébergement du déploiement introuvable');
+      }
+      await provider.deleteAddon(deployment.heroku_app_name, addon.provider_addon_id);
+
+      const { error } = await supabase
+        .from('deployment_addons')
+        .update({ deleted_at: new Date(), state: 'deprovisioned' })
+        .eq('id', addon.id);
+
+      if (error) throw error;
+      summary.deleted++;
+    } catch (error) {
+      summary.errors++;
+      console.error(`Erreur suppression add-on ${addon.name || addon.plan} du déploiement ${deployment.id}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  normalizeAddons,
+  expectedConfigVars,
+  listDeploymentAddons,
+  managedConfigVars,
+  provisionAddons,
+  deprovisionAddons
+};
@@ -0,0 +1,134 @@
+const supabase = require('./database');
+const scheduler = require('./scheduler');
+const ledger = require('./ledger');
+const pricing = require('./pricing');
+const EmailService = require('./email');
+const { STATES } = require('./deploymentState');
+const { CONTROL_COLUMNS, STOP_REASONS, pauseDeployment } = require('./deploymentControl');
+
+// Durée d'une période facturée
+const PERIOD_HOURS = 24;
+// Avertir quand le solde disponible couvre moins de ce nombre de jours
+const WARNING_DAYS = parseInt(process.env.BILLING_WARNING_DAYS) || 2;
+// Délai minimal entre deux avertissements au même utilisateur
+const WARNING_COOLDOWN = 24 * 60 * 60 * 1000;
+
+// Déploiements actifs avec le tarif de leur bot et l'email du propriétaire
+async function getActiveDeployments() {
+  const { data: deployments, error } = await supabase
+    .from('deployments')
+    .select(`${CONTROL_COLUMNS}, user:users(id, email, coins, low_balance_warned_at)`)
+    .eq('status', STATES.ACTIVE);
+
+  if (error) throw error;
+  return deployments || [];
+}
+
+// Arrêter un bot dont le propriétaire ne peut plus payer la période suivante
+async function stopForNonPayment(deployment, dailyCost) {
+  await pauseDeployment(deployment, {
+    reason: STOP_REASONS.BILLING,
+    message: `⏸️ Bot arrêté : solde insuffisant pour le coût journalier de ${dailyCost} coins`,
+    details: { reason: 'insufficient_funds', daily_cost: dailyCost }
+  });
+
+  if (deployment.user?.email) {
+    await EmailService.sendBotStoppedForBillingEmail(deployment.user.email, deployment.bot?.name || deployment.heroku_app_name, dailyCost)
+      .catch(error => console.error('Erreur notification arrêt pour facturation:', error));
+  }
+}
+
+// Prévenir les utilisateurs dont le solde ne couvre plus que quelques jours
+async function warnLowBalances(deployments) {
+  const owners = {};
+  deployments.forEach(deployment => {
+    const rate = pricing.dailyRate(deployment.bot);
+    if (rate <= 0 || !deployment.user) return;
+
+    owners[deployment.user_id] = owners[deployment.user_id] || { user: deployment.user, dailyCost: 0 };
+    owners[deployment.user_id].dailyCost += rate;
+  });
+
+  let warned = 0;
+  for (const { user, dailyCost } of Object.values(owners)) {
+    if (user.low_balance_warned_at && Date.now() - new Date(user.low_balance_warned_at) < WARNING_COOLDOWN) {
+      continue;
+    }
+
+    const balance = await ledger.availableBalance(user.id);
+    if (balance >= dailyCost * WARNING_DAYS) continue;
+
+    try {
+      await EmailService.sendLowBalanceEmail(user.email, {
+        balance,
+        dailyCost,
+        daysLeft: Math.floor(balance / dailyCost)
+      });
+
+      await supabase
+        .from('users')
+        .update({ low_balance_warned_at: new Date() })
+        .eq('id', user.id);
+
+      warned++;
+    } catch (error) {
+      console.error(`Erreur avertissement solde faible ${user.id}:`, error);
+    }
+  }
+
+  return warned;
+}
+
+// Facturer les déploiements dont la période payée est écoulée
+// Renvoie { charged, started, stopped, warned, errors }
+async function runBilling() {
+  const deployments = await getActiveDeployments();
+  const summary = { charged: 0, started: 0, stopped: 0, warned: 0, errors: 0 };
+  const stillActive = [];
+
+  for (const deployment of deployments) {
+    const dailyCost = pricing.dailyRate(deployment.bot);
+    if (dailyCost <= 0) continue;
+
+    try {
+      const result = await ledger.billDeployment(deployment.id, dailyCost, PERIOD_HOURS);
+      if (result.status === 'charged') summary.charged++;
+      if (result.status === 'started') summary.started++;
+      stillActive.push(deployment);
+    } catch (error) {
+      if (error instanceof ledger.LedgerError && error.code === 'INSUFFICIENT_FUNDS') {
+        try {
+          await stopForNonPayment(deployment, dailyCost);
+          summary.stopped++;
+        } catch (stopError) {
+          summary.errors++;
+          console.error(`Erreur arrêt du déploiement impayé ${deployment.id}:`, stopError);
+        }
+        continue;
+      }
+
+      summary.errors++;
+      console.error(`Erreur facturation déploiement ${deployment.id}:`, error);
+    }
+  }
+
+  summary.warned = await warnLowBalances(stillActive);
+  return summary;
+}
+
+function registerBillingTasks() {
+  // Toutes les heures par défaut : chaque déploiement n'est débité qu'une fois par période
+  scheduler.register('billing.charge_daily', process.env.BILLING_CRON || '0 * * * *', async () => {
+    const summary = await runBilling();
+    if (summary.charged > 0 || summary.stopped > 0) {
+      console.log(`💰 Facturation: ${summary.charged} période(s) débitée(s), ${summary.stopped} bot(s) arrêté(s), ${summary.warned} avertissement(s)`);
+    }
+    return summary;
+  });
+}
+
+module.exports = {
+  PERIOD_HOURS,
+  runBilling,
+  registerBillingTasks
+};
@@ -0,0 +1,201 @@
+const { resolveRepoReference, formatRepoReference, fetchRepoFile } = require('./sourceResolver');
+const ValidationService = require('../routes/validation');
+
+// Fichiers de description d'un bot, lus dans cet ordre
+const MANIFEST_FILES = {
+  KERM: 'kerm.json',
+  APP_JSON: 'app.json'
+};
+
+// Tailles de dynos Heroku → taille équivalente sur les comptes de la plateforme
+const DYNO_SIZE_EQUIVALENTS = {
+  free: 'eco',
+  hobby: 'eco',
+  'standard-1x': 'basic',
+  'standard-2x': 'basic'
+};
+
+function invalidManifest(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MANIFEST';
+  return error;
+}
+
+// Un fichier mal formé arrive en texte brut
+function parseManifestFile(content, fileName) {
+  if (content === null || content === undefined) return null;
+  if (typeof content !== 'string') return content;
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw invalidManifest(`Fichier ${fileName} invalide : JSON mal formé`);
+  }
+}
+
+async function fetchManifestFile(source, fileName) {
+  const filePath = source.path ? `${source.path}/${fileName}` : fileName;
+  return parseManifestFile(await fetchRepoFile(source.repo, source.sha, filePath), fileName);
+}
+
+// Variable d'app.json → variable kerm.json
+// app.json accepte "CLÉ": "valeur" ou { description, value, required, generator } ; required vaut true par défaut
+function translateAppJsonEnv(key, entry) {
+  if (entry === null || typeof entry !== 'object') {
+    return entry === null || entry === '' ? { description: key } : { description: key, default: entry };
+  }
+
+  const config = { description: entry.description || key };
+  if (entry.value !== undefined && entry.value !== '') config.default = entry.value;
+  if (entry.required === false) config.required = false;
+  if (entry.generator) config.generator = entry.generator;
+  return config;
+}
+
+// Formation d'app.json ramenée aux tailles et quantités autorisées
+// Une taille sans équivalent est retirée : le process prend alors la taille par défaut
+function translateAppJsonFormation(formation, warnings) {
+  if (!formation || typeof formation !== 'object' || Array.isArray(formation)) {
+    warnings.push('formation ignorée : { process: { quantity, size } } attendu');
+    return null;
+  }
+
+  const translated = {};
+  Object.entries(formation).forEach(([type, process]) => {
+    if (!process || typeof process !== 'object' || Array.isArray(process)) {
+      warnings.push(`formation.${type} ignorée : { quantity, size } attendu`);
+      return;
+    }
+
+    const entry = {};
+    if (process.quantity !== undefined) {
+      if (!Number.isInteger(process.quantity) || process.quantity < 0) {
+        warnings.push(`formation.${type}.quantity ignorée : entier positif ou nul attendu`);
+      } else if (process.quantity > ValidationService.MAX_DYNO_QUANTITY) {
+        warnings.push(`formation.${type}.quantity ramenée de ${process.quantity} à ${ValidationService.MAX_DYNO_QUANTITY}`);
+        entry.quantity = ValidationService.MAX_DYNO_QUANTITY;
+      } else {
+        entry.quantity = process.quantity;
+      }
+    }
+
+    if (process.size !== undefined) {
+      const size = String(process.size).toLowerCase();
+      const equivalent = DYNO_SIZE_EQUIVALENTS[size];
+      if (ValidationService.ALLOWED_DYNO_SIZES.includes(size)) {
+        entry.size = size;
+      } else if (ValidationService.ALLOWED_DYNO_SIZES.includes(equivalent)) {
+        warnings.push(`formation.${type}.size : ${process.size} remplacée par ${equivalent}`);
+        entry.size = equivalent;
+      } else {
+        warnings.push(`formation.${type}.size : ${process.size} non disponible, taille par défaut utilisée`);
+      }
+    }
+
+    translated[type] = entry;
+  });
+
+  return Object.keys(translated).length > 0 ? translated : null;
+}
+
+// Add-ons d'app.json ramenés aux plans autorisés
+// Un plan non autorisé (ou absent) prend le plan autorisé du même service ; un service sans plan autorisé est retiré
+function translateAppJsonAddons(addons, warnings) {
+  const translated = [];
+
+  addons.forEach((entry, index) => {
+    const addon = typeof entry === 'string' ? { plan: entry } : entry;
+    if (!addon || typeof addon !== 'object' || Array.isArray(addon) || typeof addon.plan !== 'string') {
+      warnings.push(`addons[${index}] ignoré : "service:plan" ou { plan, as } attendu`);
+      return;
+    }
+
+    const service = addon.plan.split(':')[0];
+    const plan = ValidationService.ALLOWED_ADDON_PLANS.includes(addon.plan)
+      ? addon.plan
+      : ValidationService.ALLOWED_ADDON_PLANS.find(allowed => allowed.split(':')[0] === service);
+
+    if (!plan) {
+      warnings.push(`addons : ${addon.plan} retiré, aucun plan autorisé pour ${service}`);
+    } else if (translated.some(existing => existing.plan === plan)) {
+      warnings.push(`addons : ${addon.plan} retiré, ${plan} est déjà déclaré`);
+    } else {
+      if (plan !== addon.plan) warnings.push(`addons : ${addon.plan} remplacé par ${plan}`);
+      translated.push({ ...addon, plan });
+    }
+  });
+
+  return translated.map(addon => (Object.keys(addon).length === 1 ? addon.plan : addon));
+}
+
+// app.json (Heroku) → kerm.json (schema-version 2)
+// Renvoie { kermJson, warnings } ; warnings liste ce qui a été adapté ou retiré pour la plateforme
+function translateAppJson(appJson, source) {
+  if (!appJson || typeof appJson !== 'object' || Array.isArray(appJson)) {
+    throw invalidManifest('Fichier app.json invalide');
+  }
+
+  const name = appJson.name || (source.path || source.repo).split('/').pop();
+  const env = {};
+  Object.entries(appJson.env || {}).forEach(([key, entry]) => {
+    env[key] = translateAppJsonEnv(key, entry);
+  });
+
+  const kermJson = {
+    'schema-version': 2,
+    'bot-name': name,
+    description: appJson.description || `${name} (importé depuis app.json)`,
+    env
+  };
+
+  if (appJson.logo) kermJson.logo = appJson.logo;
+  if (appJson.website || appJson.repository) {
+    kermJson['documentation-link'] = appJson.website || appJson.repository;
+  }
+  if (Array.isArray(appJson.buildpacks) && appJson.buildpacks.length > 0) {
+    kermJson.buildpacks = appJson.buildpacks.map(buildpack => buildpack?.url || buildpack);
+  }
+  if (appJson.stack) kermJson.stack = appJson.stack;
+
+  const warnings = [];
+  if (appJson.formation) {
+    const formation = translateAppJsonFormation(appJson.formation, warnings);
+    if (formation) kermJson.formation = formation;
+  }
+  if (Array.isArray(appJson.addons) && appJson.addons.length > 0) {
+    const addons = translateAppJsonAddons(appJson.addons, warnings);
+    if (addons.length > 0) kermJson.addons = addons;
+  }
+
+  return { kermJson, warnings };
+}
+
+// Lire la description d'un bot à l'emplacement désigné (propriétaire/dépôt@ref:sous/dossier, URL GitHub...)
+// kerm.json d'abord, sinon app.json traduit dans le même format
+// Renvoie { source: { repo, ref, path, sha }, file, kermJson, warnings } ; file et kermJson valent null sans manifeste
+async function loadManifest(reference) {
+  const source = await resolveRepoReference(reference);
+
+  const kermJson = await fetchManifestFile(source, MANIFEST_FILES.KERM);
+  if (kermJson) {
+    return { source, file: MANIFEST_FILES.KERM, kermJson, warnings: [] };
+  }
+
+  const appJson = await fetchManifestFile(source, MANIFEST_FILES.APP_JSON);
+  if (appJson) {
+    return { source, file: MANIFEST_FILES.APP_JSON, ...translateAppJson(appJson, source) };
+  }
+
+  return { source, file: null, kermJson: null, warnings: [] };
+}
+
+function manifestNotFoundMessage(source) {
+  return `Aucun fichier kerm.json ni app.json dans ${formatRepoReference(source)}. Assurez-vous qu'il existe dans ${source.path ? 'ce dossier' : 'le répertoire principal'}.`;
+}
+
+module.exports = {
+  MANIFEST_FILES,
+  translateAppJson,
+  loadManifest,
+  manifestNotFoundMessage
+};
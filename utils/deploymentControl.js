@@ -0,0 +1,73 @@
+const ledger = require('./ledger');
+const pricing = require('./pricing');
+const { STATES, transition } = require('./deploymentState');
+const { getDeploymentProvider } = require('./hostingAccounts');
+
+// Colonnes nécessaires à la mise en pause et à la reprise
+const CONTROL_COLUMNS = 'id, user_id, status, heroku_app_name, heroku_account_id, billed_until, stopped_at, stopped_state, stopped_by, bot:bots(id, name, daily_cost)';
+
+// Origine d'un arrêt (colonne stopped_by)
+const STOP_REASONS = {
+  OWNER: 'owner',
+  SCHEDULE: 'schedule',
+  BILLING: 'billing',
+  ADMIN: 'admin'
+};
+
+async function requireProvider(deployment) {
+  const provider = await getDeploymentProvider(deployment);
+  if (!provider) {
+    throw new Error(`Compte d'hébergement du déploiement ${deployment.id} introuvable`);
+  }
+  return provider;
+}
+
+// Arrêter les process d'un bot actif ; la facturation est suspendue tant qu'il est arrêté
+// reason : origine de l'arrêt (STOP_REASONS), enregistrée jusqu'à la reprise
+async function pauseDeployment(deployment, { reason = STOP_REASONS.OWNER, message = '⏸️ Bot arrêté', details = null } = {}) {
+  const provider = await requireProvider(deployment);
+  const state = await provider.stopApp(deployment.heroku_app_name);
+
+  return transition(deployment.id, STATES.STOPPED, {
+    message,
+    details,
+    updates: { stopped_at: new Date(), stopped_state: state || null, stopped_by: reason }
+  });
+}
+
+// Relancer un bot arrêté
+// La période déjà payée est prolongée de la durée de l'arrêt ; si elle est échue,
+// le solde disponible doit couvrir la prochaine (LedgerError INSUFFICIENT_FUNDS sinon)
+async function resumeDeployment(deployment, { message = '▶️ Bot relancé', details = null } = {}) {
+  let billedUntil = deployment.billed_until ? new Date(deployment.billed_until) : null;
+  if (billedUntil && deployment.stopped_at) {
+    billedUntil = new Date(billedUntil.getTime() + (Date.now() - new Date(deployment.stopped_at).getTime()));
+  }
+
+  const dailyCost = pricing.dailyRate(deployment.bot);
+  if (dailyCost > 0 && billedUntil && billedUntil <= new Date()) {
+    const available = await ledger.availableBalance(deployment.user_id);
+    if (available < dailyCost) {
+      throw new ledger.LedgerError('INSUFFICIENT_FUNDS', 'Solde insuffisant pour relancer le bot', {
+        available,
+        daily_cost: dailyCost
+      });
+    }
+  }
+
+  const provider = await requireProvider(deployment);
+  await provider.startApp(deployment.heroku_app_name, deployment.stopped_state || {});
+
+  return transition(deployment.id, STATES.ACTIVE, {
+    message,
+    details,
+    updates: { stopped_at: null, stopped_state: null, stopped_by: null, billed_until: billedUntil }
+  });
+}
+
+module.exports = {
+  CONTROL_COLUMNS,
+  STOP_REASONS,
+  pauseDeployment,
+  resumeDeployment
+};
@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const supabase = require('./database');
+const jobQueue = require('./jobQueue');
+const { getProvider } = require('./providers');
+const { getAccount, getDeploymentProvider, updateAccountUsage } = require('./hostingAccounts');
+const { STATES, transition, isTerminal, isInProgress } = require('./deploymentState');
+const { resolveSource } = require('./sourceResolver');
+const { emitBuildOutput } = require('./realtime');
+const ledger = require('./ledger');
+const releases = require('./releases');
+const { encryptEnv, decryptEnv } = require('./encryption');
+const ValidationService = require('../routes/validation');
+const { fillGeneratedEnv } = require('./envGenerators');
+const { managedConfigVars, provisionAddons, deprovisionAddons } = require('./addons');
+
+// Taille maximale de la sortie de build conservée en base
+const BUILD_OUTPUT_LIMIT = 64 * 1024;
+
+// Étapes du déploiement, exécutées dans cet ordre par le worker
+const STEPS = {
+  CREATE_APP: 'deploy.create_app',
+  BUILD: 'deploy.build',
+  CONFIGURE: 'deploy.configure'
+};
+
+// Statuts dans lesquels chaque étape peut s'exécuter
+// Un job rejoué après coup (bail expiré, redémarrage) ne touche pas à un déploiement déjà en ligne ou arrêté
+const STEP_STATES = {
+  [STEPS.CREATE_APP]: [STATES.PENDING, STATES.CREATING_APP],
+  [STEPS.BUILD]: [STATES.CREATING_APP, STATES.BUILDING],
+  [STEPS.CONFIGURE]: [STATES.BUILDING, STATES.CONFIGURING]
+};
+
+// Clé d'une exécution du pipeline : le déploiement initial, ou un redéploiement donné
+// Chaque étape n'est mise en file qu'une fois par exécution
+function runKey(payload) {
+  return payload?.runId || 'deploy';
+}
+
+// Mettre en file l'étape suivante de la même exécution
+function enqueueStep(type, deploymentId, payload = {}) {
+  return jobQueue.enqueue(type, { deploymentId, payload, dedupeKey: runKey(payload) });
+}
+
+// Erreur qui ne doit pas être retentée (mauvaise configuration, ressource absente...)
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+// Garder la fin de la sortie, c'est là que se trouve l'erreur
+function truncateOutput(output) {
+  if (!output || output.length <= BUILD_OUTPUT_LIMIT) return output || '';
+  return output.slice(-BUILD_OUTPUT_LIMIT);
+}
+
+// Les erreurs 4xx de l'hébergeur (hors 408/429) ne se corrigent pas en réessayant
+function classifyProviderError(error) {
+  const status = error.statusCode || error.response?.status;
+  if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) {
+    error.permanent = true;
+  }
+  return error;
+}
+
+// Débiter la réservation de coins d'une opération réussie
+// Une réservation expirée entre-temps est débitée si le solde le permet, sinon l'opération reste impayée
+async function captureHold(holdId) {
+  if (!holdId) return { status: 'free' };
+
+  try {
+    const result = await ledger.captureHold(holdId);
+    return { status: 'captured', amount: result.hold.amount };
+  } catch (error) {
+    if (error instanceof ledger.LedgerError) {
+      console.error(`Réservation ${holdId} non débitée:`, error.code);
+      return { status: 'unpaid', reason: error.code };
+    }
+    throw error;
+  }
+}
+
+// Libérer la réservation d'une opération échouée ; rembourse si elle avait déjà été débitée
+async function releaseHold(holdId, { userId, deploymentId, reason }) {
+  if (!holdId) return;
+
+  const { hold } = await ledger.releaseHold(holdId, reason);
+  if (hold.status === 'captured') {
+    await ledger.refund(userId, hold.amount, {
+      description: 'Remboursement de l\'opération échouée',
+      deploymentId
+    });
+  }
+}
+
+async function updateDeployment(deploymentId, updates) {
+  const { error } = await supabase
+    .from('deployments')
+    .update(updates)
+    .eq('id', deploymentId);
+
+  if (error) throw error;
+}
+
+// Charger le déploiement, son bot et le client de l'hébergeur du compte associé
+async function loadContext(job) {
+  const { data: deployment } = await supabase
+    .from('deployments')
+    .select(`
+      *,
+      bot:bots(*)
+    `)
+    .eq('id', job.deployment_id)
+    .single();
+
+  // Déploiement supprimé ou abandonné entre-temps : plus rien à faire
+  if (!deployment || isTerminal(deployment.status)) return null;
+
+  // Étape rejouée alors que le déploiement l'a déjà dépassée (en ligne, arrêté...)
+  if (!STEP_STATES[job.type].includes(deployment.status)) {
+    console.warn(`Job ${job.id} (${job.type}) ignoré : déploiement ${deployment.id} en statut ${deployment.status}`);
+    return null;
+  }
+
+  const account = await getAccount(deployment.heroku_account_id);
+  if (!account) {
+    throw permanentError('Compte d\'hébergement du déploiement introuvable');
+  }
+
+  return {
+    deployment,
+    bot: deployment.bot,
+    account,
+    provider: getProvider(account)
+  };
+}
+
+// 1. Créer l'application chez l'hébergeur
+async function createApp(job) {
+  const context = await loadContext(job);
+  if (!context) return;
+
+  const { deployment, provider } = context;
+  const appName = deployment.heroku_app_name;
+
+  if (deployment.status === STATES.PENDING) {
+    await transition(deployment.id, STATES.CREATING_APP, {
+      message: 'Création de l\'application...'
+    });
+  }
+
+  // Étape déjà faite avant un redémarrage
+  if (!deployment.heroku_app_id) {
+    let app;
+    try {
+      app = await provider.createApp(appName, 'eu');
+    } catch (error) {
+      // L'app a pu être créée juste avant une interruption
+      app = await provider.getAppInfo(appName).catch(() => null);
+      if (!app) throw classifyProviderError(error);
+    }
+
+    await updateDeployment(deployment.id, { heroku_app_id: app.id });
+  }
+
+  await enqueueStep(STEPS.BUILD, deployment.id);
+}
+
+// 2. Déployer depuis GitHub
+async function build(job) {
+  const context = await loadContext(job);
+  if (!context) return;
+
+  const { deployment, bot, provider } = context;
+
+  if (deployment.status === STATES.CREATING_APP) {
+    await transition(deployment.id, STATES.BUILDING, {
+      message: 'Application créée. Déploiement depuis GitHub...',
+      details: { heroku_app_id: deployment.heroku_app_id }
+    });
+  }
+
+  let buildId = deployment.heroku_build_id;
+
+  if (!buildId) {
+    // Figer la source sur un commit ; un redéploiement réutilise le SHA enregistré
+    // Même dépôt, référence et sous-dossier que le kerm.json du bot
+    const source = await resolveSource(bot.github_repo, {
+      ref: deployment.source_ref || bot.source_ref || 'main',
+      sha: deployment.source_commit_sha,
+      path: bot.source_path
+    });
+
+    if (!deployment.source_commit_sha) {
+      await updateDeployment(deployment.id, {
+        source_ref: source.ref,
+        source_commit_sha: source.sha
+      });
+    }
+
+    let buildResult;
+    try {
+      // Add-ons du manifeste : leurs variables (DATABASE_URL...) existent dès le build
+      await provisionAddons(provider, deployment, bot.kerm_json?.addons);
+
+      // Stack et buildpacks du manifeste, appliqués avant chaque build
+      await provider.prepareBuild(deployment.heroku_app_name, {
+        stack: bot.kerm_json?.stack,
+        buildpacks: bot.kerm_json?.buildpacks,
+        path: source.path
+      });
+      buildResult = await provider.buildFromSource(deployment.heroku_app_name, source);
+    } catch (error) {
+      throw classifyProviderError(error);
+    }
+
+    buildId = buildResult.id;
+    await updateDeployment(deployment.id, {
+      heroku_build_id: buildId,
+      build_status: buildResult.status
+    });
+  }
+
+  // Suivre le build jusqu'au bout (reprise possible après un redémarrage)
+  let result;
+  try {
+    result = await provider.waitForBuild(deployment.heroku_app_name, buildId, {
+      onOutput: line => emitBuildOutput(deployment.id, line)
+    });
+  } catch (error) {
+    if (error.code === 'BUILD_TIMEOUT') error.permanent = true;
+    // Build perdu (redémarrage de l'hébergeur) : la prochaine tentative en relance un
+    if (error.code === 'BUILD_LOST') {
+      await updateDeployment(deployment.id, { heroku_build_id: null, build_status: null });
+    }
+    throw classifyProviderError(error);
+  }
+
+  const { build: finishedBuild, output } = result;
+  await updateDeployment(deployment.id, {
+    build_status: finishedBuild.status,
+    build_output: truncateOutput(output),
+    build_artifact: finishedBuild.status === 'succeeded' ? provider.buildArtifact(finishedBuild) : null
+  });
+
+  if (finishedBuild.status !== 'succeeded') {
+    const error = permanentError(`Le build a échoué (${finishedBuild.status})`);
+    error.code = 'BUILD_FAILED';
+    error.buildOutput = output;
+    throw error;
+  }
+
+  await enqueueStep(STEPS.CONFIGURE, deployment.id, job.payload);
+}
+
+// 3. Configurer les variables d'environnement puis marquer comme actif
+async function configure(job) {
+  const context = await loadContext(job);
+  if (!context) return;
+
+  const { deployment, bot, provider } = context;
+
+  if (deployment.status === STATES.BUILDING) {
+    await transition(deployment.id, STATES.CONFIGURING, {
+      message: 'Build réussi. Configuration des variables d\'environnement...',
+      details: { heroku_build_id: deployment.heroku_build_id }
+    });
+  }
+
+  // Un redéploiement garde les variables déjà configurées sur l'app
+  const updates = {};
+  let env = decryptEnv(deployment.env_variables) || {};
+  if (bot.kerm_json?.env && !job.payload?.redeploy) {
+    // Valeurs par défaut de kerm.json, complétées par celles validées au déploiement,
+    // puis valeurs générées (secrets...) pour les variables restées vides
+    // Les variables des add-ons restent gérées par l'hébergeur
+    const managed = await managedConfigVars(deployment.id, bot.kerm_json.addons);
+    const initialEnvVars = Object.fromEntries(Object.entries(fillGeneratedEnv(bot.kerm_json.env, {
+      ...ValidationService.envDefaults(bot.kerm_json.env),
+      ...env
+    }, {}, {
+      deploymentId: deployment.id,
+      appName: deployment.heroku_app_name
+    })).filter(([key]) => !managed.includes(key)));
+
+    if (Object.keys(initialEnvVars).length > 0) {
+      try {
+        await provider.setConfigVars(deployment.heroku_app_name, initialEnvVars);
+      } catch (error) {
+        throw classifyProviderError(error);
+      }
+
+      // Enregistrer les variables (chiffrées)
+      env = initialEnvVars;
+      updates.env_variables = encryptEnv(initialEnvVars);
+    }
+  }
+
+  // Formation du manifeste (worker au lieu de web...) : les process existent une fois le build publié
+  if (bot.kerm_json?.formation) {
+    try {
+      await provider.applyFormation(deployment.heroku_app_name, bot.kerm_json.formation);
+    } catch (error) {
+      throw classifyProviderError(error);
+    }
+  }
+
+  // Nouvelle release : code du build et variables en ligne (sans doublon si l'étape est rejouée)
+  const release = await releases.recordRelease(deployment.id, {
+    kind: releases.KINDS.BUILD,
+    env,
+    commitSha: deployment.source_commit_sha,
+    sourceRef: deployment.source_ref,
+    buildId: deployment.heroku_build_id,
+    artifact: deployment.build_artifact,
+    description: job.payload?.redeploy ? 'Redéploiement' : 'Déploiement initial',
+    createdBy: deployment.user_id
+  });
+
+  // Les coins réservés ne sont débités qu'une fois l'app en ligne (sans effet si déjà fait)
+  const payment = await captureHold(job.payload?.redeploy ? job.payload.holdId : deployment.coin_hold_id);
+
+  await transition(deployment.id, STATES.ACTIVE, {
+    message: '✅ Déploiement terminé avec succès !\nL\'application est maintenant en ligne.',
+    details: {
+      env_count: Object.keys(env).length,
+      commit_sha: deployment.source_commit_sha,
+      release: release.version,
+      payment
+    },
+    updates
+  });
+
+  console.log(`Déploiement ${deployment.id} terminé avec succès`);
+}
+
+// Échec définitif d'une étape : statut en erreur, remboursement et libération du compte
+async function handleFailure(job, error) {
+  const { data: deployment } = await supabase
+    .from('deployments')
+    .select('id, status, user_id, cost, coin_hold_id, heroku_account_id, heroku_app_name')
+    .eq('id', job.deployment_id)
+    .single();
+
+  // Seul un pipeline en cours peut échouer : un job rejoué ne fait pas tomber un déploiement en ligne
+  if (!deployment || !isInProgress(deployment.status)) return;
+
+  // Redéploiement en échec : l'app garde sa release précédente, seul le redéploiement est remboursé
+  if (job.payload?.redeploy) {
+    await transition(deployment.id, STATES.ACTIVE, {
+      message: `⚠️ Le redéploiement a échoué, la version précédente reste en ligne:\n${error.message}`,
+      error,
+      details: { step: job.type, attempts: job.attempts, redeploy: true }
+    });
+
+    await releaseHold(job.payload.holdId, {
+      userId: deployment.user_id,
+      deploymentId: deployment.id,
+      reason: 'redeploy_failed'
+    });
+    return;
+  }
+
+  // Un build en échec est signalé aux admins avec la fin de sa sortie
+  const buildFailed = error.code === 'BUILD_FAILED' || error.code === 'BUILD_TIMEOUT';
+  const outputTail = buildFailed && error.buildOutput
+    ? error.buildOutput.split('\n').slice(-30).join('\n')
+    : null;
+
+  await transition(deployment.id, STATES.FAILED, {
+    message: `❌ Erreur lors du déploiement:\n${error.message}\n\nContactez l'administrateur.`,
+    error,
+    details: { step: job.type, attempts: job.attempts, ...(outputTail && { build_output_tail: outputTail }) },
+    updates: buildFailed ? { flagged_at: new Date(), flag_reason: error.message } : {}
+  });
+
+  // Libérer les coins réservés
+  await releaseHold(deployment.coin_hold_id, {
+    userId: deployment.user_id,
+    deploymentId: deployment.id,
+    reason: 'deployment_failed'
+  });
+
+  // Les add-ons d'un déploiement en échec ne doivent pas rester facturés
+  await deprovisionAddons(await getDeploymentProvider(deployment), deployment)
+    .catch(addonError => console.error(`Erreur suppression des add-ons du déploiement ${deployment.id}:`, addonError));
+
+  // Décrémenter l'utilisation du compte d'hébergement
+  await updateAccountUsage(deployment.heroku_account_id, false);
+}
+
+// Lancer le pipeline d'un déploiement fraîchement créé
+async function startDeployment(deploymentId) {
+  return enqueueStep(STEPS.CREATE_APP, deploymentId);
+}
+
+// Reconstruire une app existante ; sha = null pour reprendre le dernier commit de la référence
+async function startRedeploy(deploymentId, { ref, sha, holdId = null }) {
+  await transition(deploymentId, STATES.BUILDING, {
+    message: sha
+      ? `Redéploiement du commit ${sha.substring(0, 7)}...`
+      : `Redéploiement depuis ${ref}...`,
+    details: { ref, commit_sha: sha },
+    updates: {
+      source_ref: ref,
+      source_commit_sha: sha,
+      heroku_build_id: null,
+      build_status: null,
+      build_artifact: null
+    }
+  });
+
+  return enqueueStep(STEPS.BUILD, deploymentId, {
+    redeploy: true,
+    holdId,
+    runId: crypto.randomUUID()
+  });
+}
+
+function registerDeploymentJobs() {
+  jobQueue.register(STEPS.CREATE_APP, createApp, { onFailure: handleFailure });
+  jobQueue.register(STEPS.BUILD, build, { onFailure: handleFailure });
+  jobQueue.register(STEPS.CONFIGURE, configure, { onFailure: handleFailure });
+}
+
+module.exports = {
+  STEPS,
+  startDeployment,
+  startRedeploy,
+  registerDeploymentJobs
+};
@@ -0,0 +1,368 @@
+const cron = require('node-cron');
+const supabase = require('./database');
+const scheduler = require('./scheduler');
+const { STATES } = require('./deploymentState');
+const { CONTROL_COLUMNS, STOP_REASONS, pauseDeployment, resumeDeployment } = require('./deploymentControl');
+
+// Actions programmables
+const ACTIONS = {
+  START: 'start',
+  STOP: 'stop'
+};
+
+// Modes : plages horaires par jour de semaine, ou deux expressions cron (démarrage / arrêt)
+const MODES = {
+  WINDOWS: 'windows',
+  CRON: 'cron'
+};
+
+// Horizon de recherche de la prochaine transition
+const SEARCH_HORIZON = 8 * 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+// Champs cron numériques uniquement (pas de noms de jours ou de mois)
+const CRON_FIELD_PATTERN = /^[\d*,/-]+$/;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Date et heure locales d'un instant dans un fuseau
+function localParts(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Valeurs acceptées par un champ cron : *, listes, intervalles et pas
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = parseInt(stepText) || 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(value => parseInt(value));
+    if (to === undefined) to = stepText ? max : from;
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+// Expression cron à 5 champs (minute heure jour mois jour-de-semaine)
+function parseCron(expression) {
+  const [minute, hour, day, month, weekday] = expression.trim().split(/\s+/);
+  const weekdays = parseCronField(weekday, 0, 7);
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minute: parseCronField(minute, 0, 59),
+    hour: parseCronField(hour, 0, 23),
+    day: parseCronField(day, 1, 31),
+    month: parseCronField(month, 1, 12),
+    weekday: weekdays,
+    anyDay: day === '*',
+    anyWeekday: weekday === '*'
+  };
+}
+
+function matchesDay(parsed, parts) {
+  if (!parsed.month.has(parts.month)) return false;
+
+  // Comme cron : si les deux champs sont restreints, l'un ou l'autre suffit
+  if (!parsed.anyDay && !parsed.anyWeekday) {
+    return parsed.day.has(parts.day) || parsed.weekday.has(parts.weekday);
+  }
+  return parsed.day.has(parts.day) && parsed.weekday.has(parts.weekday);
+}
+
+// Prochain instant strictement après from où l'expression se déclenche ; null au-delà de l'horizon
+function nextOccurrence(expression, timezone, from = new Date()) {
+  const parsed = parseCron(expression);
+  let time = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+  const limit = from.getTime() + SEARCH_HORIZON;
+
+  while (time <= limit) {
+    const parts = localParts(new Date(time), timezone);
+
+    if (!matchesDay(parsed, parts) || !parsed.hour.has(parts.hour)) {
+      // Passer directement à l'heure locale suivante
+      time += (60 - parts.minute) * 60000;
+      continue;
+    }
+
+    if (parsed.minute.has(parts.minute)) {
+      return new Date(time);
+    }
+    time += 60000;
+  }
+
+  return null;
+}
+
+// Plages horaires → expressions cron de démarrage et d'arrêt
+// Une plage dont la fin précède le début se termine le lendemain
+function windowsToCron(windows) {
+  const events = [];
+
+  windows.forEach(window => {
+    const [startHour, startMinute] = window.start.split(':').map(Number);
+    const [endHour, endMinute] = window.end.split(':').map(Number);
+    const overnight = window.end <= window.start;
+    const days = window.days.join(',');
+    const endDays = overnight ? window.days.map(day => (day + 1) % 7).join(',') : days;
+
+    events.push({ action: ACTIONS.START, expression: `${startMinute} ${startHour} * * ${days}` });
+    events.push({ action: ACTIONS.STOP, expression: `${endMinute} ${endHour} * * ${endDays}` });
+  });
+
+  return events;
+}
+
+function scheduleEvents(schedule) {
+  if (schedule.mode === MODES.CRON) {
+    return [
+      { action: ACTIONS.START, expression: schedule.start_cron },
+      { action: ACTIONS.STOP, expression: schedule.stop_cron }
+    ];
+  }
+  return windowsToCron(schedule.windows || []);
+}
+
+// Prochaine transition d'un planning : { action, at } ou null
+function nextTransition(schedule, from = new Date()) {
+  let next = null;
+
+  scheduleEvents(schedule).forEach(({ action, expression }) => {
+    const at = nextOccurrence(expression, schedule.timezone, from);
+    // À égalité, le démarrage l'emporte : une plage qui se termine quand une autre commence reste ouverte
+    if (at && (!next || at < next.at || (at.getTime() === next.at.getTime() && action === ACTIONS.START))) {
+      next = { action, at };
+    }
+  });
+
+  return next;
+}
+
+// Valider et normaliser un planning envoyé par le client
+// windows : [{ days: [0-6, 0 = dimanche], start: 'HH:MM', end: 'HH:MM' }]
+function validateSchedule(input = {}) {
+  const errors = [];
+  const timezone = input.timezone || 'UTC';
+  const mode = input.mode || (input.start_cron || input.stop_cron ? MODES.CRON : MODES.WINDOWS);
+
+  if (!isValidTimezone(timezone)) {
+    errors.push(`Fuseau horaire invalide: ${timezone}`);
+  }
+
+  const schedule = {
+    mode,
+    timezone,
+    windows: null,
+    start_cron: null,
+    stop_cron: null,
+    is_active: input.is_active !== false
+  };
+
+  if (mode === MODES.CRON) {
+    ['start_cron', 'stop_cron'].forEach(field => {
+      const expression = typeof input[field] === 'string' ? input[field].trim() : '';
+      const fields = expression.split(/\s+/);
+      if (fields.length !== 5 || !fields.every(part => CRON_FIELD_PATTERN.test(part)) || !cron.validate(expression)) {
+        errors.push(`${field} doit être une expression cron à 5 champs`);
+      } else {
+        schedule[field] = expression;
+      }
+    });
+  } else if (mode === MODES.WINDOWS) {
+    if (!Array.isArray(input.windows) || input.windows.length === 0) {
+      errors.push('windows doit contenir au moins une plage horaire');
+    } else {
+      schedule.windows = input.windows.map((window, index) => {
+        const days = Array.isArray(window.days) ? [...new Set(window.days.map(Number))].sort((a, b) => a - b) : [];
+
+        if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+          errors.push(`Plage ${index + 1}: days doit lister des jours de 0 (dimanche) à 6`);
+        }
+        if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+          errors.push(`Plage ${index + 1}: start et end doivent être au format HH:MM`);
+        } else if (window.start === window.end) {
+          errors.push(`Plage ${index + 1}: start et end doivent être différents`);
+        }
+
+        return { days, start: window.start, end: window.end };
+      });
+    }
+  } else {
+    errors.push(`Mode de planning inconnu: ${mode}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return { valid: true, schedule };
+}
+
+// Colonnes de la prochaine transition à enregistrer avec le planning
+function nextTransitionColumns(schedule, from = new Date()) {
+  const next = schedule.is_active ? nextTransition(schedule, from) : null;
+
+  return {
+    next_action: next?.action || null,
+    next_transition_at: next?.at || null
+  };
+}
+
+async function getSchedule(deploymentId) {
+  const { data: schedule } = await supabase
+    .from('deployment_schedules')
+    .select('*')
+    .eq('deployment_id', deploymentId)
+    .maybeSingle();
+
+  return schedule || null;
+}
+
+// Créer ou remplacer le planning d'un déploiement
+async function saveSchedule(deploymentId, schedule) {
+  const { data, error } = await supabase
+    .from('deployment_schedules')
+    .upsert({
+      deployment_id: deploymentId,
+      ...schedule,
+      ...nextTransitionColumns(schedule),
+      last_error: null,
+      updated_at: new Date()
+    }, { onConflict: 'deployment_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteSchedule(deploymentId) {
+  const { error } = await supabase
+    .from('deployment_schedules')
+    .delete()
+    .eq('deployment_id', deploymentId);
+
+  if (error) throw error;
+}
+
+// Appliquer une transition programmée ; renvoie 'started', 'stopped' ou 'unchanged'
+async function applyScheduledAction(schedule, deployment) {
+  const details = { schedule_id: schedule.id, scheduled_at: schedule.next_transition_at };
+
+  if (schedule.next_action === ACTIONS.STOP && deployment.status === STATES.ACTIVE) {
+    await pauseDeployment(deployment, { reason: STOP_REASONS.SCHEDULE, message: '⏰ Arrêt programmé', details });
+    return 'stopped';
+  }
+
+  // Un bot arrêté par son propriétaire, un administrateur ou faute de paiement reste arrêté
+  if (schedule.next_action === ACTIONS.START && deployment.status === STATES.STOPPED &&
+      deployment.stopped_by === STOP_REASONS.SCHEDULE) {
+    await resumeDeployment(deployment, { message: '⏰ Démarrage programmé', details });
+    return 'started';
+  }
+
+  return 'unchanged';
+}
+
+// Exécuter les plannings dont la prochaine transition est échue
+async function runDueSchedules() {
+  const { data: schedules, error } = await supabase
+    .from('deployment_schedules')
+    .select(`*, deployment:deployments(${CONTROL_COLUMNS})`)
+    .eq('is_active', true)
+    .lte('next_transition_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  const summary = { started: 0, stopped: 0, errors: 0 };
+
+  for (const schedule of schedules || []) {
+    const deployment = schedule.deployment;
+    const updates = { last_run_at: new Date(), last_error: null };
+
+    // Un déploiement supprimé ou en échec n'a plus de planning à suivre
+    if (!deployment || deployment.status === STATES.DELETED || deployment.status === STATES.FAILED) {
+      updates.is_active = false;
+    } else {
+      try {
+        const result = await applyScheduledAction(schedule, deployment);
+        if (result === 'started') summary.started++;
+        if (result === 'stopped') summary.stopped++;
+        updates.last_action = schedule.next_action;
+      } catch (actionError) {
+        summary.errors++;
+        updates.last_error = actionError.message;
+        console.error(`Erreur planning du déploiement ${schedule.deployment_id}:`, actionError);
+      }
+    }
+
+    const { error: updateError } = await supabase
+      .from('deployment_schedules')
+      .update({
+        ...updates,
+        ...nextTransitionColumns({ ...schedule, ...updates })
+      })
+      .eq('id', schedule.id);
+
+    if (updateError) {
+      console.error(`Erreur mise à jour planning ${schedule.id}:`, updateError);
+    }
+  }
+
+  return summary;
+}
+
+function registerScheduleTasks() {
+  scheduler.register('deployments.schedules', '* * * * *', async () => {
+    const summary = await runDueSchedules();
+    if (summary.started > 0 || summary.stopped > 0) {
+      console.log(`⏰ Plannings: ${summary.started} bot(s) démarré(s), ${summary.stopped} bot(s) arrêté(s)`);
+    }
+    return summary;
+  });
+}
+
+module.exports = {
+  ACTIONS,
+  MODES,
+  nextOccurrence,
+  nextTransition,
+  validateSchedule,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule,
+  runDueSchedules,
+  registerScheduleTasks
+};
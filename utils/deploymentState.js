@@ -0,0 +1,170 @@
+const supabase = require('./database');
+const { emitStatus } = require('./realtime');
+
+// États possibles d'un déploiement
+const STATES = {
+  PENDING: 'pending',
+  CREATING_APP: 'creating_app',
+  BUILDING: 'building',
+  CONFIGURING: 'configuring',
+  ACTIVE: 'active',
+  FAILED: 'failed',
+  STOPPED: 'stopped',
+  DELETED: 'deleted'
+};
+
+// Transitions autorisées depuis chaque état
+const TRANSITIONS = {
+  pending: ['creating_app', 'failed', 'deleted'],
+  creating_app: ['building', 'failed', 'deleted'],
+  // building → active : échec d'un redéploiement, la release précédente reste en ligne
+  building: ['configuring', 'active', 'failed', 'deleted'],
+  configuring: ['active', 'failed', 'deleted'],
+  active: ['building', 'stopped', 'failed', 'deleted'],
+  failed: ['deleted'],
+  stopped: ['active', 'deleted'],
+  deleted: []
+};
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Transition de déploiement interdite: ${from} → ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    // Inutile de réessayer une transition illégale
+    this.permanent = true;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isTerminal(status) {
+  return status === STATES.FAILED || status === STATES.DELETED;
+}
+
+// Pipeline de déploiement en cours (création, build ou configuration)
+const IN_PROGRESS_STATES = [STATES.PENDING, STATES.CREATING_APP, STATES.BUILDING, STATES.CONFIGURING];
+
+function isInProgress(status) {
+  return IN_PROGRESS_STATES.includes(status);
+}
+
+// Sérialiser une erreur pour l'historique
+function serializeError(error) {
+  if (!error) return null;
+  if (typeof error === 'string') return { message: error };
+
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code || null,
+    status: error.statusCode || error.response?.status || null
+  };
+}
+
+// Faire passer un déploiement dans un nouvel état et journaliser l'événement
+// updates : colonnes supplémentaires à écrire dans la même mise à jour
+async function transition(deploymentId, to, { message = null, error = null, details = null, updates = {} } = {}) {
+  const { data: deployment, error: fetchError } = await supabase
+    .from('deployments')
+    .select('id, status')
+    .eq('id', deploymentId)
+    .single();
+
+  if (fetchError || !deployment) {
+    throw new Error(`Déploiement ${deploymentId} introuvable`);
+  }
+
+  const from = deployment.status;
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  // Mise à jour conditionnelle : échoue si l'état a changé entre-temps
+  const { data: updated, error: updateError } = await supabase
+    .from('deployments')
+    .update({
+      ...updates,
+      status: to,
+      ...(message && { logs: message }),
+      updated_at: new Date()
+    })
+    .eq('id', deploymentId)
+    .eq('status', from)
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!updated) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  const { error: eventError } = await supabase
+    .from('deployment_events')
+    .insert([{
+      deployment_id: deploymentId,
+      from_status: from,
+      to_status: to,
+      message,
+      error: serializeError(error),
+      details
+    }]);
+
+  if (eventError) {
+    console.error(`Erreur journalisation transition ${deploymentId}:`, eventError);
+  }
+
+  // Prévenir le propriétaire connecté au tableau de bord
+  emitStatus(deploymentId, {
+    from,
+    status: to,
+    message,
+    error: serializeError(error),
+    at: new Date().toISOString()
+  });
+
+  return updated;
+}
+
+// Premier événement de l'historique, à la création du déploiement
+async function recordCreation(deploymentId, message = null) {
+  const { error } = await supabase
+    .from('deployment_events')
+    .insert([{
+      deployment_id: deploymentId,
+      from_status: null,
+      to_status: STATES.PENDING,
+      message
+    }]);
+
+  if (error) {
+    console.error(`Erreur journalisation création ${deploymentId}:`, error);
+  }
+}
+
+// Historique des transitions d'un déploiement, du plus ancien au plus récent
+async function listEvents(deploymentId) {
+  const { data: events, error } = await supabase
+    .from('deployment_events')
+    .select('*')
+    .eq('deployment_id', deploymentId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return events || [];
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  InvalidTransitionError,
+  canTransition,
+  isTerminal,
+  isInProgress,
+  transition,
+  recordCreation,
+  listEvents
+};
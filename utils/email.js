@@ -336,6 +336,82 @@ class EmailService {
     }
   }
 
+  static async sendLowBalanceEmail(email, { balance, dailyCost, daysLeft }) {
+    try {
+      const { data, error } = await resend.emails.send({
+        from: `${process.env.EMAIL_NAME} <${process.env.EMAIL_FROM}>`,
+        to: [email],
+        subject: 'Solde de coins bientôt épuisé - KermHost',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">KermHost</h1>
+            </div>
+            <div style="padding: 20px;">
+              <h2>⚠️ Votre solde est presque épuisé</h2>
+              <p>Vos bots en ligne consomment <strong>${dailyCost} coins par jour</strong>.</p>
+              <div style="background: #fff3cd; padding: 15px; text-align: center; margin: 20px 0; border-left: 4px solid #ffc107;">
+                <p style="font-size: 18px; margin: 0;">Solde disponible : ${balance} coins</p>
+                <p style="margin: 10px 0 0 0;">Environ ${daysLeft} jour(s) restant(s)</p>
+              </div>
+              <p>Sans coins suffisants, vos bots seront arrêtés automatiquement. Réclamez vos coins quotidiens ou parrainez des amis pour les garder en ligne.</p>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${process.env.APP_URL}/dashboard/coins" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                  Obtenir des coins
+                </a>
+              </div>
+            </div>
+            <div style="background: #f8f9fa; padding: 20px; text-align: center; color: #666;">
+              <p>&copy; 2025 KermHost. Tous droits réservés.</p>
+            </div>
+          </div>
+        `
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Erreur envoi email solde faible:', error);
+      throw error;
+    }
+  }
+
+  static async sendBotStoppedForBillingEmail(email, botName, dailyCost) {
+    try {
+      const { data, error } = await resend.emails.send({
+        from: `${process.env.EMAIL_NAME} <${process.env.EMAIL_FROM}>`,
+        to: [email],
+        subject: `Bot "${botName}" arrêté - KermHost`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">KermHost</h1>
+            </div>
+            <div style="padding: 20px;">
+              <h2>Votre bot a été arrêté</h2>
+              <p>Votre bot <strong>"${botName}"</strong> a été arrêté car votre solde ne couvre plus son coût journalier de <strong>${dailyCost} coins</strong>.</p>
+              <p>Ses variables et son historique sont conservés : rechargez votre solde puis redémarrez-le depuis votre dashboard.</p>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${process.env.APP_URL}/dashboard/bots" style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                  Voir mes bots
+                </a>
+              </div>
+            </div>
+            <div style="background: #f8f9fa; padding: 20px; text-align: center; color: #666;">
+              <p>&copy; 2025 KermHost. Tous droits réservés.</p>
+            </div>
+          </div>
+        `
+      });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Erreur envoi email bot arrêté:', error);
+      throw error;
+    }
+  }
+
   static async sendWelcomeEmail(email, username, referralCode) {
     try {
       const referralLink = `${process.env.APP_URL}/signup?ref=${referralCode}`;
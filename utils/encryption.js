@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+// Chiffrement enveloppe : chaque valeur a sa propre clé de données (AES-256-GCM),
+// elle-même chiffrée par la clé maîtresse. Changer de clé maîtresse ne demande que
+// de rechiffrer les clés de données (voir rewrap).
+//
+// ENCRYPTION_MASTER_KEY : clé courante, 32 octets en base64 ou en hexadécimal
+// ENCRYPTION_KEY_ID : identifiant de la clé courante, enregistré avec chaque valeur
+// ENCRYPTION_PREVIOUS_KEYS : anciennes clés encore lisibles, "id:clé,id:clé"
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MASK = '••••••••';
+
+function parseKey(value, name) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} doit contenir 32 octets (base64 ou hexadécimal)`);
+  }
+  return key;
+}
+
+// Clés maîtresses connues, relues à chaque appel pour suivre une rotation sans redémarrage
+function loadKeys() {
+  if (!process.env.ENCRYPTION_MASTER_KEY) {
+    throw new Error('ENCRYPTION_MASTER_KEY non configurée');
+  }
+
+  const currentId = process.env.ENCRYPTION_KEY_ID || 'k1';
+  const keys = { [currentId]: parseKey(process.env.ENCRYPTION_MASTER_KEY, 'ENCRYPTION_MASTER_KEY') };
+
+  (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      const id = entry.slice(0, separator);
+      if (separator > 0 && !keys[id]) {
+        keys[id] = parseKey(entry.slice(separator + 1), `ENCRYPTION_PREVIOUS_KEYS (${id})`);
+      }
+    });
+
+  return { currentId, keys };
+}
+
+// Identifiant de la clé maîtresse courante ; échoue si elle n'est pas configurée
+function currentKeyId() {
+  return loadKeys().currentId;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+function open(key, sealed) {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+// enc:v1:<id de clé maîtresse>:<clé de données chiffrée>:<valeur chiffrée>
+function parseEnvelope(value) {
+  const [, , keyId, wrappedKey, payload] = value.split(':');
+  return { keyId, wrappedKey, payload };
+}
+
+function unwrapDataKey(keys, keyId, wrappedKey) {
+  const masterKey = keys[keyId];
+  if (!masterKey) {
+    throw new Error(`Clé maîtresse inconnue: ${keyId}`);
+  }
+  return open(masterKey, wrappedKey);
+}
+
+// Chiffrer une valeur (son type JSON est conservé) ; null et undefined restent tels quels
+function encrypt(value) {
+  if (value === null || value === undefined || isEncrypted(value)) return value;
+
+  const { currentId, keys } = loadKeys();
+  const dataKey = crypto.randomBytes(32);
+
+  return [
+    PREFIX,
+    currentId,
+    seal(keys[currentId], dataKey),
+    seal(dataKey, Buffer.from(JSON.stringify(value), 'utf8'))
+  ].join(':');
+}
+
+// Déchiffrer une valeur ; une valeur enregistrée avant le chiffrement est renvoyée telle quelle
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const { keys } = loadKeys();
+  const { keyId, wrappedKey, payload } = parseEnvelope(value);
+  const dataKey = unwrapDataKey(keys, keyId, wrappedKey);
+
+  return JSON.parse(open(dataKey, payload).toString('utf8'));
+}
+
+// Rechiffrer la clé de données avec la clé maîtresse courante (et chiffrer une valeur en clair)
+// Renvoie { value, changed }
+function rewrap(value) {
+  if (value === null || value === undefined) return { value, changed: false };
+  if (!isEncrypted(value)) return { value: encrypt(value), changed: true };
+
+  const { currentId, keys } = loadKeys();
+  const { keyId, wrappedKey, payload } = parseEnvelope(value);
+  if (keyId === currentId) return { value, changed: false };
+
+  const dataKey = unwrapDataKey(keys, keyId, wrappedKey);
+  return {
+    value: [PREFIX, currentId, seal(keys[currentId], dataKey), payload].join(':'),
+    changed: true
+  };
+}
+
+// Variables d'environnement : les noms restent lisibles, seules les valeurs sont chiffrées
+function encryptEnv(env) {
+  if (!env) return env;
+  return Object.fromEntries(Object.entries(env).map(([key, value]) => [key, encrypt(value)]));
+}
+
+function decryptEnv(env) {
+  if (!env) return env;
+  return Object.fromEntries(Object.entries(env).map(([key, value]) => [key, decrypt(value)]));
+}
+
+function rewrapEnv(env) {
+  if (!env) return { value: env, changed: false };
+
+  let changed = false;
+  const value = Object.fromEntries(Object.entries(env).map(([key, entry]) => {
+    const result = rewrap(entry);
+    changed = changed || result.changed;
+    return [key, result.value];
+  }));
+
+  return { value, changed };
+}
+
+// Valeur affichable d'un secret ; visible : nombre de caractères finaux laissés en clair
+function maskValue(value, { visible = 0 } = {}) {
+  if (value === null || value === undefined || value === '') return value;
+  if (visible <= 0) return MASK;
+
+  const text = String(decrypt(value));
+  return text.length > visible * 3 ? `${MASK}${text.slice(-visible)}` : MASK;
+}
+
+function maskEnv(env) {
+  if (!env) return env;
+  return Object.fromEntries(Object.entries(env).map(([key, value]) => [key, maskValue(value)]));
+}
+
+module.exports = {
+  MASK,
+  currentKeyId,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  rewrap,
+  encryptEnv,
+  decryptEnv,
+  rewrapEnv,
+  maskValue,
+  maskEnv
+};
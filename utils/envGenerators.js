@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Générateurs de valeurs : champ generator d'une variable (kerm.json ou app.json importé)
+// Une variable générée n'a pas à être saisie : sa valeur est créée au déploiement puis conservée
+//
+// "generator": "secret"                                   64 caractères hexadécimaux (comme app.json)
+// "generator": { "type": "secret", "bytes": 48, "encoding": "base64url" }
+// "generator": "uuid"
+// "generator": "timestamp" | { "type": "timestamp", "format": "unix" }
+// "generator": "deployment-id" | "app-name"               copie de l'identifiant du déploiement ou du nom d'app
+
+const SECRET_BYTES = { default: 32, min: 16, max: 256 };
+const SECRET_ENCODINGS = ['hex', 'base64', 'base64url'];
+const TIMESTAMP_FORMATS = ['iso', 'unix'];
+
+// context : { deploymentId, appName }
+const GENERATORS = {
+  secret: ({ bytes = SECRET_BYTES.default, encoding = 'hex' }) => crypto.randomBytes(bytes).toString(encoding),
+  uuid: () => crypto.randomUUID(),
+  timestamp: ({ format = 'iso' }) => (format === 'unix' ? String(Math.floor(Date.now() / 1000)) : new Date().toISOString()),
+  'deployment-id': (options, context) => context.deploymentId,
+  'app-name': (options, context) => context.appName
+};
+
+// "nom" ou { type, ...options } → { type, options }
+function parseGenerator(spec) {
+  if (typeof spec === 'string') return { type: spec, options: {} };
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    const { type, ...options } = spec;
+    return { type, options };
+  }
+  return { type: null, options: {} };
+}
+
+function isKnownGenerator(spec) {
+  const { type } = parseGenerator(spec);
+  return typeof type === 'string' && Object.prototype.hasOwnProperty.call(GENERATORS, type);
+}
+
+// Valider la déclaration d'un générateur ; renvoie un message d'erreur ou null
+function validateGenerator(spec) {
+  if (!isKnownGenerator(spec)) {
+    return `generator inconnu (attendu : ${Object.keys(GENERATORS).join(', ')})`;
+  }
+
+  const { type, options } = parseGenerator(spec);
+
+  if (type === 'secret') {
+    const { bytes, encoding } = options;
+    if (bytes !== undefined && (!Number.isInteger(bytes) || bytes < SECRET_BYTES.min || bytes > SECRET_BYTES.max)) {
+      return `generator.bytes doit être un entier entre ${SECRET_BYTES.min} et ${SECRET_BYTES.max}`;
+    }
+    if (encoding !== undefined && !SECRET_ENCODINGS.includes(encoding)) {
+      return `generator.encoding doit être l'un de : ${SECRET_ENCODINGS.join(', ')}`;
+    }
+  }
+
+  if (type === 'timestamp' && options.format !== undefined && !TIMESTAMP_FORMATS.includes(options.format)) {
+    return `generator.format doit être l'un de : ${TIMESTAMP_FORMATS.join(', ')}`;
+  }
+
+  return null;
+}
+
+function generateValue(spec, context = {}) {
+  const { type, options } = parseGenerator(spec);
+  const value = GENERATORS[type](options, context);
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Compléter les variables générées encore vides
+// La valeur actuelle est conservée : un secret ne change pas à chaque mise à jour
+// context : { deploymentId, appName } pour les générateurs qui recopient le déploiement
+function fillGeneratedEnv(botEnv = {}, values = {}, current = {}, context = {}) {
+  const filled = { ...values };
+
+  Object.entries(botEnv || {}).forEach(([key, config]) => {
+    if (!isKnownGenerator(config?.generator)) return;
+    if (filled[key] !== undefined && filled[key] !== '') return;
+
+    filled[key] = current?.[key] || generateValue(config.generator, context);
+  });
+
+  return filled;
+}
+
+module.exports = {
+  GENERATORS,
+  isKnownGenerator,
+  validateGenerator,
+  generateValue,
+  fillGeneratedEnv
+};
@@ -1,11 +1,70 @@
 const Heroku = require('heroku-client');
 const axios = require('axios');
+const HostingProvider = require('./providers/base');
+
+// Buildpack qui construit un sous-dossier du dépôt (variable APP_BASE)
+const MONOREPO_BUILDPACK = process.env.HEROKU_MONOREPO_BUILDPACK || 'https://github.com/lstoll/heroku-buildpack-monorepo';
+
+// Add-on Heroku → { id, name, plan, config_vars, state }
+function toAddon(addon) {
+  return {
+    id: addon.id,
+    name: addon.name,
+    plan: addon.plan?.name,
+    config_vars: addon.config_vars || [],
+    state: addon.state
+  };
+}
+
+// Lire un flux HTTP ligne par ligne ; renvoie { close, done }
+function streamLines(url, onLine, { timeout = 0 } = {}) {
+  const controller = new AbortController();
+  let buffer = '';
+
+  const done = axios.get(url, {
+    responseType: 'stream',
+    signal: controller.signal,
+    timeout
+  }).then(response => new Promise((resolve, reject) => {
+    response.data.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => onLine(line));
+    });
+    response.data.on('end', () => {
+      if (buffer) onLine(buffer);
+      resolve();
+    });
+    response.data.on('error', reject);
+  })).catch(error => {
+    // Une fermeture volontaire n'est pas une erreur
+    if (axios.isCancel(error) || error.name === 'CanceledError' || error.code === 'ERR_CANCELED') return;
+    throw error;
+  });
+
+  return {
+    close: () => controller.abort(),
+    done
+  };
+}
+
+class HerokuService extends HostingProvider {
+  static supportsAddons = true;
 
-class HerokuService {
   constructor(apiKey) {
+    super();
     this.heroku = new Heroku({ token: apiKey });
   }
 
+  static fromAccount(account) {
+    return new HerokuService(account.api_key);
+  }
+
+  static async validateAccount(account) {
+    return HerokuService.validateApiKey(account.api_key);
+  }
+
   async createApp(appName, region = 'eu') {
     try {
       const app = await this.heroku.post('/apps', {
@@ -21,14 +80,15 @@ class HerokuService {
     }
   }
 
-  async deployFromGithub(appName, repoUrl, branch = 'main') {
+  // Lancer un build depuis une archive figée sur un commit (voir sourceResolver)
+  // Le sous-dossier éventuel est pris en charge par prepareBuild
+  async buildFromSource(appName, { url, sha }) {
     try {
-      // Configuration du build depuis GitHub
       const build = await this.heroku.post(`/apps/${appName}/builds`, {
         body: {
           source_blob: {
-            url: repoUrl,
-            version: branch
+            url,
+            version: sha
           }
         }
       });
@@ -39,6 +99,133 @@ class HerokuService {
     }
   }
 
+  // Préparer l'app avant un build : stack, buildpacks et sous-dossier (monorepo)
+  // Sans buildpacks déclarés, ceux déjà installés restent (ou la détection automatique)
+  async prepareBuild(appName, { stack, buildpacks, path } = {}) {
+    try {
+      if (stack) {
+        await this.heroku.patch(`/apps/${appName}`, {
+          body: { build_stack: stack }
+        });
+      }
+
+      let installations = buildpacks?.length > 0 ? [...buildpacks] : null;
+
+      // Monorepo : Heroku construit la racine de l'archive, le buildpack monorepo
+      // remonte d'abord le sous-dossier APP_BASE à la racine pour les buildpacks suivants
+      if (path) {
+        await this.setConfigVars(appName, { APP_BASE: path });
+
+        if (!installations) {
+          const installed = await this.heroku.get(`/apps/${appName}/buildpack-installations`);
+          installations = installed.map(installation => installation.buildpack.url);
+        }
+        installations = installations.filter(buildpack => buildpack !== MONOREPO_BUILDPACK);
+
+        // Derrière le buildpack monorepo, la détection automatique ne s'applique plus : Node.js par défaut
+        if (installations.length === 0) {
+          installations.push(process.env.HEROKU_DEFAULT_BUILDPACK || 'heroku/nodejs');
+        }
+        installations.unshift(MONOREPO_BUILDPACK);
+      }
+
+      if (installations) {
+        await this.heroku.put(`/apps/${appName}/buildpack-installations`, {
+          body: {
+            updates: installations.map(buildpack => ({ buildpack }))
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Erreur préparation du build Heroku:', error);
+      throw error;
+    }
+  }
+
+  async getBuild(appName, buildId) {
+    try {
+      const build = await this.heroku.get(`/apps/${appName}/builds/${buildId}`);
+      return build;
+    } catch (error) {
+      console.error('Erreur récupération build Heroku:', error);
+      throw error;
+    }
+  }
+
+  // Suivre un build jusqu'à son état final (succeeded / failed)
+  // onOutput(line) reçoit la sortie du build en direct pendant qu'il tourne
+  async waitForBuild(appName, buildId, { interval = 5000, timeout = 20 * 60 * 1000, onOutput = null } = {}) {
+    const startedAt = Date.now();
+    let outputStream = null;
+
+    while (true) {
+      const build = await this.getBuild(appName, buildId);
+
+      if (onOutput && !outputStream && build.status === 'pending' && build.output_stream_url) {
+        outputStream = streamLines(build.output_stream_url, onOutput);
+        outputStream.done.catch(error => console.error('Erreur flux de sortie du build:', error.message));
+      }
+
+      if (build.status !== 'pending') {
+        if (outputStream) outputStream.close();
+        const output = await this.getBuildOutput(build.output_stream_url);
+        return { build, output };
+      }
+
+      if (Date.now() - startedAt > timeout) {
+        if (outputStream) outputStream.close();
+        const error = new Error(`Le build ${buildId} n'est pas terminé après ${Math.round(timeout / 60000)} minutes`);
+        error.code = 'BUILD_TIMEOUT';
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  // Le slug compilé suffit à recréer une release
+  buildArtifact(build) {
+    return build.slug?.id ? { slug_id: build.slug.id } : null;
+  }
+
+  // Publier une nouvelle release avec le slug d'un build précédent
+  async deployRelease(appName, artifact, { description } = {}) {
+    if (!artifact?.slug_id) {
+      const error = new Error('Aucun slug Heroku enregistré pour cette release');
+      error.permanent = true;
+      throw error;
+    }
+
+    try {
+      const release = await this.heroku.post(`/apps/${appName}/releases`, {
+        body: {
+          slug: artifact.slug_id,
+          ...(description && { description })
+        }
+      });
+      return release;
+    } catch (error) {
+      console.error('Erreur publication release Heroku:', error);
+      throw error;
+    }
+  }
+
+  // Récupérer la sortie complète d'un build terminé
+  async getBuildOutput(outputStreamUrl) {
+    if (!outputStreamUrl) return '';
+
+    try {
+      const response = await axios.get(outputStreamUrl, {
+        responseType: 'text',
+        timeout: 60000
+      });
+      return response.data || '';
+    } catch (error) {
+      console.error('Erreur récupération sortie du build:', error.message);
+      return '';
+    }
+  }
+
   async setConfigVars(appName, envVars) {
     try {
       const config = await this.heroku.patch(`/apps/${appName}/config-vars`, {
@@ -51,20 +238,45 @@ class HerokuService {
     }
   }
 
-  async getAppLogs(appName) {
+  // Récupérer les dernières lignes de logs (session non suivie)
+  async getAppLogs(appName, { lines = 100, dyno, source } = {}) {
     try {
-      const logs = await this.heroku.get(`/apps/${appName}/log-sessions`, {
-        headers: {
-          Accept: 'application/vnd.heroku+json; version=3.log-drains'
-        }
+      const session = await this.createLogSession(appName, { lines, tail: false, dyno, source });
+      const response = await axios.get(session.logplex_url, {
+        responseType: 'text',
+        timeout: 30000
       });
-      return logs;
+      return String(response.data || '').split('\n').filter(line => line.length > 0);
     } catch (error) {
       console.error('Erreur récupération logs:', error);
       throw error;
     }
   }
 
+  // Ouvrir une session de logs ; renvoie { logplex_url, ... }
+  async createLogSession(appName, { lines, tail = false, dyno, source } = {}) {
+    try {
+      const session = await this.heroku.post(`/apps/${appName}/log-sessions`, {
+        body: {
+          tail,
+          ...(lines && { lines }),
+          ...(dyno && { dyno }),
+          ...(source && { source })
+        }
+      });
+      return session;
+    } catch (error) {
+      console.error('Erreur création session de logs:', error);
+      throw error;
+    }
+  }
+
+  // Suivre les logs en continu ; renvoie { close, done }
+  async tailLogs(appName, onLine, { lines = 100, dyno, source } = {}) {
+    const session = await this.createLogSession(appName, { lines, tail: true, dyno, source });
+    return streamLines(session.logplex_url, onLine);
+  }
+
   async restartApp(appName) {
     try {
       await this.heroku.delete(`/apps/${appName}/dynos`);
@@ -75,6 +287,126 @@ class HerokuService {
     }
   }
 
+  async getFormation(appName) {
+    try {
+      const formation = await this.heroku.get(`/apps/${appName}/formation`);
+      return formation;
+    } catch (error) {
+      console.error('Erreur récupération formation:', error);
+      throw error;
+    }
+  }
+
+  // Mettre à l'échelle plusieurs types de process : [{ type, quantity }]
+  async scaleFormation(appName, updates) {
+    try {
+      const formation = await this.heroku.patch(`/apps/${appName}/formation`, {
+        body: { updates }
+      });
+      return formation;
+    } catch (error) {
+      console.error('Erreur mise à l\'échelle formation:', error);
+      throw error;
+    }
+  }
+
+  async listAddons(appName) {
+    try {
+      const addons = await this.heroku.get(`/apps/${appName}/addons`);
+      return addons.map(toAddon);
+    } catch (error) {
+      console.error('Erreur récupération add-ons:', error);
+      throw error;
+    }
+  }
+
+  // Créer un add-on ; ses variables (DATABASE_URL...) sont ajoutées à l'app par Heroku
+  async createAddon(appName, { plan, as, options }) {
+    try {
+      const addon = await this.heroku.post(`/apps/${appName}/addons`, {
+        body: {
+          plan,
+          ...(as && { attachment: { name: as } }),
+          ...(options && { config: options })
+        }
+      });
+      return toAddon(addon);
+    } catch (error) {
+      console.error('Erreur création add-on:', error);
+      throw error;
+    }
+  }
+
+  // Supprimer un add-on ; sans effet s'il n'existe plus
+  async deleteAddon(appName, addonId) {
+    try {
+      await this.heroku.delete(`/apps/${appName}/addons/${addonId}`);
+      return { success: true };
+    } catch (error) {
+      if (error.statusCode === 404) return { success: true };
+      console.error('Erreur suppression add-on:', error);
+      throw error;
+    }
+  }
+
+  // Appliquer la formation déclarée par le bot : { type: { quantity, size } }
+  // Les types de process doivent exister dans le Procfile du build en ligne
+  async applyFormation(appName, formation) {
+    const updates = Object.entries(formation || {}).map(([type, { quantity, size }]) => ({
+      type,
+      ...(quantity !== undefined && { quantity }),
+      ...(size && { size })
+    }));
+
+    if (updates.length === 0) return [];
+    return this.scaleFormation(appName, updates);
+  }
+
+  // Arrêter l'app sans la supprimer : tous les process à zéro
+  // previous : formation avant l'arrêt, à passer à startApp
+  async stopApp(appName) {
+    const formation = await this.getFormation(appName);
+    const updates = formation.map(process => ({ type: process.type, quantity: 0 }));
+    const previous = formation.map(process => ({ type: process.type, quantity: process.quantity }));
+
+    if (updates.length > 0) {
+      await this.scaleFormation(appName, updates);
+    }
+    return { success: true, formation: updates, previous };
+  }
+
+  // Relancer l'app avec sa formation d'avant l'arrêt (un process de chaque type à défaut)
+  async startApp(appName, { previous } = {}) {
+    let updates = (previous || []).filter(process => process.quantity > 0);
+
+    if (updates.length === 0) {
+      const formation = await this.getFormation(appName);
+      updates = formation.map(process => ({ type: process.type, quantity: 1 }));
+    }
+
+    if (updates.length > 0) {
+      await this.scaleFormation(appName, updates);
+    }
+    return { success: true, formation: updates };
+  }
+
+  async getAppStatus(appName) {
+    try {
+      const dynos = await this.heroku.get(`/apps/${appName}/dynos`);
+      const processes = dynos.map(dyno => ({ name: dyno.name, type: dyno.type, state: dyno.state }));
+
+      let state = 'stopped';
+      if (dynos.some(dyno => dyno.state === 'crashed')) state = 'crashed';
+      else if (dynos.some(dyno => dyno.state === 'up')) state = 'running';
+      else if (dynos.some(dyno => dyno.state === 'starting' || dyno.state === 'restarting')) state = 'starting';
+
+      return { state, processes };
+    } catch (error) {
+      console.error('Erreur récupération état app:', error);
+      throw error;
+    }
+  }
+
   async deleteApp(appName) {
     try {
       await this.heroku.delete(`/apps/${appName}`);
@@ -0,0 +1,104 @@
+const supabase = require('./database');
+const { getProvider, getProviderClass } = require('./providers');
+
+// Obtenir un compte d'hébergement disponible pour le déploiement
+// provider : limiter la recherche à un hébergeur (heroku, ...)
+// addons : le bot déclare des add-ons, seuls les hébergeurs qui savent les créer conviennent
+async function getAvailableAccount({ provider, addons = false } = {}) {
+  try {
+    // Chercher d'abord les comptes avec le moins d'utilisation
+    let query = supabase
+      .from('heroku_accounts')
+      .select('*')
+      .eq('is_active', true)
+      .order('used_count', { ascending: true });
+
+    if (provider) {
+      query = query.eq('provider', provider);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const accounts = addons
+      ? (data || []).filter(account => getProviderClass(account.provider).supportsAddons)
+      : data;
+
+    if (!accounts || accounts.length === 0) {
+      throw new Error('Aucun compte d\'hébergement disponible');
+    }
+
+    // Trouver le premier compte avec de la capacité
+    for (const account of accounts) {
+      const currentUsage = account.used_count || 0;
+      const maxDeployments = account.max_deployments || 5;
+
+      if (currentUsage < maxDeployments) {
+        return account;
+      }
+    }
+
+    // Si tous les comptes sont pleins, utiliser celui avec le plus de capacité
+    const sortedByCapacity = accounts.sort((a, b) => {
+      const capacityA = (a.max_deployments || 0) - (a.used_count || 0);
+      const capacityB = (b.max_deployments || 0) - (b.used_count || 0);
+      return capacityB - capacityA;
+    });
+
+    return sortedByCapacity[0];
+  } catch (error) {
+    console.error('Erreur récupération compte d\'hébergement:', error);
+    throw error;
+  }
+}
+
+// Récupérer un compte du pool par son ID
+async function getAccount(accountId) {
+  const { data: account } = await supabase
+    .from('heroku_accounts')
+    .select('*')
+    .eq('id', accountId)
+    .single();
+
+  return account || null;
+}
+
+// Client de l'hébergeur qui porte un déploiement ; null si le compte a disparu
+async function getDeploymentProvider(deployment) {
+  const account = await getAccount(deployment.heroku_account_id);
+  if (!account) return null;
+
+  return getProvider(account);
+}
+
+// Mettre à jour le compteur d'utilisation d'un compte
+async function updateAccountUsage(accountId, increment = true) {
+  try {
+    const { data: account } = await supabase
+      .from('heroku_accounts')
+      .select('used_count')
+      .eq('id', accountId)
+      .single();
+
+    if (!account) return;
+
+    const newCount = increment ?
+      (account.used_count || 0) + 1 :
+      Math.max(0, (account.used_count || 0) - 1);
+
+    await supabase
+      .from('heroku_accounts')
+      .update({ used_count: newCount })
+      .eq('id', accountId);
+  } catch (error) {
+    console.error('Erreur mise à jour utilisation du compte:', error);
+  }
+}
+
+module.exports = {
+  getAvailableAccount,
+  getAccount,
+  getDeploymentProvider,
+  updateAccountUsage
+};
@@ -0,0 +1,322 @@
+const os = require('os');
+const supabase = require('./database');
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 5000;
+const LEASE_TIMEOUT = parseInt(process.env.JOB_LEASE_TIMEOUT) || 2 * 60 * 1000;
+const HEARTBEAT_INTERVAL = Math.floor(LEASE_TIMEOUT / 3);
+const BACKOFF_BASE = parseInt(process.env.JOB_BACKOFF_BASE) || 10 * 1000;
+const BACKOFF_MAX = 30 * 60 * 1000;
+const BATCH_SIZE = 5;
+// Attente maximale du job en cours à l'arrêt du processus (un build peut durer 20 minutes)
+const SHUTDOWN_TIMEOUT = parseInt(process.env.JOB_SHUTDOWN_TIMEOUT) || 20 * 1000;
+
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.current = null;
+  }
+
+  // Enregistrer le gestionnaire d'un type de job
+  // handler(job) exécute l'étape, onFailure(job, error) est appelé quand les tentatives sont épuisées
+  register(type, handler, { onFailure } = {}) {
+    this.handlers[type] = { handler, onFailure };
+  }
+
+  // Ajouter un job à la file
+  // dedupeKey : un seul job par (déploiement, type, clé) ; le job existant est renvoyé sinon
+  async enqueue(type, { deploymentId = null, payload = {}, runAt = new Date(), maxAttempts = 5, dedupeKey = null } = {}) {
+    const { data: job, error } = await supabase
+      .from('deployment_jobs')
+      .insert([{
+        type,
+        deployment_id: deploymentId,
+        payload,
+        status: 'queued',
+        max_attempts: maxAttempts,
+        run_at: runAt,
+        dedupe_key: dedupeKey
+      }])
+      .select()
+      .single();
+
+    // Violation d'unicité : l'étape a déjà été mise en file pour cette exécution
+    if (error && error.code === '23505' && dedupeKey) {
+      const { data: existing, error: fetchError } = await supabase
+        .from('deployment_jobs')
+        .select('*')
+        .eq('deployment_id', deploymentId)
+        .eq('type', type)
+        .eq('dedupe_key', dedupeKey)
+        .single();
+
+      if (fetchError) throw fetchError;
+      return existing;
+    }
+
+    if (error) throw error;
+    return job;
+  }
+
+  // Annuler les jobs en attente d'un déploiement
+  async cancelForDeployment(deploymentId) {
+    const { error } = await supabase
+      .from('deployment_jobs')
+      .update({ status: 'cancelled', updated_at: new Date() })
+      .eq('deployment_id', deploymentId)
+      .eq('status', 'queued');
+
+    if (error) throw error;
+  }
+
+  // Jobs d'un déploiement, du plus récent au plus ancien
+  async listForDeployment(deploymentId, limit = 20) {
+    const { data: jobs, error } = await supabase
+      .from('deployment_jobs')
+      .select('id, type, status, attempts, max_attempts, run_at, last_error, completed_at, created_at, updated_at')
+      .eq('deployment_id', deploymentId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return jobs || [];
+  }
+
+  // Démarrer la boucle du worker
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    // Les jobs bloqués sont récupérés à chaque passage de la boucle
+    this.schedule(0);
+    console.log(`⚙️  Worker de déploiement démarré (${this.workerId})`);
+  }
+
+  // Arrêter la boucle et attendre la fin du job en cours, au plus timeout ms
+  // Au-delà, le job est abandonné : son bail expire et un worker le reprend (voir recoverStaleJobs)
+  async stop({ timeout = SHUTDOWN_TIMEOUT } = {}) {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.current) return;
+
+    let timer;
+    const finished = await Promise.race([
+      this.current.catch(() => {}).then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeout);
+      })
+    ]);
+    clearTimeout(timer);
+
+    if (!finished) {
+      console.warn(`Job en cours abandonné après ${Math.round(timeout / 1000)}s, il sera repris après expiration de son bail`);
+    }
+  }
+
+  schedule(delay) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.current = this.tick()
+        .catch(error => console.error('Erreur worker de déploiement:', error))
+        .finally(() => {
+          this.current = null;
+          this.schedule(POLL_INTERVAL);
+        });
+    }, delay);
+  }
+
+  // Remettre en file les jobs dont le worker a disparu (redémarrage, crash)
+  // Un job qui a épuisé ses tentatives passe en échec, comme après une erreur
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - LEASE_TIMEOUT).toISOString();
+
+    const { data: jobs, error } = await supabase
+      .from('deployment_jobs')
+      .select('*')
+      .eq('status', 'running')
+      .lt('locked_at', staleBefore);
+
+    if (error) throw error;
+
+    let requeued = 0;
+    for (const job of jobs || []) {
+      const exhausted = job.attempts >= job.max_attempts;
+      const message = `Worker ${job.locked_by} disparu pendant la tentative ${job.attempts}/${job.max_attempts}`;
+
+      // Mise à jour conditionnelle : un autre worker a pu reprendre le job entre-temps
+      const { data: recovered, error: updateError } = await supabase
+        .from('deployment_jobs')
+        .update(exhausted ? {
+          status: 'failed',
+          locked_by: null,
+          locked_at: null,
+          last_error: message,
+          completed_at: new Date(),
+          updated_at: new Date()
+        } : {
+          status: 'queued',
+          locked_by: null,
+          locked_at: null,
+          run_at: new Date(),
+          updated_at: new Date()
+        })
+        .eq('id', job.id)
+        .eq('status', 'running')
+        .lt('locked_at', staleBefore)
+        .select('id')
+        .maybeSingle();
+
+      if (updateError) throw updateError;
+      if (!recovered) continue;
+
+      if (exhausted) {
+        console.error(`Job ${job.id} (${job.type}) en échec définitif:`, message);
+        await this.notifyFailure(job, new Error(message));
+      } else {
+        requeued++;
+      }
+    }
+
+    if (requeued > 0) {
+      console.log(`♻️  ${requeued} job(s) de déploiement remis en file`);
+    }
+  }
+
+  // Traiter les jobs arrivés à échéance
+  async tick() {
+    await this.recoverStaleJobs();
+
+    const { data: jobs, error } = await supabase
+      .from('deployment_jobs')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw error;
+
+    for (const job of jobs || []) {
+      if (!this.running) break;
+
+      const claimed = await this.claim(job);
+      if (claimed) {
+        await this.process(claimed);
+      }
+    }
+  }
+
+  // Verrouiller un job de façon optimiste : seul le premier worker le passe en running
+  async claim(job) {
+    const { data: claimed, error } = await supabase
+      .from('deployment_jobs')
+      .update({
+        status: 'running',
+        attempts: (job.attempts || 0) + 1,
+        locked_by: this.workerId,
+        locked_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', job.id)
+      .eq('status', 'queued')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return claimed;
+  }
+
+  async process(job) {
+    const registration = this.handlers[job.type];
+
+    if (!registration) {
+      await this.finish(job, 'failed', `Type de job inconnu: ${job.type}`);
+      return;
+    }
+
+    // Prolonger le bail tant que le job tourne
+    const heartbeat = setInterval(() => {
+      supabase
+        .from('deployment_jobs')
+        .update({ locked_at: new Date() })
+        .eq('id', job.id)
+        .eq('locked_by', this.workerId)
+        .then(({ error }) => {
+          if (error) console.error(`Erreur heartbeat job ${job.id}:`, error);
+        });
+    }, HEARTBEAT_INTERVAL);
+
+    try {
+      await registration.handler(job);
+      await this.finish(job, 'completed');
+    } catch (error) {
+      const message = error.message || String(error);
+      const exhausted = job.attempts >= job.max_attempts;
+
+      if (error.permanent || exhausted) {
+        console.error(`Job ${job.id} (${job.type}) en échec définitif:`, message);
+        await this.finish(job, 'failed', message);
+        await this.notifyFailure(job, error);
+        return;
+      }
+
+      const delay = JobQueue.backoff(job.attempts);
+      console.warn(`Job ${job.id} (${job.type}) tentative ${job.attempts}/${job.max_attempts} échouée, nouvel essai dans ${Math.round(delay / 1000)}s:`, message);
+
+      await supabase
+        .from('deployment_jobs')
+        .update({
+          status: 'queued',
+          locked_by: null,
+          locked_at: null,
+          last_error: message,
+          run_at: new Date(Date.now() + delay),
+          updated_at: new Date()
+        })
+        .eq('id', job.id)
+        .eq('locked_by', this.workerId);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Appeler onFailure du type de job ; ses erreurs sont seulement journalisées
+  async notifyFailure(job, error) {
+    const registration = this.handlers[job.type];
+    if (!registration?.onFailure) return;
+
+    try {
+      await registration.onFailure(job, error);
+    } catch (failureError) {
+      console.error(`Erreur traitement échec du job ${job.id}:`, failureError);
+    }
+  }
+
+  // Seul le worker qui détient le job peut le terminer : un bail expiré a pu être repris ailleurs
+  async finish(job, status, lastError = null) {
+    await supabase
+      .from('deployment_jobs')
+      .update({
+        status,
+        locked_by: null,
+        locked_at: null,
+        last_error: lastError,
+        completed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId);
+  }
+
+  // Délai exponentiel avec un peu d'aléa pour éviter les tempêtes de retry
+  static backoff(attempts) {
+    const delay = Math.min(BACKOFF_BASE * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX);
+    return delay + Math.floor(Math.random() * 1000);
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,78 @@
+const supabase = require('./database');
+const { currentKeyId, rewrap, rewrapEnv } = require('./encryption');
+
+const BATCH_SIZE = 500;
+
+// Colonnes chiffrées : variables (un objet de valeurs) ou valeur simple
+const ENCRYPTED_COLUMNS = [
+  { table: 'deployments', column: 'env_variables', rewrap: rewrapEnv },
+  { table: 'deployment_releases', column: 'env_snapshot', rewrap: rewrapEnv },
+  { table: 'heroku_accounts', column: 'api_key', rewrap },
+  // Hôte du démon Docker et certificats TLS
+  { table: 'heroku_accounts', column: 'config', rewrap }
+];
+
+async function rotateColumn({ table, column, rewrap: rewrapValue }, summary) {
+  for (let from = 0; ; from += BATCH_SIZE) {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .select(`id, ${column}`)
+      .not(column, 'is', null)
+      .order('id')
+      .range(from, from + BATCH_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const row of rows || []) {
+      try {
+        const { value, changed } = rewrapValue(row[column]);
+        if (!changed) continue;
+
+        const { error: updateError } = await supabase
+          .from(table)
+          .update({ [column]: value })
+          .eq('id', row.id);
+
+        if (updateError) throw updateError;
+        summary.rewrapped++;
+      } catch (rowError) {
+        summary.errors++;
+        console.error(`Erreur rotation ${table}.${column} ${row.id}:`, rowError.message);
+      }
+    }
+
+    if (!rows || rows.length < BATCH_SIZE) break;
+  }
+}
+
+// Rechiffrer toutes les clés de données avec la clé maîtresse courante
+// Les valeurs encore en clair sont chiffrées au passage
+// Une ancienne clé peut être retirée de ENCRYPTION_PREVIOUS_KEYS une fois errors à 0
+async function rotateStoredSecrets(triggeredBy = null) {
+  const { data: rotation, error } = await supabase
+    .from('encryption_rotations')
+    .insert([{ key_id: currentKeyId(), triggered_by: triggeredBy }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const summary = { rewrapped: 0, errors: 0 };
+  for (const target of ENCRYPTED_COLUMNS) {
+    await rotateColumn(target, summary);
+  }
+
+  const { data: finished, error: updateError } = await supabase
+    .from('encryption_rotations')
+    .update({ ...summary, finished_at: new Date() })
+    .eq('id', rotation.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+  return finished;
+}
+
+module.exports = {
+  rotateStoredSecrets
+};
@@ -0,0 +1,260 @@
+const supabase = require('./database');
+const scheduler = require('./scheduler');
+
+// Types de mouvements enregistrés dans coin_transactions
+const TYPES = {
+  DEPLOYMENT: 'deployment',
+  TRANSFER: 'transfer',
+  DAILY: 'daily',
+  REFERRAL: 'referral',
+  SIGNUP: 'signup',
+  ADMIN: 'admin',
+  REFUND: 'refund',
+  CORRECTION: 'correction',
+  BILLING: 'billing'
+};
+
+// Codes renvoyés par les fonctions SQL du grand livre
+const ERROR_CODES = [
+  'INVALID_AMOUNT',
+  'INVALID_PARTIES',
+  'USER_NOT_FOUND',
+  'INSUFFICIENT_FUNDS',
+  'DAILY_ALREADY_CLAIMED',
+  'HOLD_NOT_FOUND',
+  'HOLD_NOT_ACTIVE',
+  'DRIFT_NOT_FOUND',
+  'DRIFT_NOT_OPEN',
+  'INVALID_MODE',
+  'NEGATIVE_BALANCE'
+];
+
+// Durée de vie d'une réservation avant libération automatique
+const HOLD_TTL = (parseInt(process.env.COIN_HOLD_TTL_MINUTES) || 120) * 60 * 1000;
+
+class LedgerError extends Error {
+  constructor(code, message, details = null) {
+    super(message || code);
+    this.name = 'LedgerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Traduire une erreur PostgreSQL levée par les fonctions du grand livre
+function toLedgerError(error) {
+  const code = ERROR_CODES.find(candidate => error.message?.includes(candidate));
+  if (!code) return error;
+
+  return new LedgerError(code, error.message, error.details || null);
+}
+
+async function callLedger(fn, params) {
+  const { data, error } = await supabase.rpc(fn, params);
+  if (error) throw toLedgerError(error);
+  return data;
+}
+
+// Mouvement atomique : débit de senderId et/ou crédit de receiverId
+// Renvoie { transaction, sender_balance, receiver_balance }
+async function applyTransaction({
+  senderId = null,
+  receiverId = null,
+  amount,
+  type,
+  description = null,
+  deploymentId = null,
+  createdBy = null,
+  metadata = null
+}) {
+  return callLedger('apply_coin_transaction', {
+    p_sender_id: senderId,
+    p_receiver_id: receiverId,
+    p_amount: parseInt(amount),
+    p_type: type,
+    p_description: description,
+    p_deployment_id: deploymentId,
+    p_created_by: createdBy,
+    p_metadata: metadata
+  });
+}
+
+function debit(userId, amount, { type = TYPES.DEPLOYMENT, ...options } = {}) {
+  return applyTransaction({ ...options, senderId: userId, amount, type });
+}
+
+function credit(userId, amount, { type, ...options }) {
+  return applyTransaction({ ...options, receiverId: userId, amount, type });
+}
+
+function transfer(senderId, receiverId, amount, description) {
+  return applyTransaction({ senderId, receiverId, amount, type: TYPES.TRANSFER, description });
+}
+
+function refund(userId, amount, { description = 'Remboursement', deploymentId = null, metadata = null } = {}) {
+  return credit(userId, amount, { type: TYPES.REFUND, description, deploymentId, metadata });
+}
+
+function grant(userId, amount, { adminId, description = 'Ajout administrateur' }) {
+  return credit(userId, amount, { type: TYPES.ADMIN, description, createdBy: adminId });
+}
+
+// Réclamation quotidienne ; DAILY_ALREADY_CLAIMED porte la date de la prochaine dans details
+function claimDaily(userId, amount, cooldownHours = 24) {
+  return callLedger('claim_daily_coins', {
+    p_user_id: userId,
+    p_amount: parseInt(amount),
+    p_cooldown: `${cooldownHours} hours`
+  });
+}
+
+// Fixer le solde d'un utilisateur depuis l'administration ; renvoie le nouveau solde
+async function setBalance(userId, balance, { adminId, description = 'Ajustement administrateur' }) {
+  const result = await callLedger('set_coin_balance', {
+    p_user_id: userId,
+    p_balance: parseInt(balance),
+    p_created_by: adminId,
+    p_description: description
+  });
+
+  return result.receiver_balance ?? result.sender_balance;
+}
+
+// Réserver des coins sur le solde disponible ; renvoie { hold, balance, available_balance }
+function placeHold(userId, amount, {
+  type = TYPES.DEPLOYMENT,
+  description = null,
+  deploymentId = null,
+  metadata = null,
+  ttl = HOLD_TTL
+} = {}) {
+  return callLedger('place_coin_hold', {
+    p_user_id: userId,
+    p_amount: parseInt(amount),
+    p_expires_at: new Date(Date.now() + ttl).toISOString(),
+    p_type: type,
+    p_description: description,
+    p_deployment_id: deploymentId,
+    p_metadata: metadata
+  });
+}
+
+// Débiter une réservation (sans effet si elle l'est déjà) ; renvoie { hold, transaction, balance }
+function captureHold(holdId) {
+  return callLedger('capture_coin_hold', { p_hold_id: holdId });
+}
+
+// Libérer une réservation ; hold.status vaut 'captured' si elle avait déjà été débitée
+function releaseHold(holdId, reason = null) {
+  return callLedger('release_coin_hold', { p_hold_id: holdId, p_reason: reason });
+}
+
+// Libérer les réservations arrivées à échéance ; renvoie leur nombre
+function expireHolds() {
+  return callLedger('expire_coin_holds', {});
+}
+
+// Facturer la période échue d'un déploiement actif
+// Renvoie { status: skipped | started | not_due | charged, billed_until, transaction, balance }
+function billDeployment(deploymentId, amount, periodHours = 24) {
+  return callLedger('bill_deployment', {
+    p_deployment_id: deploymentId,
+    p_amount: parseInt(amount),
+    p_period: `${periodHours} hours`
+  });
+}
+
+// Libérer les réservations encore actives d'un déploiement (suppression, ...)
+async function releaseDeploymentHolds(deploymentId, reason) {
+  const { error } = await supabase
+    .from('coin_holds')
+    .update({ status: 'released', release_reason: reason, settled_at: new Date() })
+    .eq('deployment_id', deploymentId)
+    .in('status', ['held', 'expired']);
+
+  if (error) throw error;
+}
+
+// Réservations en cours d'un utilisateur
+async function listActiveHolds(userId) {
+  const { data: holds, error } = await supabase
+    .from('coin_holds')
+    .select('id, amount, type, description, deployment_id, expires_at, created_at')
+    .eq('user_id', userId)
+    .eq('status', 'held')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return holds || [];
+}
+
+// Solde utilisable : coins moins les réservations en cours
+async function availableBalance(userId) {
+  const { data: user } = await supabase
+    .from('users')
+    .select('coins')
+    .eq('id', userId)
+    .single();
+
+  const holds = await listActiveHolds(userId);
+  return (user?.coins || 0) - holds.reduce((sum, hold) => sum + hold.amount, 0);
+}
+
+// Recalculer tous les soldes depuis l'historique et enregistrer les écarts
+// Renvoie le passage : { id, users_checked, drift_count, total_drift, ... }
+function runReconciliation(triggeredBy = null) {
+  return callLedger('run_ledger_reconciliation', { p_triggered_by: triggeredBy });
+}
+
+// Corriger un écart : mode 'ledger' (solde ← historique) ou 'balance' (transaction de correction)
+function applyCorrection(driftId, { mode, adminId }) {
+  return callLedger('apply_ledger_correction', {
+    p_drift_id: driftId,
+    p_mode: mode,
+    p_admin_id: adminId
+  });
+}
+
+function registerLedgerTasks() {
+  // Libérer chaque minute les réservations dont le délai est dépassé
+  scheduler.register('coins.expire_holds', '* * * * *', async () => {
+    const expired = await expireHolds();
+    if (expired > 0) {
+      console.log(`⏳ ${expired} réservation(s) de coins expirée(s)`);
+    }
+    return expired;
+  });
+
+  // Rapprochement quotidien des soldes (3h du matin par défaut)
+  scheduler.register('coins.reconcile', process.env.LEDGER_RECONCILIATION_CRON || '0 3 * * *', async () => {
+    const run = await runReconciliation();
+    if (run.drift_count > 0) {
+      console.warn(`⚠️  Rapprochement des coins: ${run.drift_count} solde(s) en écart (${run.total_drift} coins)`);
+    }
+    return run;
+  });
+}
+
+module.exports = {
+  TYPES,
+  LedgerError,
+  applyTransaction,
+  debit,
+  credit,
+  transfer,
+  refund,
+  grant,
+  claimDaily,
+  setBalance,
+  placeHold,
+  captureHold,
+  releaseHold,
+  expireHolds,
+  billDeployment,
+  releaseDeploymentHolds,
+  listActiveHolds,
+  availableBalance,
+  runReconciliation,
+  applyCorrection,
+  registerLedgerTasks
+};
@@ -0,0 +1,124 @@
+const supabase = require('./database');
+
+// Opérations facturées
+const ACTIONS = {
+  DEPLOY: 'deploy',
+  ENV_UPDATE: 'env_update',
+  REDEPLOY: 'redeploy',
+  ROLLBACK: 'rollback'
+};
+
+// Part du prix de déploiement facturée pour chaque opération, en pourcentage
+// Le déploiement coûte toujours 100 % ; les autres opérations sont réglables, 100 % par défaut
+const ACTION_PERCENT_VARIABLES = {
+  [ACTIONS.ENV_UPDATE]: 'BOT_ENV_UPDATE_COST_PERCENT',
+  [ACTIONS.REDEPLOY]: 'BOT_REDEPLOY_COST_PERCENT',
+  [ACTIONS.ROLLBACK]: 'BOT_ROLLBACK_COST_PERCENT'
+};
+
+// Prix plancher fixé par l'administrateur
+function deploymentFloor() {
+  const floor = parseInt(process.env.BOT_DEPLOYMENT_COST);
+  return isNaN(floor) || floor < 0 ? 10 : floor;
+}
+
+function actionPercent(action) {
+  const variable = ACTION_PERCENT_VARIABLES[action];
+  if (!variable) return 100;
+
+  const percent = parseInt(process.env[variable]);
+  return isNaN(percent) || percent < 0 ? 100 : percent;
+}
+
+// Coût journalier d'un bot en ligne : tarif du bot, sinon tarif global (0 = pas de facturation)
+function dailyRate(bot) {
+  if (bot?.daily_cost !== null && bot?.daily_cost !== undefined) {
+    return Math.max(0, parseInt(bot.daily_cost) || 0);
+  }
+
+  const rate = parseInt(process.env.BOT_DAILY_COST);
+  return isNaN(rate) || rate < 0 ? 0 : rate;
+}
+
+// Meilleure promotion en cours pour ce bot (globale ou ciblée)
+async function getActivePromotion(botId) {
+  const now = new Date().toISOString();
+
+  const { data: promotions, error } = await supabase
+    .from('promotions')
+    .select('id, name, percent_off, bot_id, ends_at')
+    .eq('is_active', true)
+    .lte('starts_at', now)
+    .or(`bot_id.is.null,bot_id.eq.${botId}`)
+    .order('percent_off', { ascending: false });
+
+  if (error) throw error;
+
+  return (promotions || []).find(promotion => !promotion.ends_at || new Date(promotion.ends_at) > new Date(now)) || null;
+}
+
+async function getUserDiscount(userId) {
+  const { data: user } = await supabase
+    .from('users')
+    .select('deployment_discount_percent')
+    .eq('id', userId)
+    .single();
+
+  return user?.deployment_discount_percent || 0;
+}
+
+// Prix d'une opération sur un bot pour un utilisateur
+// Prix de base = max(coût du bot, plancher) × part de l'opération ; la promotion puis la remise personnelle s'appliquent ensuite
+async function quote({ bot, userId, action = ACTIONS.DEPLOY }) {
+  const floor = deploymentFloor();
+  const botCost = parseInt(bot.cost) || 0;
+  const percent = actionPercent(action);
+  const basePrice = Math.round(Math.max(botCost, floor) * percent / 100);
+
+  const [promotion, userDiscount] = await Promise.all([
+    getActivePromotion(bot.id),
+    getUserDiscount(userId)
+  ]);
+
+  const afterPromotion = promotion
+    ? Math.round(basePrice * (100 - promotion.percent_off) / 100)
+    : basePrice;
+  const total = Math.max(0, Math.round(afterPromotion * (100 - userDiscount) / 100));
+
+  return {
+    bot_id: bot.id,
+    action,
+    bot_cost: botCost,
+    floor,
+    action_percent: percent,
+    base_price: basePrice,
+    promotion: promotion
+      ? { id: promotion.id, name: promotion.name, percent_off: promotion.percent_off, ends_at: promotion.ends_at }
+      : null,
+    user_discount_percent: userDiscount,
+    discount: basePrice - total,
+    total
+  };
+}
+
+// Devis à partir de l'ID d'un bot approuvé ; null si le bot n'existe pas
+async function quoteForBot(botId, userId, action = ACTIONS.DEPLOY) {
+  const { data: bot } = await supabase
+    .from('bots')
+    .select('id, name, cost')
+    .eq('id', botId)
+    .eq('is_approved', true)
+    .single();
+
+  if (!bot) return null;
+  return quote({ bot, userId, action });
+}
+
+module.exports = {
+  ACTIONS,
+  deploymentFloor,
+  actionPercent,
+  dailyRate,
+  quote,
+  quoteForBot
+};
@@ -0,0 +1,119 @@
+// Interface commune des hébergeurs de bots (Heroku, ...)
+// Chaque méthode reçoit le nom d'app enregistré sur le déploiement (heroku_app_name)
+class HostingProvider {
+  // L'hébergeur sait créer les add-ons déclarés par un bot (listAddons, createAddon, deleteAddon)
+  static supportsAddons = false;
+
+  // Construire le client depuis une ligne de heroku_accounts
+  static fromAccount(account) {
+    throw new Error(`${this.name}.fromAccount non implémenté`);
+  }
+
+  // Vérifier les identifiants d'un compte avant de l'ajouter au pool ; renvoie null si invalides
+  static async validateAccount(account) {
+    throw new Error(`${this.name}.validateAccount non implémenté`);
+  }
+
+  notImplemented(method) {
+    const error = new Error(`${this.constructor.name}.${method} non implémenté`);
+    error.permanent = true;
+    return error;
+  }
+
+  // Créer l'application ; renvoie { id, name }
+  async createApp(appName, options) {
+    throw this.notImplemented('createApp');
+  }
+
+  // Retrouver une application existante ; renvoie { id, name }
+  async getAppInfo(appName) {
+    throw this.notImplemented('getAppInfo');
+  }
+
+  // Préparer l'app avant un build : { stack, buildpacks, path } déclarés par le bot
+  // Sans effet pour un hébergeur qui n'en a pas besoin
+  async prepareBuild(appName, settings) {
+    return null;
+  }
+
+  // Lancer un build depuis une source { repo, url, sha, path } ; renvoie { id, status }
+  // path : sous-dossier à construire (monorepo), null pour la racine du dépôt
+  async buildFromSource(appName, source) {
+    throw this.notImplemented('buildFromSource');
+  }
+
+  // Attendre la fin d'un build ; renvoie { build: { status }, output }
+  // status vaut 'succeeded' ou 'failed' ; erreur de code BUILD_LOST si le build n'existe plus (à relancer)
+  async waitForBuild(appName, buildId, options) {
+    throw this.notImplemented('waitForBuild');
+  }
+
+  // Ce qu'il faut conserver d'un build réussi pour le remettre en ligne plus tard (voir deployRelease)
+  buildArtifact(build) {
+    return null;
+  }
+
+  // Remettre en ligne le code d'un build précédent sans le reconstruire
+  async deployRelease(appName, artifact, options) {
+    throw this.notImplemented('deployRelease');
+  }
+
+  // Appliquer la formation déclarée par le bot : { type: { quantity, size } }
+  // Sans effet pour un hébergeur à process unique
+  async applyFormation(appName, formation) {
+    return null;
+  }
+
+  // Add-ons de l'app ; renvoie [{ id, name, plan, config_vars, state }]
+  async listAddons(appName) {
+    throw this.notImplemented('listAddons');
+  }
+
+  // Créer un add-on { plan, as, options } ; renvoie { id, name, plan, config_vars, state }
+  async createAddon(appName, addon) {
+    throw this.notImplemented('createAddon');
+  }
+
+  async deleteAddon(appName, addonId) {
+    throw this.notImplemented('deleteAddon');
+  }
+
+  async setConfigVars(appName, envVars) {
+    throw this.notImplemented('setConfigVars');
+  }
+
+  async restartApp(appName) {
+    throw this.notImplemented('restartApp');
+  }
+
+  // Arrêter l'app sans la supprimer ; renvoie de quoi la relancer à l'identique
+  async stopApp(appName) {
+    throw this.notImplemented('stopApp');
+  }
+
+  // Relancer une app arrêtée ; state : valeur renvoyée par stopApp
+  async startApp(appName, state) {
+    throw this.notImplemented('startApp');
+  }
+
+  async deleteApp(appName) {
+    throw this.notImplemented('deleteApp');
+  }
+
+  // Dernières lignes de logs ; renvoie un tableau de lignes
+  async getAppLogs(appName, options) {
+    throw this.notImplemented('getAppLogs');
+  }
+
+  // Suivre les logs ; renvoie { close, done }
+  async tailLogs(appName, onLine, options) {
+    throw this.notImplemented('tailLogs');
+  }
+
+  // État d'exécution ; renvoie { state: 'running' | 'stopped' | 'crashed' | 'starting' | 'unknown', processes }
+  async getAppStatus(appName) {
+    throw this.notImplemented('getAppStatus');
+  }
+}
+
+module.exports = HostingProvider;
@@ -0,0 +1,469 @@
+const axios = require('axios');
+const HostingProvider = require('./base');
+
+// Builds en cours dans ce processus, indexés par le tag de l'image
+const activeBuilds = new Map();
+
+// Ressources d'un conteneur de bot ; surchargeables par compte (config.memory_mb, config.cpus)
+const DEFAULT_MEMORY_MB = parseInt(process.env.DOCKER_MEMORY_LIMIT_MB) || 512;
+const DEFAULT_CPUS = parseFloat(process.env.DOCKER_CPU_LIMIT) || 0.5;
+
+// DOCKER_HOST au format unix:///var/run/docker.sock ou tcp://hote:2375
+function parseDockerHost(value) {
+  if (!value) return { socketPath: '/var/run/docker.sock' };
+  if (value.startsWith('unix://')) return { socketPath: value.slice('unix://'.length) };
+  return { host: value.replace(/^tcp:\/\//, 'http://') };
+}
+
+function imageName(appName) {
+  return `kermhost/${appName}`;
+}
+
+function envToObject(env = []) {
+  return env.reduce((vars, entry) => {
+    const index = entry.indexOf('=');
+    if (index > 0) vars[entry.slice(0, index)] = entry.slice(index + 1);
+    return vars;
+  }, {});
+}
+
+// Un conteneur arrêté par stopApp (bot en pause) reste arrêté quand on le recrée
+function isRunning(container) {
+  return ['running', 'restarting'].includes(container?.State?.Status);
+}
+
+// Les logs d'un conteneur sans TTY sont multiplexés : en-tête de 8 octets puis la charge
+// Renvoie une fonction à appeler avec chaque morceau reçu
+function createLogDemuxer(onText) {
+  let pending = Buffer.alloc(0);
+
+  return chunk => {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= 8) {
+      const size = pending.readUInt32BE(4);
+      if (pending.length < 8 + size) break;
+      onText(pending.subarray(8, 8 + size).toString('utf8'));
+      pending = pending.subarray(8 + size);
+    }
+  };
+}
+
+// Découper un flux de texte en lignes
+function createLineSplitter(onLine) {
+  let buffer = '';
+
+  return {
+    push(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => onLine(line.replace(/\r$/, '')));
+    },
+    flush() {
+      if (buffer) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+// Moteur Docker auto-hébergé : une image par build, un conteneur par déploiement
+class DockerService extends HostingProvider {
+  constructor({ host, socketPath, token, memoryMb = DEFAULT_MEMORY_MB, cpus = DEFAULT_CPUS } = {}) {
+    super();
+    const target = host || socketPath ? { host, socketPath } : parseDockerHost(process.env.DOCKER_HOST);
+
+    // Un bot ne doit pas pouvoir accaparer la machine partagée
+    this.limits = {
+      Memory: Math.round(memoryMb * 1024 * 1024),
+      MemorySwap: Math.round(memoryMb * 1024 * 1024),
+      NanoCpus: Math.round(cpus * 1e9)
+    };
+
+    this.client = axios.create({
+      baseURL: target.host || 'http://localhost',
+      socketPath: target.socketPath,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      timeout: 60000
+    });
+  }
+
+  // config du compte : { host: 'tcp://10.0.0.2:2375' } ou { socket_path: '/var/run/docker.sock' }
+  // plus, en option, les ressources de chaque conteneur : { memory_mb: 512, cpus: 0.5 }
+  // api_key est transmise en Bearer, pour un démon exposé derrière un proxy authentifié
+  static fromAccount(account) {
+    const config = account.config || {};
+    const target = config.host ? parseDockerHost(config.host) : { socketPath: config.socket_path };
+
+    return new DockerService({
+      ...target,
+      token: account.api_key,
+      memoryMb: parseInt(config.memory_mb) || DEFAULT_MEMORY_MB,
+      cpus: parseFloat(config.cpus) || DEFAULT_CPUS
+    });
+  }
+
+  static async validateAccount(account) {
+    try {
+      const docker = DockerService.fromAccount(account);
+      const { data } = await docker.client.get('/version');
+      return data;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rien à réserver côté Docker : on vérifie seulement que le démon répond
+  async createApp(appName) {
+    try {
+      await this.client.get('/_ping');
+      return { id: appName, name: appName };
+    } catch (error) {
+      console.error('Erreur connexion Docker:', error.message);
+      throw error;
+    }
+  }
+
+  async getAppInfo(appName) {
+    const container = await this.inspectContainer(appName);
+    return { id: container?.Id || appName, name: appName };
+  }
+
+  async inspectContainer(appName) {
+    try {
+      const { data } = await this.client.get(`/containers/${appName}/json`);
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async imageExists(tag) {
+    try {
+      await this.client.get(`/images/${encodeURIComponent(tag)}/json`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) return false;
+      throw error;
+    }
+  }
+
+  // Construire l'image depuis le dépôt Git au commit demandé
+  // Le Dockerfile est à la racine, ou dans le sous-dossier path (monorepo)
+  async buildFromSource(appName, { repo, sha, path }) {
+    const tag = `${imageName(appName)}:${sha.slice(0, 12)}`;
+    if (activeBuilds.has(tag)) return { id: tag, status: 'pending' };
+
+    const build = { lines: [], listeners: new Set(), status: 'pending', controller: new AbortController() };
+    const emit = line => {
+      build.lines.push(line);
+      build.listeners.forEach(listener => listener(line));
+    };
+    const splitter = createLineSplitter(emit);
+
+    const params = new URLSearchParams({
+      remote: `https://github.com/${repo}.git#${sha}${path ? `:${path}` : ''}`,
+      rm: '1',
+      forcerm: '1',
+      labels: JSON.stringify({ 'kermhost.app': appName })
+    });
+    params.append('t', tag);
+    params.append('t', `${imageName(appName)}:latest`);
+
+    build.done = this.client.post(`/build?${params}`, null, {
+      responseType: 'stream',
+      timeout: 0,
+      signal: build.controller.signal
+    }).then(response => new Promise((resolve, reject) => {
+      // Le démon renvoie un objet JSON par ligne : { stream } ou { error }
+      const messages = createLineSplitter(line => {
+        if (!line.trim()) return;
+        try {
+          const message = JSON.parse(line);
+          if (message.error) {
+            build.status = 'failed';
+            splitter.push(`${message.error}\n`);
+          } else if (message.stream) {
+            splitter.push(message.stream);
+          }
+        } catch (parseError) {
+          splitter.push(`${line}\n`);
+        }
+      });
+
+      response.data.on('data', chunk => messages.push(chunk.toString('utf8')));
+      response.data.on('end', () => {
+        messages.flush();
+        splitter.flush();
+        if (build.status === 'pending') build.status = 'succeeded';
+        resolve();
+      });
+      response.data.on('error', reject);
+    })).catch(error => {
+      build.status = 'failed';
+      splitter.push(`Erreur build Docker: ${error.message}\n`);
+      splitter.flush();
+    });
+
+    activeBuilds.set(tag, build);
+    return { id: tag, status: 'pending' };
+  }
+
+  // Attendre la fin du build puis remplacer le conteneur par la nouvelle image
+  async waitForBuild(appName, buildId, { timeout = 20 * 60 * 1000, onOutput = null } = {}) {
+    const build = activeBuilds.get(buildId);
+
+    // Serveur redémarré pendant le build : seule l'image dit s'il a abouti
+    // Sans image, le build a été perdu avec le processus : ce n'est pas un échec du code, il est relancé
+    if (!build) {
+      if (!(await this.imageExists(buildId))) {
+        const error = new Error(`Build ${buildId} interrompu par un redémarrage du serveur`);
+        error.code = 'BUILD_LOST';
+        throw error;
+      }
+
+      await this.releaseImage(appName, buildId);
+      return { build: { id: buildId, status: 'succeeded' }, output: '' };
+    }
+
+    if (onOutput) {
+      build.lines.forEach(line => onOutput(line));
+      build.listeners.add(onOutput);
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Le build ${buildId} n'est pas terminé après ${Math.round(timeout / 60000)} minutes`);
+        error.code = 'BUILD_TIMEOUT';
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      await Promise.race([build.done, timedOut]);
+    } catch (error) {
+      build.controller.abort();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      build.listeners.delete(onOutput);
+      activeBuilds.delete(buildId);
+    }
+
+    if (build.status === 'succeeded') {
+      await this.releaseImage(appName, buildId);
+    }
+
+    return {
+      build: { id: buildId, status: build.status },
+      output: build.lines.join('\n')
+    };
+  }
+
+  // Chaque build garde son image taguée par commit
+  buildArtifact(build) {
+    return { image: build.id };
+  }
+
+  async deployRelease(appName, artifact) {
+    if (!artifact?.image || !(await this.imageExists(artifact.image))) {
+      const error = new Error(`Image ${artifact?.image} introuvable`);
+      error.permanent = true;
+      throw error;
+    }
+
+    await this.releaseImage(appName, artifact.image);
+    return { id: artifact.image };
+  }
+
+  // Relancer le conteneur sur une image en gardant ses variables d'environnement
+  // Un premier conteneur est démarré ; un conteneur arrêté est recréé sans être démarré
+  async releaseImage(appName, image) {
+    const current = await this.inspectContainer(appName);
+    await this.replaceContainer(appName, image, current?.Config?.Env || [], { start: !current || isRunning(current) });
+  }
+
+  async replaceContainer(appName, image, env, { start = true } = {}) {
+    try {
+      await this.client.delete(`/containers/${appName}`, {
+        params: { force: true },
+        validateStatus: status => status < 300 || status === 404
+      });
+
+      await this.client.post('/containers/create', {
+        Image: image,
+        Env: env,
+        Labels: { 'kermhost.app': appName },
+        HostConfig: {
+          ...this.limits,
+          RestartPolicy: { Name: 'unless-stopped' }
+        }
+      }, { params: { name: appName } });
+
+      if (start) {
+        await this.client.post(`/containers/${appName}/start`);
+      }
+    } catch (error) {
+      console.error('Erreur création conteneur:', error.message);
+      throw error;
+    }
+  }
+
+  // L'environnement d'un conteneur est figé : on le recrée avec les variables fusionnées
+  // Une valeur null retire la variable, comme sur Heroku
+  // Un conteneur arrêté (bot en pause) est recréé sans être démarré
+  async setConfigVars(appName, envVars) {
+    const current = await this.inspectContainer(appName);
+    if (!current) {
+      const error = new Error(`Conteneur ${appName} introuvable`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const merged = { ...envToObject(current.Config.Env), ...envVars };
+    const env = Object.entries(merged)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}=${value}`);
+
+    await this.replaceContainer(appName, current.Config.Image, env, { start: isRunning(current) });
+    return envToObject(env);
+  }
+
+  // Comme une app Heroku sans process, un conteneur arrêté n'est pas relancé
+  async restartApp(appName) {
+    try {
+      const current = await this.inspectContainer(appName);
+      if (current && !isRunning(current)) return { success: true };
+
+      await this.client.post(`/containers/${appName}/restart`);
+      return { success: true };
+    } catch (error) {
+      console.error('Erreur redémarrage conteneur:', error.message);
+      throw error;
+    }
+  }
+
+  async stopApp(appName) {
+    try {
+      // 304 : déjà arrêté
+      await this.client.post(`/containers/${appName}/stop`, null, {
+        validateStatus: status => status < 300 || status === 304
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Erreur arrêt conteneur:', error.message);
+      throw error;
+    }
+  }
+
+  async startApp(appName) {
+    try {
+      // 304 : déjà démarré
+      await this.client.post(`/containers/${appName}/start`, null, {
+        validateStatus: status => status < 300 || status === 304
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Erreur démarrage conteneur:', error.message);
+      throw error;
+    }
+  }
+
+  // Supprimer le conteneur et toutes les images construites pour l'app
+  async deleteApp(appName) {
+    try {
+      await this.client.delete(`/containers/${appName}`, {
+        params: { force: true, v: true },
+        validateStatus: status => status < 300 || status === 404
+      });
+
+      const { data: images } = await this.client.get('/images/json', {
+        params: { filters: JSON.stringify({ reference: [imageName(appName)] }) }
+      });
+
+      for (const image of images) {
+        await this.client.delete(`/images/${image.Id}`, {
+          params: { force: true },
+          validateStatus: status => status < 300 || status === 404
+        });
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Erreur suppression conteneur:', error.message);
+      throw error;
+    }
+  }
+
+  // Dernières lignes de logs du conteneur
+  async getAppLogs(appName, { lines = 100 } = {}) {
+    try {
+      const { data } = await this.client.get(`/containers/${appName}/logs`, {
+        params: { stdout: 1, stderr: 1, timestamps: 1, tail: lines },
+        responseType: 'arraybuffer'
+      });
+
+      const result = [];
+      const splitter = createLineSplitter(line => result.push(line));
+      createLogDemuxer(text => splitter.push(text))(Buffer.from(data));
+      splitter.flush();
+
+      return result.filter(line => line.length > 0);
+    } catch (error) {
+      console.error('Erreur récupération logs:', error.message);
+      throw error;
+    }
+  }
+
+  // Suivre les logs en continu ; renvoie { close, done }
+  async tailLogs(appName, onLine, { lines = 100 } = {}) {
+    const controller = new AbortController();
+    const splitter = createLineSplitter(onLine);
+    const demux = createLogDemuxer(text => splitter.push(text));
+
+    const response = await this.client.get(`/containers/${appName}/logs`, {
+      params: { stdout: 1, stderr: 1, timestamps: 1, follow: 1, tail: lines },
+      responseType: 'stream',
+      timeout: 0,
+      signal: controller.signal
+    });
+
+    const done = new Promise((resolve, reject) => {
+      response.data.on('data', demux);
+      response.data.on('end', () => {
+        splitter.flush();
+        resolve();
+      });
+      response.data.on('error', error => {
+        // Une fermeture volontaire n'est pas une erreur
+        if (controller.signal.aborted) return resolve();
+        reject(error);
+      });
+    });
+
+    return {
+      close: () => controller.abort(),
+      done
+    };
+  }
+
+  async getAppStatus(appName) {
+    const container = await this.inspectContainer(appName);
+    if (!container) return { state: 'unknown', processes: [] };
+
+    const { Status, ExitCode } = container.State;
+    let state = 'unknown';
+    if (Status === 'running') state = 'running';
+    else if (Status === 'restarting' || Status === 'created') state = 'starting';
+    else if (Status === 'exited' || Status === 'dead') state = ExitCode === 0 ? 'stopped' : 'crashed';
+    else if (Status === 'paused') state = 'stopped';
+
+    return {
+      state,
+      processes: [{ name: appName, type: 'container', state: Status }]
+    };
+  }
+}
+
+module.exports = DockerService;
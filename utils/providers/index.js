@@ -0,0 +1,44 @@
+const HerokuService = require('../heroku');
+const DockerService = require('./docker');
+const { decrypt } = require('../encryption');
+
+const DEFAULT_PROVIDER = 'heroku';
+
+// Hébergeurs disponibles, indexés par la colonne heroku_accounts.provider
+const providers = {
+  heroku: HerokuService,
+  docker: DockerService
+};
+
+function registerProvider(name, ProviderClass) {
+  providers[name] = ProviderClass;
+}
+
+function getProviderClass(name = DEFAULT_PROVIDER) {
+  const ProviderClass = providers[name || DEFAULT_PROVIDER];
+  if (!ProviderClass) {
+    throw new Error(`Hébergeur inconnu: ${name}`);
+  }
+  return ProviderClass;
+}
+
+// Client prêt à l'emploi pour un compte du pool (clé API et config chiffrées en base)
+function getProvider(account) {
+  return getProviderClass(account.provider).fromAccount({
+    ...account,
+    api_key: decrypt(account.api_key),
+    config: decrypt(account.config)
+  });
+}
+
+function listProviders() {
+  return Object.keys(providers);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  registerProvider,
+  getProviderClass,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,191 @@
+const { Server } = require('socket.io');
+const supabase = require('./database');
+const { getDeploymentProvider } = require('./hostingAccounts');
+const { authenticateToken } = require('../middleware/auth');
+
+let namespace = null;
+
+// Flux de logs runtime ouverts, partagés par tous les abonnés d'un même déploiement
+const logStreams = new Map();
+
+const deploymentRoom = (deploymentId) => `deployment:${deploymentId}`;
+const logsRoom = (deploymentId) => `deployment:${deploymentId}:logs`;
+
+// Vérifier que l'utilisateur peut suivre ce déploiement (propriétaire ou admin)
+async function findAccessibleDeployment(user, deploymentId) {
+  let query = supabase
+    .from('deployments')
+    .select('id, status, heroku_app_name, heroku_account_id')
+    .eq('id', deploymentId);
+
+  if (user.role !== 'admin') {
+    query = query.eq('user_id', user.id);
+  }
+
+  const { data: deployment } = await query.single();
+  return deployment || null;
+}
+
+async function startLogStream(deployment) {
+  if (logStreams.has(deployment.id)) return;
+
+  // Réserver la place pour ne pas ouvrir deux flux en parallèle
+  logStreams.set(deployment.id, null);
+  try {
+    await openLogStream(deployment);
+  } catch (error) {
+    logStreams.delete(deployment.id);
+    throw error;
+  }
+}
+
+async function openLogStream(deployment) {
+  const provider = await getDeploymentProvider(deployment);
+
+  if (!provider) {
+    throw new Error('Compte d\'hébergement introuvable');
+  }
+
+  const stream = await provider.tailLogs(deployment.heroku_app_name, line => {
+    if (line) emitLogLine(deployment.id, line);
+  });
+
+  logStreams.set(deployment.id, stream);
+  stream.done
+    .catch(error => console.error(`Erreur flux de logs ${deployment.id}:`, error.message))
+    .finally(() => {
+      logStreams.delete(deployment.id);
+      namespace?.to(logsRoom(deployment.id)).emit('deployment:logs-ended', { deploymentId: deployment.id });
+    });
+
+  // Les abonnés ont pu partir pendant l'ouverture de la session
+  releaseLogStream(deployment.id);
+}
+
+// Fermer le flux de logs quand plus personne ne l'écoute
+function releaseLogStream(deploymentId) {
+  const listeners = namespace?.adapter.rooms.get(logsRoom(deploymentId))?.size || 0;
+  if (listeners > 0) return;
+
+  const stream = logStreams.get(deploymentId);
+  if (stream) {
+    stream.close();
+  }
+}
+
+function handleConnection(socket) {
+  const user = socket.data.user;
+
+  // S'abonner aux changements d'état et à la sortie de build
+  socket.on('subscribe', async ({ deploymentId } = {}, ack = () => {}) => {
+    try {
+      const deployment = await findAccessibleDeployment(user, deploymentId);
+      if (!deployment) {
+        return ack({ error: 'Déploiement non trouvé' });
+      }
+
+      socket.join(deploymentRoom(deployment.id));
+      ack({ ok: true, status: deployment.status });
+    } catch (error) {
+      console.error('Erreur abonnement temps réel:', error);
+      ack({ error: 'Erreur serveur' });
+    }
+  });
+
+  socket.on('unsubscribe', ({ deploymentId } = {}) => {
+    socket.leave(deploymentRoom(deploymentId));
+    socket.leave(logsRoom(deploymentId));
+    releaseLogStream(deploymentId);
+  });
+
+  // Recevoir les logs runtime de l'application en direct
+  socket.on('logs:subscribe', async ({ deploymentId } = {}, ack = () => {}) => {
+    try {
+      const deployment = await findAccessibleDeployment(user, deploymentId);
+      if (!deployment) {
+        return ack({ error: 'Déploiement non trouvé' });
+      }
+
+      if (!deployment.heroku_app_name) {
+        return ack({ error: 'Application pas encore créée' });
+      }
+
+      socket.join(logsRoom(deployment.id));
+      await startLogStream(deployment);
+      ack({ ok: true });
+    } catch (error) {
+      console.error('Erreur abonnement aux logs:', error);
+      socket.leave(logsRoom(deploymentId));
+      ack({ error: 'Impossible de récupérer les logs' });
+    }
+  });
+
+  socket.on('logs:unsubscribe', ({ deploymentId } = {}) => {
+    socket.leave(logsRoom(deploymentId));
+    releaseLogStream(deploymentId);
+  });
+
+  socket.on('disconnecting', () => {
+    const rooms = [...socket.rooms].filter(room => room.endsWith(':logs'));
+    // Les rooms ne sont quittées qu'après cet événement
+    setImmediate(() => {
+      rooms.forEach(room => releaseLogStream(room.split(':')[1]));
+    });
+  });
+}
+
+// Brancher socket.io sur le serveur HTTP
+function initRealtime(server) {
+  const io = new Server(server, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || true,
+      credentials: true
+    }
+  });
+
+  namespace = io.of('/deployments');
+
+  // Même vérification JWT que middleware/auth.js
+  namespace.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token ||
+        socket.handshake.headers.authorization?.split(' ')[1];
+
+      const user = await authenticateToken(token);
+      if (!user) {
+        return next(new Error('Authentification requise'));
+      }
+
+      if (!user.is_verified) {
+        return next(new Error('Veuillez vérifier votre email'));
+      }
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Token invalide'));
+    }
+  });
+
+  namespace.on('connection', handleConnection);
+  return io;
+}
+
+function emitStatus(deploymentId, payload) {
+  namespace?.to(deploymentRoom(deploymentId)).emit('deployment:status', { deploymentId, ...payload });
+}
+
+function emitBuildOutput(deploymentId, line) {
+  namespace?.to(deploymentRoom(deploymentId)).emit('deployment:build-output', { deploymentId, line });
+}
+
+function emitLogLine(deploymentId, line) {
+  namespace?.to(logsRoom(deploymentId)).emit('deployment:log', { deploymentId, line });
+}
+
+module.exports = {
+  initRealtime,
+  emitStatus,
+  emitBuildOutput,
+  emitLogLine
+};
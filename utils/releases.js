@@ -0,0 +1,232 @@
+const supabase = require('./database');
+const { getDeploymentProvider } = require('./hostingAccounts');
+const { MASK, encryptEnv, decryptEnv } = require('./encryption');
+
+const KINDS = {
+  BUILD: 'build',
+  CONFIG: 'config',
+  ROLLBACK: 'rollback'
+};
+
+// Tentatives d'enregistrement quand une autre release passe entre la lecture et l'écriture
+const RECORD_ATTEMPTS = 3;
+// serialization_failure : la release précédente a changé (voir record_deployment_release)
+const RELEASE_CONFLICT = '40001';
+
+// Variables dont la valeur n'est jamais renvoyée en clair (en plus de secret: true et generator secret dans kerm.json)
+const SECRET_KEY_PATTERN = /(SECRET|TOKEN|PASSWORD|PASSWD|API_?KEY|PRIVATE|SESSION|CREDENTIAL|AUTH)/i;
+
+// Les variables sont chiffrées en base ; on les manipule déchiffrées
+function readRelease(release) {
+  if (!release) return null;
+  return release.env_snapshot ? { ...release, env_snapshot: decryptEnv(release.env_snapshot) } : release;
+}
+
+// Clés ajoutées, retirées et modifiées entre deux jeux de variables
+// Calculé ici : en base, deux chiffrements d'une même valeur diffèrent
+function envChangeSet(before = {}, after = {}) {
+  const previous = before || {};
+  const next = after || {};
+
+  return {
+    added: Object.keys(next).filter(key => !(key in previous)).sort(),
+    removed: Object.keys(previous).filter(key => !(key in next)).sort(),
+    changed: Object.keys(next).filter(key => key in previous && previous[key] !== next[key]).sort()
+  };
+}
+
+// Enregistrer une release sous le numéro suivant ; un build déjà enregistré n'est pas dupliqué
+async function recordRelease(deploymentId, {
+  kind,
+  env = {},
+  commitSha = null,
+  sourceRef = null,
+  buildId = null,
+  artifact = null,
+  description = null,
+  createdBy = null,
+  rollbackOf = null
+}) {
+  for (let attempt = 1; ; attempt++) {
+    // Le jeu de clés modifiées part de cette release ; la fonction SQL vérifie sous verrou qu'elle est toujours la dernière
+    const previous = await getLatestRelease(deploymentId);
+
+    const { data: release, error } = await supabase.rpc('record_deployment_release', {
+      p_deployment_id: deploymentId,
+      p_kind: kind,
+      p_env: encryptEnv(env || {}),
+      p_env_changes: envChangeSet(previous?.env_snapshot, env),
+      p_commit_sha: commitSha,
+      p_source_ref: sourceRef,
+      p_build_id: buildId,
+      p_artifact: artifact,
+      p_description: description,
+      p_created_by: createdBy,
+      p_rollback_of: rollbackOf,
+      p_expected_version: previous?.version || 0
+    });
+
+    if (error?.code === RELEASE_CONFLICT && attempt < RECORD_ATTEMPTS) continue;
+    if (error) throw error;
+    return readRelease(release);
+  }
+}
+
+// Releases d'un déploiement, la plus récente en premier
+async function listReleases(deploymentId, { includeEnv = false } = {}) {
+  const columns = 'id, version, kind, commit_sha, source_ref, build_id, env_changes, description, created_by, creator:users(username, email), rollback_of, created_at';
+
+  const { data: releases, error } = await supabase
+    .from('deployment_releases')
+    .select(includeEnv ? `${columns}, env_snapshot` : columns)
+    .eq('deployment_id', deploymentId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return (releases || []).map(readRelease);
+}
+
+async function getRelease(deploymentId, version) {
+  const { data: release } = await supabase
+    .from('deployment_releases')
+    .select('*')
+    .eq('deployment_id', deploymentId)
+    .eq('version', version)
+    .single();
+
+  return readRelease(release);
+}
+
+async function getLatestRelease(deploymentId) {
+  const { data: release } = await supabase
+    .from('deployment_releases')
+    .select('*')
+    .eq('deployment_id', deploymentId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return readRelease(release);
+}
+
+function isSecretVar(key, botEnv = {}) {
+  const config = botEnv?.[key];
+  // Une valeur produite par le générateur secret l'est forcément
+  const generatedSecret = config?.generator === 'secret' || config?.generator?.type === 'secret';
+  return config?.secret === true || generatedSecret || SECRET_KEY_PATTERN.test(key);
+}
+
+// Différences entre deux jeux de variables
+// Les valeurs sont masquées sauf reveal ; celles des secrets le sont toujours
+// Renvoie [{ key, status: added | removed | changed, before, after, secret }]
+function diffEnv(before = {}, after = {}, botEnv = {}, { reveal = false } = {}) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+
+  return keys.reduce((changes, key) => {
+    const inBefore = before && key in before;
+    const inAfter = after && key in after;
+    if (inBefore && inAfter && before[key] === after[key]) return changes;
+
+    const secret = isSecretVar(key, botEnv);
+    const show = value => (value === undefined ? null : (secret || !reveal) && value ? MASK : value);
+
+    changes.push({
+      key,
+      status: !inBefore ? 'added' : !inAfter ? 'removed' : 'changed',
+      before: show(inBefore ? before[key] : undefined),
+      after: show(inAfter ? after[key] : undefined),
+      secret
+    });
+    return changes;
+  }, []);
+}
+
+async function requireProvider(deployment) {
+  const provider = await getDeploymentProvider(deployment);
+  if (!provider) {
+    throw new Error(`Compte d'hébergement du déploiement ${deployment.id} introuvable`);
+  }
+  return provider;
+}
+
+// Remplacer toutes les variables de l'app ; celles absentes de env sont retirées
+// deployment : { id, heroku_app_name, env_variables } ; seules les clés de env_variables sont lues
+async function applyEnv(provider, deployment, env, updates = {}) {
+  const configVars = { ...env };
+  Object.keys(deployment.env_variables || {}).forEach(key => {
+    if (!(key in configVars)) configVars[key] = null;
+  });
+  await provider.setConfigVars(deployment.heroku_app_name, configVars);
+
+  const { error } = await supabase
+    .from('deployments')
+    .update({
+      ...updates,
+      env_variables: encryptEnv(env),
+      updated_at: new Date()
+    })
+    .eq('id', deployment.id);
+
+  if (error) throw error;
+}
+
+// Réappliquer les variables d'une release sans toucher au code en ligne
+// deployment : { id, heroku_app_name, heroku_account_id, env_variables }
+// env : variables à remettre, par défaut celles de la release (revalidées par l'appelant)
+async function reapplyEnv(deployment, release, { userId = null, env = release.env_snapshot } = {}) {
+  const provider = await requireProvider(deployment);
+  await applyEnv(provider, deployment, env);
+
+  return recordRelease(deployment.id, {
+    kind: KINDS.CONFIG,
+    env,
+    description: `Variables de la release v${release.version} réappliquées`,
+    createdBy: userId
+  });
+}
+
+// Remettre en ligne le code et les variables d'une release, enregistrée comme une nouvelle release
+// deployment : { id, heroku_app_name, heroku_account_id, env_variables }
+// env : variables à remettre, par défaut celles de la release (revalidées par l'appelant)
+async function rollbackToRelease(deployment, release, { userId = null, env = release.env_snapshot } = {}) {
+  const provider = await requireProvider(deployment);
+
+  const description = `Retour à la release v${release.version}`;
+  const current = await getLatestRelease(deployment.id);
+
+  // Le code n'est republié que s'il diffère de celui en ligne
+  if (release.build_id && release.build_id !== current?.build_id) {
+    await provider.deployRelease(deployment.heroku_app_name, release.artifact, { description });
+  }
+
+  await applyEnv(provider, deployment, env, {
+    source_ref: release.source_ref,
+    source_commit_sha: release.commit_sha
+  });
+
+  return recordRelease(deployment.id, {
+    kind: KINDS.ROLLBACK,
+    env,
+    commitSha: release.commit_sha,
+    sourceRef: release.source_ref,
+    buildId: release.build_id,
+    artifact: release.artifact,
+    description,
+    createdBy: userId,
+    rollbackOf: release.version
+  });
+}
+
+module.exports = {
+  KINDS,
+  envChangeSet,
+  recordRelease,
+  listReleases,
+  getRelease,
+  getLatestRelease,
+  isSecretVar,
+  diffEnv,
+  applyEnv,
+  reapplyEnv,
+  rollbackToRelease
+};
@@ -0,0 +1,53 @@
+const cron = require('node-cron');
+
+// Tâches récurrentes du serveur (node-cron), démarrées avec le worker
+class Scheduler {
+  constructor() {
+    this.tasks = {};
+    this.running = new Set();
+  }
+
+  // Enregistrer une tâche ; une exécution est sautée si la précédente n'est pas terminée
+  register(name, expression, handler, { timezone } = {}) {
+    if (!cron.validate(expression)) {
+      throw new Error(`Expression cron invalide pour ${name}: ${expression}`);
+    }
+
+    this.tasks[name] = { expression, handler, timezone, job: null };
+  }
+
+  // Exécuter une tâche immédiatement (aussi utilisé par les routes d'administration)
+  async run(name) {
+    const task = this.tasks[name];
+    if (!task) throw new Error(`Tâche inconnue: ${name}`);
+
+    if (this.running.has(name)) return null;
+    this.running.add(name);
+    try {
+      return await task.handler();
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  start() {
+    Object.entries(this.tasks).forEach(([name, task]) => {
+      if (task.job) return;
+
+      task.job = cron.schedule(task.expression, () => {
+        this.run(name).catch(error => console.error(`Erreur tâche planifiée ${name}:`, error));
+      }, { timezone: task.timezone });
+    });
+
+    console.log(`⏰ Tâches planifiées: ${Object.keys(this.tasks).join(', ') || 'aucune'}`);
+  }
+
+  stop() {
+    Object.values(this.tasks).forEach(task => {
+      if (task.job) task.job.stop();
+      task.job = null;
+    });
+  }
+}
+
+module.exports = new Scheduler();
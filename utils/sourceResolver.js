@@ -0,0 +1,181 @@
+const axios = require('axios');
+
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+
+function githubHeaders(accept = 'application/vnd.github+json') {
+  const headers = { Accept: accept };
+  if (process.env.GITHUB_API_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_API_TOKEN}`;
+  }
+  return headers;
+}
+
+// Propriétaire GitHub : lettres, chiffres et tirets ; dépôt : lettres, chiffres, '.', '-' et '_'
+const OWNER_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+const REPO_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+const GITHUB_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?github\.com\/(.+)$/i;
+const SSH_URL_PATTERN = /^git@github\.com:(.+)$/i;
+
+function invalidReference(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_REFERENCE';
+  return error;
+}
+
+// Sous-dossier relatif, sans '..' ni barres superflues ; null pour la racine
+function normalizePath(path) {
+  const parts = (path || '').split('/').filter(part => part && part !== '.');
+  if (parts.some(part => part === '..')) {
+    throw invalidReference('Le sous-dossier ne peut pas remonter hors du dépôt');
+  }
+  return parts.length > 0 ? parts.join('/') : null;
+}
+
+function parseRepoName(owner, name) {
+  const repoName = (name || '').replace(/\.git$/i, '');
+  if (!OWNER_PATTERN.test(owner || '') || !REPO_PATTERN.test(repoName) || repoName === '.' || repoName === '..') {
+    throw invalidReference('Dépôt GitHub invalide. Utilisez : propriétaire/dépôt');
+  }
+  return `${owner}/${repoName}`;
+}
+
+// Lire une référence de dépôt ; renvoie { repo, ref, path } (ref null = branche par défaut)
+// Formats acceptés :
+//   propriétaire/dépôt, propriétaire/dépôt@branche-ou-tag, propriétaire/dépôt@ref:sous/dossier
+//   https://github.com/propriétaire/dépôt(.git), .../tree/<ref>/<sous-dossier>, .../blob/<ref>/<dossier>/kerm.json
+//   git@github.com:propriétaire/dépôt.git
+// Dans une URL, la référence est le premier segment après tree/ : une branche contenant '/'
+// s'écrit avec la forme propriétaire/dépôt@ref:sous/dossier
+function parseRepoReference(input) {
+  const value = typeof input === 'string' ? input.trim() : '';
+  if (!value) {
+    throw invalidReference('Repository GitHub requis');
+  }
+
+  const url = value.match(GITHUB_URL_PATTERN) || value.match(SSH_URL_PATTERN);
+  if (url) {
+    const [owner, name, kind, ref, ...rest] = url[1].split(/[?#]/)[0].split('/').filter(Boolean);
+    const repo = parseRepoName(owner, name);
+
+    if (!kind) return { repo, ref: null, path: null };
+    if ((kind !== 'tree' && kind !== 'blob') || !ref) {
+      throw invalidReference('URL GitHub non reconnue : utilisez l\'adresse du dépôt ou d\'un dossier (tree/...)');
+    }
+
+    // Un lien vers un fichier désigne son dossier
+    const path = kind === 'blob' ? rest.slice(0, -1).join('/') : rest.join('/');
+    return { repo, ref: decodeURIComponent(ref), path: normalizePath(decodeURIComponent(path)) };
+  }
+
+  // propriétaire/dépôt[@ref][:sous/dossier] ; ':' est interdit dans les noms de références git
+  const match = value.match(/^([^/@:\s]+)\/([^/@:\s]+)(?:@([^:\s]+))?(?::(\S*))?$/);
+  if (!match) {
+    throw invalidReference('Format invalide. Utilisez : propriétaire/dépôt, propriétaire/dépôt@branche ou une URL GitHub');
+  }
+
+  const [, owner, name, ref, path] = match;
+  return {
+    repo: parseRepoName(owner, name),
+    ref: ref ? ref.replace(/^refs\/(heads|tags)\//, '') : null,
+    path: normalizePath(path)
+  };
+}
+
+// Forme texte d'une référence, relisible par parseRepoReference
+function formatRepoReference({ repo, ref, path }) {
+  return `${repo}${ref ? `@${ref}` : ''}${path ? `:${path}` : ''}`;
+}
+
+// Branche par défaut d'un dépôt
+async function getDefaultBranch(repo) {
+  try {
+    const response = await axios.get(`${GITHUB_API_URL}/repos/${repo}`, {
+      headers: githubHeaders(),
+      timeout: 15000
+    });
+    return response.data.default_branch || 'main';
+  } catch (error) {
+    if (error.response?.status === 404) {
+      const notFound = new Error(`Dépôt ${repo} introuvable ou privé`);
+      notFound.code = 'REPO_NOT_FOUND';
+      notFound.permanent = true;
+      throw notFound;
+    }
+    throw error;
+  }
+}
+
+// Compléter une référence lue : branche par défaut si besoin, puis commit exact
+// Renvoie { repo, ref, path, sha }
+async function resolveRepoReference(input) {
+  const reference = typeof input === 'string' ? parseRepoReference(input) : input;
+  const ref = reference.ref || await getDefaultBranch(reference.repo);
+  const sha = await resolveCommit(reference.repo, ref);
+
+  return { repo: reference.repo, ref, path: reference.path || null, sha };
+}
+
+// Contenu d'un fichier du dépôt à un commit donné ; null s'il n'existe pas
+async function fetchRepoFile(repo, sha, filePath) {
+  try {
+    const response = await axios.get(`https://raw.githubusercontent.com/${repo}/${sha}/${filePath.split('/').map(encodeURIComponent).join('/')}`, {
+      timeout: 15000
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// Archive tar.gz d'un commit précis, téléchargeable sans authentification par Heroku
+function tarballUrl(repo, sha) {
+  return `https://codeload.github.com/${repo}/tar.gz/${sha}`;
+}
+
+// Résoudre une branche, un tag ou un SHA en commit exact
+async function resolveCommit(repo, ref = 'main') {
+  try {
+    const response = await axios.get(`${GITHUB_API_URL}/repos/${repo}/commits/${encodeURIComponent(ref)}`, {
+      headers: githubHeaders('application/vnd.github.sha'),
+      responseType: 'text',
+      timeout: 15000
+    });
+    return String(response.data).trim();
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404 || status === 422) {
+      const notFound = new Error(`Référence "${ref}" introuvable dans ${repo}`);
+      notFound.code = 'REF_NOT_FOUND';
+      notFound.permanent = true;
+      throw notFound;
+    }
+    throw error;
+  }
+}
+
+// Source de build figée sur un commit : { repo, ref, sha, path, url }
+// path : sous-dossier à construire (monorepo), null pour la racine
+// Si un SHA est déjà connu (redéploiement), il est réutilisé tel quel
+async function resolveSource(repo, { ref = 'main', sha = null, path = null } = {}) {
+  const commitSha = sha || await resolveCommit(repo, ref);
+
+  return {
+    repo,
+    ref,
+    sha: commitSha,
+    path: path || null,
+    url: tarballUrl(repo, commitSha)
+  };
+}
+
+module.exports = {
+  parseRepoReference,
+  formatRepoReference,
+  getDefaultBranch,
+  resolveRepoReference,
+  fetchRepoFile,
+  resolveCommit,
+  resolveSource,
+  tarballUrl
+};